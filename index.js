@@ -6,6 +6,8 @@ const http = require('http');
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const { sequelize, User, Notification, Message, WhatsAppConversation } = require('./models');
+const ConversationSessionService = require('./services/ConversationSessionService');
+const WhatsAppInboxService = require('./services/WhatsAppInboxService');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,24 +32,20 @@ app.use(cors({
     return callback(null, true);
   },
   methods: ['GET','POST','PUT','DELETE','PATCH'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  allowedHeaders: ['Content-Type','Authorization','X-Verification-Token'],
   credentials: true
 }));
 
+// Behind a load balancer req.ip must come from X-Forwarded-For for per-IP rate limits
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 0);
+
 // =======================
 // Body Parser
 // =======================
-app.use(bodyParser.json());
+// The raw body is kept for webhook signatures computed over the exact bytes (WhatsApp Cloud API)
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// =======================
-// Static Files
-// =======================
-app.use('/uploads', (req, res, next) => {
-  console.log(`DEBUG: Static file request: ${req.path}, full URL: ${req.originalUrl}`);
-  next();
-}, express.static('uploads'));
-
 // =======================
 // Database
 // =======================
@@ -69,6 +67,9 @@ app.use('/api/worker', require('./routes/worker'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/messages', require('./routes/messages'));
 app.use('/api/whatsapp', require('./routes/whatsapp'));
+app.use('/api/sms', require('./routes/sms'));
+app.use('/api/open311/v2', require('./routes/open311'));
+app.use('/api/files', require('./routes/files'));
 
 // =======================
 // Socket.IO
@@ -175,4 +176,10 @@ app.get('/', (req,res) => res.send('Sewage Management API'));
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Close WhatsApp conversations abandoned halfway, keeping their answers as drafts to resume
+  new ConversationSessionService().startSweeper();
+
+  // Send again WhatsApp messages the provider did not accept
+  new WhatsAppInboxService().startOutboxRetries();
 });
\ No newline at end of file
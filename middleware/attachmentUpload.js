@@ -0,0 +1,22 @@
+const multer = require('multer');
+const ImageProcessingService = require('../services/ImageProcessingService');
+
+const imageService = new ImageProcessingService();
+
+// Files stay in memory until AttachmentService has checked and processed them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: imageService.config.maxBytes, files: 5 }
+});
+
+/**
+ * Accept up to five files in the "files" field, answering multer errors with a 400
+ */
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', 5)(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
+
+module.exports = { uploadAttachments };
@@ -0,0 +1,40 @@
+const IntakeProtectionService = require('../services/IntakeProtectionService');
+
+const protectionService = new IntakeProtectionService();
+
+/**
+ * Guard a public intake endpoint with the honeypot, blocklist and rate limits
+ * Must run after the body (or multipart form) has been parsed and after detectLanguage
+ * @param {string} action - report | escalate | follow_up | verification
+ */
+const protectIntake = (action) => async (req, res, next) => {
+  const body = req.body || {};
+
+  try {
+    // Bots get an ordinary-looking answer so they have no reason to adapt
+    if (protectionService.isHoneypotFilled(body)) {
+      console.warn(`Honeypot ${action} submission dropped from ${req.ip}`);
+      return res.status(200).json({ message: req.t('api.submission_received') });
+    }
+
+    const identities = { ip: req.ip, phone: body.contactPhone, email: body.contactEmail };
+
+    if (await protectionService.findBlock(identities)) {
+      return res.status(403).json({ error: req.t('errors.REPORTER_BLOCKED'), code: 'REPORTER_BLOCKED' });
+    }
+
+    const limit = protectionService.consume(action, identities);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({ error: req.t('errors.RATE_LIMITED'), code: 'RATE_LIMITED' });
+    }
+
+    req.intakeIdentities = identities;
+    next();
+  } catch (err) {
+    console.error('Error checking intake protection:', err);
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
+  }
+};
+
+module.exports = { protectIntake };
@@ -0,0 +1,18 @@
+const TranslationService = require('../services/TranslationService');
+
+const translationService = new TranslationService();
+
+/**
+ * Answer in the language asked for by the Accept-Language header
+ * Sets req.language and req.t(key, params, fallback) for translating response messages
+ */
+const detectLanguage = (req, res, next) => {
+  req.language = translationService.fromAcceptLanguage(req.get('Accept-Language'));
+  req.t = (key, params, fallback) => translationService.translate(req.language, key, params, fallback);
+
+  res.set('Content-Language', req.language);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = { detectLanguage };
@@ -0,0 +1,46 @@
+const IncidentMergeService = require('../services/IncidentMergeService');
+const ReporterVerificationService = require('../services/ReporterVerificationService');
+
+const mergeService = new IncidentMergeService();
+const verificationService = new ReporterVerificationService();
+
+/**
+ * Only let verified reporters act on an incident
+ * The token from POST /api/public/verification/confirm is read from the X-Verification-Token
+ * header or the verificationToken body field. Sets req.verifiedReporter to { incidentId, phone }
+ * Runs after detectLanguage, which provides req.t
+ * @param {Function} getTrackingId - Reads the tracking ID from the request
+ */
+const requireVerifiedReporter = (getTrackingId) => async (req, res, next) => {
+  const body = req.body || {};
+  const token = req.get('X-Verification-Token') || body.verificationToken;
+
+  if (!token) {
+    return res.status(401).json({ error: req.t('errors.VERIFICATION_REQUIRED'), code: 'VERIFICATION_REQUIRED' });
+  }
+
+  try {
+    const trackingId = getTrackingId(req);
+    if (!trackingId) {
+      return res.status(400).json({ error: req.t('errors.INCIDENT_NUMBER_REQUIRED') });
+    }
+
+    const resolved = await mergeService.resolveTrackingId(String(trackingId).trim().toUpperCase());
+    if (!resolved) {
+      return res.status(404).json({ error: req.t('errors.INCIDENT_NOT_FOUND') });
+    }
+
+    const reporter = await verificationService.verifyToken(token, resolved.incident);
+    if (!reporter) {
+      return res.status(403).json({ error: req.t('errors.VERIFICATION_INVALID'), code: 'VERIFICATION_INVALID' });
+    }
+
+    req.verifiedReporter = reporter;
+    next();
+  } catch (err) {
+    console.error('Error checking reporter verification:', err);
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
+  }
+};
+
+module.exports = { requireVerifiedReporter };
@@ -0,0 +1,40 @@
+-- Migration: Duplicate incident detection at intake
+-- Adds a probable-duplicate flag to incidents and a table for reports that were
+-- linked to an existing incident instead of creating a new one
+
+-- =====================================================
+-- 1. PROBABLE DUPLICATE FLAG ON INCIDENTS
+-- =====================================================
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS duplicate_of_id UUID REFERENCES incidents(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN incidents.duplicate_of_id IS 'Probable duplicate of this incident, flagged at intake';
+
+CREATE INDEX IF NOT EXISTS idx_incidents_duplicate_of_id ON incidents(duplicate_of_id);
+
+-- =====================================================
+-- 2. LINKED REPORTS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS incident_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id UUID NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL DEFAULT 'web',
+  tracking_id VARCHAR(50),
+  title VARCHAR(200),
+  description TEXT,
+  location VARCHAR(500),
+  contact_name VARCHAR(200),
+  contact_phone VARCHAR(50),
+  contact_email VARCHAR(200),
+  images TEXT,
+  match_score DOUBLE PRECISION,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_reports_incident_id ON incident_reports(incident_id);
+CREATE INDEX IF NOT EXISTS idx_incident_reports_tracking_id ON incident_reports(tracking_id);
+
+-- Migration completed successfully
+-- Added duplicate flag and linked incident reports
@@ -0,0 +1,13 @@
+-- Migration: Incident merge support
+-- Duplicates merged by a manager are cancelled and point at the primary incident,
+-- so their tracking IDs keep resolving to the real progress
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES incidents(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN incidents.merged_into_id IS 'Primary incident this duplicate was merged into';
+
+CREATE INDEX IF NOT EXISTS idx_incidents_merged_into_id ON incidents(merged_into_id);
+
+-- Migration completed successfully
+-- Added merged_into_id to incidents
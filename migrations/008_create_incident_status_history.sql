@@ -0,0 +1,41 @@
+-- Migration: Incident status history
+-- Records every state change so citizens can see a dated timeline through their tracking ID
+
+CREATE TABLE IF NOT EXISTS incident_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id UUID NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  event VARCHAR(30) NOT NULL,
+  status VARCHAR(50),
+  public_note TEXT,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_status_history_incident_id ON incident_status_history(incident_id, created_at);
+
+COMMENT ON COLUMN incident_status_history.event IS 'Public timeline event: reported, verified, assigned, in_progress, completed, escalated, cancelled, merged';
+COMMENT ON COLUMN incident_status_history.public_note IS 'Staff-written note shown to the reporter';
+
+-- =====================================================
+-- BACKFILL EXISTING INCIDENTS
+-- =====================================================
+
+-- Every existing incident was reported at creation time
+INSERT INTO incident_status_history (incident_id, event, status, created_at)
+SELECT id, 'reported', 'Not Started', created_at
+FROM incidents
+WHERE NOT EXISTS (
+  SELECT 1 FROM incident_status_history h WHERE h.incident_id = incidents.id
+);
+
+-- Assignment time is known for assigned incidents
+INSERT INTO incident_status_history (incident_id, event, status, created_at)
+SELECT id, 'assigned', status::text, assigned_at
+FROM incidents
+WHERE assigned_at IS NOT NULL
+AND NOT EXISTS (
+  SELECT 1 FROM incident_status_history h WHERE h.incident_id = incidents.id AND h.event = 'assigned'
+);
+
+-- Migration completed successfully
+-- Created incident_status_history and backfilled reported/assigned events
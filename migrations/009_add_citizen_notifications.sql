@@ -0,0 +1,52 @@
+-- Migration: Citizen status notifications
+-- Reporters are told about status changes over the channel they reported through
+
+-- =====================================================
+-- INTAKE CHANNEL ON INCIDENTS
+-- =====================================================
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS intake_channel VARCHAR(20) DEFAULT 'web';
+
+-- Incidents created by the WhatsApp bot are identified by their intake activity log
+UPDATE incidents
+SET intake_channel = 'whatsapp'
+WHERE id IN (
+  SELECT reference_id FROM activity_logs
+  WHERE table_name = 'incidents' AND action LIKE 'Incident reported via WhatsApp:%'
+);
+
+COMMENT ON COLUMN incidents.intake_channel IS 'Channel the incident was first reported through: web, whatsapp';
+
+-- =====================================================
+-- DELIVERY LOG
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS citizen_notification_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id UUID NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  event VARCHAR(30) NOT NULL,
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('whatsapp', 'sms', 'email')),
+  recipient VARCHAR(200) NOT NULL,
+  message TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed', 'opted_out', 'not_configured')),
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_citizen_notification_logs_incident_id ON citizen_notification_logs(incident_id, created_at);
+
+-- =====================================================
+-- OPT-OUTS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS notification_opt_outs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('whatsapp', 'sms', 'email')),
+  address VARCHAR(200) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (channel, address)
+);
+
+-- Migration completed successfully
+-- Added incidents.intake_channel, citizen_notification_logs and notification_opt_outs
@@ -0,0 +1,19 @@
+-- Migration: Incident categories
+-- Stores the category chosen in the WhatsApp menu so it can be filtered on and exposed through Open311
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS category VARCHAR(50) DEFAULT 'other';
+
+COMMENT ON COLUMN incidents.category IS 'Incident category code: sewage_leak, road_damage, water_main_break, storm_drain, manhole_problem, other';
+
+-- WhatsApp reports were titled with the category name
+UPDATE incidents SET category = 'sewage_leak' WHERE LOWER(title) = 'sewage leak';
+UPDATE incidents SET category = 'road_damage' WHERE LOWER(title) = 'road damage';
+UPDATE incidents SET category = 'water_main_break' WHERE LOWER(title) = 'water main break';
+UPDATE incidents SET category = 'storm_drain' WHERE LOWER(title) = 'storm drain issue';
+UPDATE incidents SET category = 'manhole_problem' WHERE LOWER(title) = 'manhole problem';
+
+CREATE INDEX IF NOT EXISTS idx_incidents_category ON incidents(category);
+
+-- Migration completed successfully
+-- Added incidents.category and backfilled WhatsApp reports
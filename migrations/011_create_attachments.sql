@@ -0,0 +1,54 @@
+-- Migration: Incident attachments
+-- Replaces the comma separated incidents.images column with one row per file
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id UUID NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  job_card_id UUID REFERENCES job_cards(id) ON DELETE SET NULL,
+  uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('public', 'whatsapp', 'worker', 'staff')),
+  file_path VARCHAR(1000) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL DEFAULT 'application/octet-stream',
+  size_bytes INTEGER,
+  checksum VARCHAR(64),
+  caption TEXT,
+  phase VARCHAR(10) NOT NULL DEFAULT 'before' CHECK (phase IN ('before', 'during', 'after')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_incident_id ON attachments(incident_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_attachments_job_card_id ON attachments(job_card_id);
+
+COMMENT ON COLUMN attachments.file_path IS 'Stored file path, or the remote URL for media not yet downloaded';
+COMMENT ON COLUMN attachments.phase IS 'When the photo was taken relative to the work: before, during, after';
+COMMENT ON COLUMN incidents.images IS 'Legacy image paths; new uploads are stored as attachments';
+
+-- =====================================================
+-- BACKFILL FROM incidents.images
+-- =====================================================
+
+-- Size and checksum are unknown for files stored before this migration
+INSERT INTO attachments (incident_id, source, file_path, mime_type, phase, created_at)
+SELECT
+  i.id,
+  CASE WHEN i.intake_channel = 'whatsapp' THEN 'whatsapp' ELSE 'public' END,
+  TRIM(image.path),
+  CASE
+    WHEN LOWER(image.path) ~ '\.(jpe?g)$' THEN 'image/jpeg'
+    WHEN LOWER(image.path) ~ '\.png$' THEN 'image/png'
+    WHEN LOWER(image.path) ~ '\.gif$' THEN 'image/gif'
+    WHEN LOWER(image.path) ~ '\.webp$' THEN 'image/webp'
+    ELSE 'application/octet-stream'
+  END,
+  'before',
+  i.created_at
+FROM incidents i
+CROSS JOIN LATERAL regexp_split_to_table(i.images, ',') AS image(path)
+WHERE i.images IS NOT NULL
+AND TRIM(image.path) <> ''
+AND NOT EXISTS (
+  SELECT 1 FROM attachments a WHERE a.incident_id = i.id AND a.file_path = TRIM(image.path)
+);
+
+-- Migration completed successfully
+-- Created attachments and backfilled incident images
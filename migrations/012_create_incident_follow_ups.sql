@@ -0,0 +1,30 @@
+-- Migration: Citizen follow-ups
+-- Reporters can add comments and photos to an existing incident without escalating it
+
+CREATE TABLE IF NOT EXISTS incident_follow_ups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id UUID NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL DEFAULT 'web',
+  tracking_id VARCHAR(50),
+  comment TEXT,
+  contact_name VARCHAR(200),
+  contact_phone VARCHAR(50),
+  contact_email VARCHAR(200),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_follow_ups_incident_id ON incident_follow_ups(incident_id, created_at);
+
+COMMENT ON COLUMN incident_follow_ups.tracking_id IS 'Tracking ID the reporter quoted, which may belong to a merged duplicate';
+
+-- =====================================================
+-- PHOTOS SENT WITH A FOLLOW-UP
+-- =====================================================
+
+ALTER TABLE attachments
+ADD COLUMN IF NOT EXISTS follow_up_id UUID REFERENCES incident_follow_ups(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attachments_follow_up_id ON attachments(follow_up_id);
+
+-- Migration completed successfully
+-- Created incident_follow_ups and linked attachments to them
@@ -0,0 +1,46 @@
+-- Migration: Abuse protection for public intake
+-- Blocked reporters and the moderation queue for suspicious reports
+
+-- =====================================================
+-- REPORTER BLOCKLIST
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS reporter_blocks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type VARCHAR(10) NOT NULL CHECK (type IN ('ip', 'phone', 'email')),
+  value VARCHAR(200) NOT NULL,
+  reason TEXT,
+  blocked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (type, value)
+);
+
+COMMENT ON COLUMN reporter_blocks.expires_at IS 'Empty for permanent blocks';
+
+-- =====================================================
+-- MODERATION QUEUE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS held_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  channel VARCHAR(20) NOT NULL DEFAULT 'web',
+  payload JSON NOT NULL,
+  reasons JSON DEFAULT '[]',
+  ip_address VARCHAR(64),
+  contact_phone VARCHAR(50),
+  contact_email VARCHAR(200),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'released', 'rejected')),
+  incident_id UUID REFERENCES incidents(id) ON DELETE SET NULL,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  review_note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_held_reports_status ON held_reports(status, created_at);
+
+COMMENT ON COLUMN held_reports.payload IS 'Report as it would have been passed to intake';
+
+-- Migration completed successfully
+-- Created reporter_blocks and held_reports
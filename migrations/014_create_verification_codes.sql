@@ -0,0 +1,21 @@
+-- Migration: Reporter phone verification
+-- One-time codes that prove a citizen reported an incident before they escalate it or add to it
+
+CREATE TABLE IF NOT EXISTS verification_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id UUID NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  phone VARCHAR(50) NOT NULL,
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('sms', 'whatsapp')),
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  verified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_codes_incident_id ON verification_codes(incident_id, created_at);
+
+COMMENT ON COLUMN verification_codes.code_hash IS 'HMAC of the code; the code itself is never stored';
+
+-- Migration completed successfully
+-- Created verification_codes
@@ -0,0 +1,10 @@
+-- Migration: WhatsApp bot language
+-- Remembers the language each citizen picked so the bot keeps talking to them in it
+
+ALTER TABLE whatsapp_conversations
+ADD COLUMN IF NOT EXISTS language VARCHAR(5);
+
+COMMENT ON COLUMN whatsapp_conversations.language IS 'Language chosen in the bot: en, zu, af, st; empty until the citizen picks one';
+
+-- Migration completed successfully
+-- Added whatsapp_conversations.language
@@ -0,0 +1,39 @@
+-- Migration: Configurable WhatsApp conversation flows
+-- Flows edited by staff, and the flow each WhatsApp conversation is in
+
+-- =====================================================
+-- CONVERSATION FLOWS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS conversation_flows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key VARCHAR(50) NOT NULL UNIQUE,
+  definition JSON NOT NULL,
+  enabled BOOLEAN DEFAULT TRUE,
+  version INTEGER DEFAULT 1,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN conversation_flows.key IS 'Flow key; a row with the key of a built-in flow replaces it';
+
+-- =====================================================
+-- WHATSAPP CONVERSATIONS
+-- =====================================================
+
+ALTER TABLE whatsapp_conversations
+ADD COLUMN IF NOT EXISTS flow VARCHAR(50);
+
+ALTER TABLE whatsapp_conversations
+ALTER COLUMN state TYPE VARCHAR(50) USING state::text;
+
+COMMENT ON COLUMN whatsapp_conversations.state IS 'idle, selecting_language, main_menu, or the current step of the flow';
+
+-- Steps of the old hard-coded flows have no equivalent; those citizens start again from the menu
+UPDATE whatsapp_conversations
+SET state = 'idle', temp_data = '{}'
+WHERE state NOT IN ('idle', 'selecting_language', 'main_menu');
+
+-- Migration completed successfully
+-- Created conversation_flows and added whatsapp_conversations.flow
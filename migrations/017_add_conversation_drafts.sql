@@ -0,0 +1,14 @@
+-- Migration: WhatsApp conversation drafts
+-- Conversations left in the middle of a flow are closed after a timeout; the answers so far are kept
+-- as a draft the citizen can resume
+
+ALTER TABLE whatsapp_conversations
+ADD COLUMN IF NOT EXISTS draft JSON;
+
+COMMENT ON COLUMN whatsapp_conversations.draft IS 'Flow left unfinished when the session timed out: { flow, step, answers, savedAt }';
+
+-- The sweeper looks for open conversations by last activity
+CREATE INDEX IF NOT EXISTS idx_whatsapp_conversations_state_activity ON whatsapp_conversations(state, last_activity);
+
+-- Migration completed successfully
+-- Added whatsapp_conversations.draft
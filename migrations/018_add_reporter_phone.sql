@@ -0,0 +1,27 @@
+-- Migration: Reporter phone link
+-- Stores the normalized phone number every report came from, so citizens can list their reports
+-- in the WhatsApp bot without their tracking IDs
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS reporter_phone VARCHAR(50);
+
+ALTER TABLE incident_reports
+ADD COLUMN IF NOT EXISTS reporter_phone VARCHAR(50);
+
+COMMENT ON COLUMN incidents.reporter_phone IS 'Normalized phone number the report came from, for finding a citizen''s reports';
+COMMENT ON COLUMN incident_reports.reporter_phone IS 'Normalized phone number the report came from, for finding a citizen''s reports';
+
+-- Existing reports: the same normalization as CitizenNotificationService.normalizePhone
+UPDATE incidents
+SET reporter_phone = NULLIF(regexp_replace(regexp_replace(contact_phone, '^whatsapp:', ''), '[\s\-()]', '', 'g'), '')
+WHERE reporter_phone IS NULL AND contact_phone IS NOT NULL;
+
+UPDATE incident_reports
+SET reporter_phone = NULLIF(regexp_replace(regexp_replace(contact_phone, '^whatsapp:', ''), '[\s\-()]', '', 'g'), '')
+WHERE reporter_phone IS NULL AND contact_phone IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_incidents_reporter_phone ON incidents(reporter_phone);
+CREATE INDEX IF NOT EXISTS idx_incident_reports_reporter_phone ON incident_reports(reporter_phone);
+
+-- Migration completed successfully
+-- Added incidents.reporter_phone and incident_reports.reporter_phone with indexes
@@ -0,0 +1,37 @@
+-- Migration: WhatsApp transcripts and human handoff
+-- Keeps every WhatsApp message for the staff inbox, and lets staff take a conversation over from the bot
+
+CREATE TABLE IF NOT EXISTS whatsapp_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES whatsapp_conversations(id) ON DELETE CASCADE,
+  direction VARCHAR(10) NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+  sender VARCHAR(20) NOT NULL CHECK (sender IN ('citizen', 'bot', 'agent', 'notification')),
+  body TEXT,
+  media JSON DEFAULT '[]',
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  provider_message_id VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_conversation ON whatsapp_messages(conversation_id, created_at);
+
+COMMENT ON COLUMN whatsapp_messages.media IS 'Stored photos ({ path, mimeType, size }) sent to staff, or { mimeType } for photos the bot handled';
+COMMENT ON COLUMN whatsapp_messages.user_id IS 'Staff member who wrote an agent message';
+
+-- =====================================================
+-- HANDOFF TO STAFF
+-- =====================================================
+
+ALTER TABLE whatsapp_conversations
+ADD COLUMN IF NOT EXISTS agent_id UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS handoff_requested_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS failed_replies INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_conversations_handoff ON whatsapp_conversations(state, handoff_requested_at);
+
+COMMENT ON COLUMN whatsapp_conversations.agent_id IS 'Staff member handling the conversation while it is handed off; empty while waiting for one';
+COMMENT ON COLUMN whatsapp_conversations.handoff_requested_at IS 'When the conversation was last handed off to staff';
+COMMENT ON COLUMN whatsapp_conversations.failed_replies IS 'Replies in a row the bot could not understand; the citizen is offered a person after a few';
+
+-- Migration completed successfully
+-- Created whatsapp_messages and added handoff columns to whatsapp_conversations
@@ -0,0 +1,20 @@
+-- Migration: SMS and USSD conversations
+-- Citizens without WhatsApp use the same bot over SMS and USSD; each channel keeps its own
+-- conversation for a phone number
+
+ALTER TABLE whatsapp_conversations
+ADD COLUMN IF NOT EXISTS channel VARCHAR(20) NOT NULL DEFAULT 'whatsapp' CHECK (channel IN ('whatsapp', 'sms', 'ussd')),
+ADD COLUMN IF NOT EXISTS session_id VARCHAR(100);
+
+COMMENT ON COLUMN whatsapp_conversations.session_id IS 'USSD session the conversation is in; a new one means the citizen dialled again';
+
+-- One conversation per number and channel instead of per number
+ALTER TABLE whatsapp_conversations
+DROP CONSTRAINT IF EXISTS whatsapp_conversations_phone_number_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whatsapp_conversations_phone_channel ON whatsapp_conversations(phone_number, channel);
+
+COMMENT ON COLUMN incidents.intake_channel IS 'Channel the incident was first reported through: web, whatsapp, sms, ussd, open311';
+
+-- Migration completed successfully
+-- Added whatsapp_conversations.channel and session_id, unique per phone number and channel
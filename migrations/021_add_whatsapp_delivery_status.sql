@@ -0,0 +1,26 @@
+-- Migration: WhatsApp delivery status and outbox
+-- Ignores webhooks the provider repeats, records what happened to each message the bot sent,
+-- and keeps failed sends queued for another attempt
+
+ALTER TABLE whatsapp_messages
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) CHECK (status IN ('queued', 'sent', 'delivered', 'read', 'failed')),
+ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS error VARCHAR(500),
+ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP;
+
+-- Messages sent before delivery tracking are taken as sent
+UPDATE whatsapp_messages
+SET status = 'sent', attempts = 1
+WHERE direction = 'outbound' AND status IS NULL;
+
+-- An inbound message ID can only be taken in once; outbound IDs are looked up by status callbacks
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whatsapp_messages_provider_id ON whatsapp_messages(direction, provider_message_id);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_outbox ON whatsapp_messages(status, next_attempt_at);
+
+COMMENT ON COLUMN whatsapp_messages.provider_message_id IS 'Provider message ID (Twilio MessageSid); a webhook repeating an inbound one is ignored';
+COMMENT ON COLUMN whatsapp_messages.status IS 'Delivery of an outbound message: queued until the provider accepts it, then as the provider reports it';
+COMMENT ON COLUMN whatsapp_messages.next_attempt_at IS 'When a queued message is sent again after a failed attempt';
+
+-- Migration completed successfully
+-- Added delivery status and retry columns to whatsapp_messages, unique per direction and provider message ID
@@ -0,0 +1,22 @@
+-- Migration: Incident suburb and ward
+-- Locations are geocoded against a local gazetteer and ward boundary file, so incidents keep
+-- both coordinates and a readable address, plus the suburb and ward they fall in
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS suburb VARCHAR(100),
+ADD COLUMN IF NOT EXISTS ward VARCHAR(50);
+
+COMMENT ON COLUMN incidents.suburb IS 'Suburb of the location, from the gazetteer';
+COMMENT ON COLUMN incidents.ward IS 'Municipal ward the location falls in, from the ward boundaries';
+
+CREATE INDEX IF NOT EXISTS idx_incidents_ward ON incidents(ward);
+
+-- Shared WhatsApp locations were stored as "lat,lng" in location only; move them into the coordinate columns
+UPDATE incidents
+SET latitude = CAST(split_part(location, ',', 1) AS DOUBLE PRECISION),
+    longitude = CAST(split_part(location, ',', 2) AS DOUBLE PRECISION)
+WHERE latitude IS NULL
+  AND location ~ '^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$';
+
+-- Migration completed successfully
+-- Added incidents.suburb and ward, and filled coordinates from "lat,lng" locations
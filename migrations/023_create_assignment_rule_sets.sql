@@ -0,0 +1,27 @@
+-- Migration: Versioned assignment rules
+-- Automated assignment rules edited by admins, and the rule set version each assignment used
+
+CREATE TABLE IF NOT EXISTS assignment_rule_sets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version INTEGER NOT NULL UNIQUE,
+  rules JSON NOT NULL,
+  active BOOLEAN DEFAULT FALSE,
+  notes VARCHAR(500),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  activated_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one version is in use
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assignment_rule_sets_active ON assignment_rule_sets(active) WHERE active;
+
+COMMENT ON COLUMN assignment_rule_sets.rules IS 'Priority keywords and SLA targets, geographic zones, time windows and team capability boosts';
+COMMENT ON COLUMN assignment_rule_sets.active IS 'The version assignments use; with none active the built-in rules apply';
+
+ALTER TABLE job_cards
+ADD COLUMN IF NOT EXISTS rule_set_version INTEGER;
+
+COMMENT ON COLUMN job_cards.rule_set_version IS 'Assignment rule set version that picked the team; 0 for the built-in rules, empty for manual assignments';
+
+-- Migration completed successfully
+-- Created assignment_rule_sets and added job_cards.rule_set_version
@@ -0,0 +1,8 @@
+-- Migration: Incident coordinates index
+-- The incident map filters on latitude and longitude in the database instead of loading every incident
+
+CREATE INDEX IF NOT EXISTS idx_incidents_coordinates ON incidents(latitude, longitude)
+WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
+-- Migration completed successfully
+-- Added an index on incidents.latitude and longitude for map queries
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// Versions of the automated assignment rules edited by admins; a version is never changed once
+// saved, so the version recorded on a job card always shows the rules that picked the team
+const AssignmentRuleSet = sequelize.define('AssignmentRuleSet', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+  },
+  rules: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Priority keywords and SLA targets, geographic zones, time windows and team capability boosts',
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'The version assignments use; with none active the built-in rules apply',
+  },
+  notes: {
+    type: DataTypes.STRING(500),
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  activated_at: {
+    type: DataTypes.DATE,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'assignment_rule_sets',
+  timestamps: false,
+});
+
+module.exports = AssignmentRuleSet;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// Photos and documents attached to an incident, optionally tied to the job card they were taken for
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  incident_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'incidents',
+      key: 'id',
+    },
+  },
+  job_card_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'job_cards',
+      key: 'id',
+    },
+  },
+  uploaded_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    comment: 'Staff member who uploaded the file; empty for citizen uploads',
+  },
+  follow_up_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'incident_follow_ups',
+      key: 'id',
+    },
+    comment: 'Citizen follow-up the photo was sent with',
+  },
+  source: {
+    type: DataTypes.ENUM('public', 'whatsapp', 'worker', 'staff'),
+    allowNull: false,
+  },
+  file_path: {
+    type: DataTypes.STRING(1000),
+    allowNull: false,
+    comment: 'Stored file path, or the remote URL for media not yet downloaded',
+  },
+  mime_type: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'application/octet-stream',
+  },
+  size_bytes: {
+    type: DataTypes.INTEGER,
+  },
+  checksum: {
+    type: DataTypes.STRING(64),
+    comment: 'SHA-256 of the stored file',
+  },
+  caption: {
+    type: DataTypes.TEXT,
+  },
+  phase: {
+    type: DataTypes.ENUM('before', 'during', 'after'),
+    allowNull: false,
+    defaultValue: 'before',
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'attachments',
+  timestamps: false,
+});
+
+module.exports = Attachment;
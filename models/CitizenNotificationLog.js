@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// Delivery log for status updates sent to citizens who reported an incident
+const CitizenNotificationLog = sequelize.define('CitizenNotificationLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  incident_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'incidents',
+      key: 'id',
+    },
+  },
+  event: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+  },
+  channel: {
+    type: DataTypes.ENUM('whatsapp', 'sms', 'email'),
+    allowNull: false,
+  },
+  recipient: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('sent', 'failed', 'opted_out', 'not_configured'),
+    allowNull: false,
+  },
+  error: {
+    type: DataTypes.TEXT,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'citizen_notification_logs',
+  timestamps: false,
+});
+
+module.exports = CitizenNotificationLog;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// WhatsApp conversation flows edited by staff; a row with a built-in flow's key replaces it
+const ConversationFlow = sequelize.define('ConversationFlow', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  key: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+  },
+  definition: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Title, menu position, steps, prompts, validators and transitions',
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'conversation_flows',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+});
+
+module.exports = ConversationFlow;
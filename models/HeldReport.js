@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// Suspicious citizen reports held back from intake until a manager releases or rejects them
+const HeldReport = sequelize.define('HeldReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'web',
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Report as it would have been passed to intake',
+  },
+  reasons: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+  },
+  ip_address: {
+    type: DataTypes.STRING(64),
+  },
+  contact_phone: {
+    type: DataTypes.STRING(50),
+  },
+  contact_email: {
+    type: DataTypes.STRING(200),
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'released', 'rejected'),
+    defaultValue: 'pending',
+  },
+  incident_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'incidents',
+      key: 'id',
+    },
+    comment: 'Incident the report became (or joined) when released',
+  },
+  reviewed_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+  },
+  review_note: {
+    type: DataTypes.TEXT,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'held_reports',
+  timestamps: false,
+});
+
+module.exports = HeldReport;
@@ -26,14 +26,37 @@ const Incident = sequelize.define('Incident', {
   contact_email: {
     type: DataTypes.STRING(200),
   },
+  reporter_phone: {
+    type: DataTypes.STRING(50),
+    comment: 'Normalized phone number the report came from, for finding a citizen\'s reports'
+  },
   latitude: {
     type: DataTypes.DOUBLE,
   },
   longitude: {
     type: DataTypes.DOUBLE,
   },
+  suburb: {
+    type: DataTypes.STRING(100),
+    comment: 'Suburb of the location, from the gazetteer'
+  },
+  ward: {
+    type: DataTypes.STRING(50),
+    comment: 'Municipal ward the location falls in, from the ward boundaries'
+  },
   images: {
     type: DataTypes.STRING(1000), // comma separated
+    comment: 'Legacy image paths; new uploads are stored as attachments'
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    defaultValue: 'other',
+    comment: 'Incident category code (see IncidentCategoryService)'
+  },
+  intake_channel: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'web',
+    comment: 'Channel the citizen reported through'
   },
   tracking_id: {
     type: DataTypes.STRING(50),
@@ -53,6 +76,22 @@ const Incident = sequelize.define('Incident', {
   assigned_at: {
     type: DataTypes.DATE,
   },
+  duplicate_of_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'incidents',
+      key: 'id'
+    },
+    comment: 'Probable duplicate of this incident, flagged at intake'
+  },
+  merged_into_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'incidents',
+      key: 'id'
+    },
+    comment: 'Primary incident this duplicate was merged into'
+  },
   category_reasoning: {
     type: DataTypes.TEXT,
     comment: 'Reasoning for automatic categorization'
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// Comments and extra photos a reporter adds to an incident they already reported
+const IncidentFollowUp = sequelize.define('IncidentFollowUp', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  incident_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'incidents',
+      key: 'id',
+    },
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'web',
+  },
+  tracking_id: {
+    type: DataTypes.STRING(50),
+    comment: 'Tracking ID the reporter quoted, which may belong to a merged duplicate',
+  },
+  comment: {
+    type: DataTypes.TEXT,
+  },
+  contact_name: {
+    type: DataTypes.STRING(200),
+  },
+  contact_phone: {
+    type: DataTypes.STRING(50),
+  },
+  contact_email: {
+    type: DataTypes.STRING(200),
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'incident_follow_ups',
+  timestamps: false,
+});
+
+module.exports = IncidentFollowUp;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// Additional citizen reports that were linked to an existing incident
+// instead of creating a new incident row
+const IncidentReport = sequelize.define('IncidentReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  incident_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'incidents',
+      key: 'id',
+    },
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'web',
+  },
+  tracking_id: {
+    type: DataTypes.STRING(50),
+  },
+  title: {
+    type: DataTypes.STRING(200),
+  },
+  description: {
+    type: DataTypes.TEXT,
+  },
+  location: {
+    type: DataTypes.STRING(500),
+  },
+  contact_name: {
+    type: DataTypes.STRING(200),
+  },
+  contact_phone: {
+    type: DataTypes.STRING(50),
+  },
+  contact_email: {
+    type: DataTypes.STRING(200),
+  },
+  reporter_phone: {
+    type: DataTypes.STRING(50),
+    comment: 'Normalized phone number the report came from, for finding a citizen\'s reports'
+  },
+  images: {
+    type: DataTypes.TEXT, // comma separated
+  },
+  match_score: {
+    type: DataTypes.DOUBLE,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'incident_reports',
+  timestamps: false,
+});
+
+module.exports = IncidentReport;
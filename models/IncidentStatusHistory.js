@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+const IncidentStatusHistory = sequelize.define('IncidentStatusHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  incident_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'incidents',
+      key: 'id',
+    },
+  },
+  event: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    comment: 'Incident status after this event',
+  },
+  public_note: {
+    type: DataTypes.TEXT,
+    comment: 'Staff-written note shown to the reporter',
+  },
+  changed_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'incident_status_history',
+  timestamps: false,
+});
+
+module.exports = IncidentStatusHistory;
@@ -29,7 +29,7 @@ const JobCard = sequelize.define('JobCard', {
     },
   },
   status: {
-    type: DataTypes.ENUM('not_started', 'in_progress', 'completed'),
+    type: DataTypes.ENUM('not_started', 'in_progress', 'completed', 'cancelled'),
     defaultValue: 'not_started',
   },
   assigned_at: {
@@ -42,6 +42,10 @@ const JobCard = sequelize.define('JobCard', {
   completed_at: {
     type: DataTypes.DATE,
   },
+  rule_set_version: {
+    type: DataTypes.INTEGER,
+    comment: 'Assignment rule set version that picked the team; 0 for the built-in rules, empty for manual assignments',
+  },
 }, {
   tableName: 'job_cards',
   timestamps: true,     // ✅ enable created_at & updated_at
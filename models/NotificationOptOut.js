@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// Citizen addresses that asked not to receive incident status updates
+const NotificationOptOut = sequelize.define('NotificationOptOut', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  channel: {
+    type: DataTypes.ENUM('whatsapp', 'sms', 'email'),
+    allowNull: false,
+  },
+  address: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'notification_opt_outs',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['channel', 'address'] }
+  ],
+});
+
+module.exports = NotificationOptOut;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// IP addresses, phone numbers and emails whose public submissions are refused
+const ReporterBlock = sequelize.define('ReporterBlock', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  type: {
+    type: DataTypes.ENUM('ip', 'phone', 'email'),
+    allowNull: false,
+  },
+  value: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    comment: 'Normalised IP address, phone number or email',
+  },
+  reason: {
+    type: DataTypes.TEXT,
+  },
+  blocked_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    comment: 'Empty for permanent blocks',
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'reporter_blocks',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['type', 'value'] }
+  ],
+});
+
+module.exports = ReporterBlock;
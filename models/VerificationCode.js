@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// One-time codes sent to a reporter's phone to prove they reported an incident
+const VerificationCode = sequelize.define('VerificationCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  incident_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'incidents',
+      key: 'id',
+    },
+  },
+  phone: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  channel: {
+    type: DataTypes.ENUM('sms', 'whatsapp'),
+    allowNull: false,
+  },
+  code_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'HMAC of the code; the code itself is never stored',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  verified_at: {
+    type: DataTypes.DATE,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'verification_codes',
+  timestamps: false,
+});
+
+module.exports = VerificationCode;
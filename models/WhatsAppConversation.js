@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('./db');
 
+// A citizen's conversation with the bot on one channel: WhatsApp, or SMS and USSD for phones without it
 const WhatsAppConversation = sequelize.define('WhatsAppConversation', {
   id: {
     type: DataTypes.UUID,
@@ -10,28 +11,60 @@ const WhatsAppConversation = sequelize.define('WhatsAppConversation', {
   phone_number: {
     type: DataTypes.STRING(50),
     allowNull: false,
-    unique: true,
+  },
+  channel: {
+    type: DataTypes.ENUM('whatsapp', 'sms', 'ussd'),
+    allowNull: false,
+    defaultValue: 'whatsapp',
+  },
+  session_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'USSD session the conversation is in; a new one means the citizen dialled again',
+  },
+  flow: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Conversation flow the citizen is in; empty at the menus',
   },
   state: {
-    type: DataTypes.ENUM(
-      'idle',
-      'main_menu',
-      'selecting_incident_type',
-      'awaiting_incident_photo',
-      'awaiting_location',
-      'awaiting_name',
-      'confirming_incident',
-      'awaiting_progress_id',
-      'awaiting_escalation_id',
-      'awaiting_escalation_reason',
-      'confirming_escalation'
-    ),
+    type: DataTypes.STRING(50),
     defaultValue: 'idle',
+    comment: 'idle, selecting_language, main_menu, resuming, handoff, or the current step of the flow',
+  },
+  language: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'Language chosen in the bot (en, zu, af, st); empty until the citizen picks one',
   },
   temp_data: {
     type: DataTypes.JSON,
     defaultValue: {},
   },
+  draft: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Flow left unfinished when the session timed out: { flow, step, answers, savedAt }',
+  },
+  agent_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    comment: 'Staff member handling the conversation while it is handed off; empty while waiting for one',
+  },
+  handoff_requested_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the conversation was last handed off to staff',
+  },
+  failed_replies: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Replies in a row the bot could not understand; the citizen is offered a person after a few',
+  },
   last_activity: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -49,6 +82,9 @@ const WhatsAppConversation = sequelize.define('WhatsAppConversation', {
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['phone_number', 'channel'] }
+  ],
 });
 
 module.exports = WhatsAppConversation;
\ No newline at end of file
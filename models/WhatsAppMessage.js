@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('./db');
+
+// Transcript of a WhatsApp conversation: what the citizen sent and what the bot, staff and
+// status notifications sent back. Outbound messages are also the outbox failed sends are retried from
+const WhatsAppMessage = sequelize.define('WhatsAppMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  conversation_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'whatsapp_conversations',
+      key: 'id',
+    },
+  },
+  direction: {
+    type: DataTypes.ENUM('inbound', 'outbound'),
+    allowNull: false,
+  },
+  sender: {
+    type: DataTypes.ENUM('citizen', 'bot', 'agent', 'notification'),
+    allowNull: false,
+  },
+  body: {
+    type: DataTypes.TEXT,
+  },
+  media: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Stored photos ({ path, mimeType, size }) sent to staff, or { mimeType } for photos the bot handled',
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    comment: 'Staff member who wrote an agent message',
+  },
+  provider_message_id: {
+    type: DataTypes.STRING(100),
+    comment: 'Provider message ID (Twilio MessageSid); a webhook repeating an inbound one is ignored',
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'sent', 'delivered', 'read', 'failed'),
+    allowNull: true,
+    comment: 'Delivery of an outbound message: queued until the provider accepts it, then as the provider reports it',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a queued message is sent again after a failed attempt',
+  },
+  error: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  status_updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'whatsapp_messages',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['direction', 'provider_message_id'] },
+    { fields: ['status', 'next_attempt_at'] }
+  ],
+});
+
+module.exports = WhatsAppMessage;
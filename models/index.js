@@ -9,6 +9,18 @@ const ActivityLog = require('./ActivityLog');
 const Notification = require('./Notification');
 const Message = require('./Message');
 const WhatsAppConversation = require('./WhatsAppConversation');
+const IncidentReport = require('./IncidentReport');
+const IncidentStatusHistory = require('./IncidentStatusHistory');
+const CitizenNotificationLog = require('./CitizenNotificationLog');
+const NotificationOptOut = require('./NotificationOptOut');
+const Attachment = require('./Attachment');
+const IncidentFollowUp = require('./IncidentFollowUp');
+const ReporterBlock = require('./ReporterBlock');
+const HeldReport = require('./HeldReport');
+const VerificationCode = require('./VerificationCode');
+const ConversationFlow = require('./ConversationFlow');
+const WhatsAppMessage = require('./WhatsAppMessage');
+const AssignmentRuleSet = require('./AssignmentRuleSet');
 
 // Associations
 User.hasMany(Team, { foreignKey: 'manager_id' });
@@ -50,6 +62,63 @@ Message.belongsTo(User, { foreignKey: 'sender_id', as: 'sender' });
 User.hasMany(Message, { foreignKey: 'receiver_id', as: 'receivedMessages' });
 Message.belongsTo(User, { foreignKey: 'receiver_id', as: 'receiver' });
 
+Incident.hasMany(IncidentReport, { foreignKey: 'incident_id', as: 'linkedReports' });
+IncidentReport.belongsTo(Incident, { foreignKey: 'incident_id' });
+
+Incident.hasMany(IncidentStatusHistory, { foreignKey: 'incident_id', as: 'statusHistory' });
+IncidentStatusHistory.belongsTo(Incident, { foreignKey: 'incident_id' });
+
+User.hasMany(IncidentStatusHistory, { foreignKey: 'changed_by' });
+IncidentStatusHistory.belongsTo(User, { foreignKey: 'changed_by', as: 'changedBy' });
+
+Incident.hasMany(CitizenNotificationLog, { foreignKey: 'incident_id' });
+CitizenNotificationLog.belongsTo(Incident, { foreignKey: 'incident_id' });
+
+Incident.hasMany(Attachment, { foreignKey: 'incident_id', as: 'attachments' });
+Attachment.belongsTo(Incident, { foreignKey: 'incident_id' });
+
+JobCard.hasMany(Attachment, { foreignKey: 'job_card_id', as: 'attachments' });
+Attachment.belongsTo(JobCard, { foreignKey: 'job_card_id' });
+
+User.hasMany(Attachment, { foreignKey: 'uploaded_by' });
+Attachment.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+
+Incident.hasMany(IncidentFollowUp, { foreignKey: 'incident_id', as: 'followUps' });
+IncidentFollowUp.belongsTo(Incident, { foreignKey: 'incident_id' });
+
+IncidentFollowUp.hasMany(Attachment, { foreignKey: 'follow_up_id', as: 'attachments' });
+Attachment.belongsTo(IncidentFollowUp, { foreignKey: 'follow_up_id' });
+
+User.hasMany(ReporterBlock, { foreignKey: 'blocked_by' });
+ReporterBlock.belongsTo(User, { foreignKey: 'blocked_by', as: 'blockedBy' });
+
+Incident.hasMany(HeldReport, { foreignKey: 'incident_id' });
+HeldReport.belongsTo(Incident, { foreignKey: 'incident_id' });
+
+User.hasMany(HeldReport, { foreignKey: 'reviewed_by' });
+HeldReport.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+
+Incident.hasMany(VerificationCode, { foreignKey: 'incident_id' });
+VerificationCode.belongsTo(Incident, { foreignKey: 'incident_id' });
+
+User.hasMany(ConversationFlow, { foreignKey: 'updated_by' });
+ConversationFlow.belongsTo(User, { foreignKey: 'updated_by', as: 'updatedBy' });
+
+WhatsAppConversation.hasMany(WhatsAppMessage, { foreignKey: 'conversation_id', as: 'messages' });
+WhatsAppMessage.belongsTo(WhatsAppConversation, { foreignKey: 'conversation_id', as: 'conversation' });
+
+User.hasMany(WhatsAppMessage, { foreignKey: 'user_id' });
+WhatsAppMessage.belongsTo(User, { foreignKey: 'user_id', as: 'agent' });
+
+User.hasMany(WhatsAppConversation, { foreignKey: 'agent_id' });
+WhatsAppConversation.belongsTo(User, { foreignKey: 'agent_id', as: 'agent' });
+
+User.hasMany(AssignmentRuleSet, { foreignKey: 'created_by' });
+AssignmentRuleSet.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+Incident.belongsTo(Incident, { foreignKey: 'duplicate_of_id', as: 'duplicateOf' });
+Incident.belongsTo(Incident, { foreignKey: 'merged_into_id', as: 'mergedInto' });
+
 module.exports = {
   sequelize,
   User,
@@ -62,4 +131,16 @@ module.exports = {
   Notification,
   Message,
   WhatsAppConversation,
+  IncidentReport,
+  IncidentStatusHistory,
+  CitizenNotificationLog,
+  NotificationOptOut,
+  Attachment,
+  IncidentFollowUp,
+  ReporterBlock,
+  HeldReport,
+  VerificationCode,
+  ConversationFlow,
+  WhatsAppMessage,
+  AssignmentRuleSet,
 };
@@ -4,10 +4,12 @@ const { Op, DataTypes } = require('sequelize');
 const sequelize = require('../models/db');
 const { User, ActivityLog } = require('../models');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const AssignmentRuleService = require('../services/AssignmentRuleService');
 
 
 
 const router = express.Router();
+const ruleService = new AssignmentRuleService();
 
 // All admin routes require authentication and admin role
 router.use(authenticateToken, authorizeRoles('admin'));
@@ -490,6 +492,118 @@ router.get('/recent-activities', async (req, res) => {
   }
 });
 
+// Rule set version from the URL: a whole number, 0 being the built-in rules
+const parseRuleSetVersion = (value) => (/^\d+$/.test(value) ? parseInt(value, 10) : null);
+
+// List automated assignment rule set versions, newest first, with the built-in rules as version 0
+router.get('/assignment-rules', async (req, res) => {
+  try {
+    res.json(await ruleService.listVersions());
+  } catch (err) {
+    console.error('Error fetching assignment rules:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get one assignment rule set version
+router.get('/assignment-rules/:version', async (req, res) => {
+  const version = parseRuleSetVersion(req.params.version);
+  if (version === null) {
+    return res.status(400).json({ error: 'Version must be a whole number', code: 'INVALID_VERSION' });
+  }
+
+  try {
+    const ruleSet = await ruleService.getVersion(version);
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set version not found', code: 'RULE_SET_NOT_FOUND' });
+    }
+    res.json(ruleSet);
+  } catch (err) {
+    console.error('Error fetching assignment rule set:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save assignment rules as a new version, optionally using it straight away
+router.post('/assignment-rules', async (req, res) => {
+  const { rules, notes, activate } = req.body;
+  if (activate !== undefined && typeof activate !== 'boolean') {
+    return res.status(400).json({ error: 'Activate must be true or false' });
+  }
+
+  try {
+    const result = await ruleService.createVersion(rules, { notes, activate, userId: req.user.id });
+    if (!result.success) {
+      return res.status(result.code === 'RULE_SET_CONFLICT' ? 409 : 400).json({ error: result.error, code: result.code, details: result.details });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Saved assignment rules version ${result.ruleSet.version}${activate ? ' and made it active' : ''}`,
+      table_name: 'assignment_rule_sets',
+      reference_id: result.ruleSet.id,
+    });
+
+    res.status(201).json(result.ruleSet);
+  } catch (err) {
+    console.error('Error saving assignment rules:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Make a version the one automated assignment uses; version 0 goes back to the built-in rules
+router.post('/assignment-rules/:version/activate', async (req, res) => {
+  const version = parseRuleSetVersion(req.params.version);
+  if (version === null) {
+    return res.status(400).json({ error: 'Version must be a whole number', code: 'INVALID_VERSION' });
+  }
+
+  try {
+    const result = await ruleService.activateVersion(version);
+    if (!result.success) {
+      return res.status(result.code === 'RULE_SET_CONFLICT' ? 409 : 404).json({ error: result.error, code: result.code });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: version === 0 ? 'Restored the built-in assignment rules' : `Activated assignment rules version ${version}`,
+      table_name: 'assignment_rule_sets',
+      reference_id: result.ruleSet.id || null,
+    });
+
+    res.json(result.ruleSet);
+  } catch (err) {
+    console.error('Error activating assignment rules:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a rule set version that is not active and was never used for an assignment
+router.delete('/assignment-rules/:version', async (req, res) => {
+  const version = parseRuleSetVersion(req.params.version);
+  if (version === null) {
+    return res.status(400).json({ error: 'Version must be a whole number', code: 'INVALID_VERSION' });
+  }
+
+  try {
+    const result = await ruleService.removeVersion(version);
+    if (!result.success) {
+      return res.status(result.code === 'RULE_SET_NOT_FOUND' ? 404 : 400).json({ error: result.error, code: result.code });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Deleted assignment rules version ${version}`,
+      table_name: 'assignment_rule_sets',
+    });
+
+    res.json({ message: 'Rule set version deleted' });
+  } catch (err) {
+    console.error('Error deleting assignment rules:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Messaging to managers - placeholder, assume we have a messaging table, but not in schema. For now, just log.
 router.post('/message-managers', async (req, res) => {
   const { message } = req.body;
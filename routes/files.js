@@ -0,0 +1,70 @@
+const express = require('express');
+const { Attachment, JobCard, WorkerProgress } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const StorageService = require('../services/StorageService');
+const ImageProcessingService = require('../services/ImageProcessingService');
+
+const router = express.Router();
+const storage = new StorageService();
+const imageService = new ImageProcessingService();
+
+// Check whether a staff member may download an incident attachment
+async function canViewAttachment(attachment, user) {
+  if (user.role === 'admin' || user.role === 'manager') return true;
+
+  const jobCards = await JobCard.findAll({ where: { incident_id: attachment.incident_id } });
+  if (user.role === 'team_leader') {
+    return jobCards.some(jobCard => jobCard.team_leader_id === user.id);
+  }
+  if (user.role === 'worker') {
+    const assignment = await WorkerProgress.findOne({
+      where: { worker_id: user.id, job_card_id: jobCards.map(jobCard => jobCard.id) }
+    });
+    return !!assignment;
+  }
+  return false;
+}
+
+// Download through an expiring signed URL (local storage driver)
+router.get('/signed/:key', async (req, res) => {
+  const { key } = req.params;
+
+  if (!storage.verifySignedRequest(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'Link is invalid or has expired' });
+  }
+
+  try {
+    if (!(await storage.sendFile(res, key))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+  } catch (err) {
+    console.error('Error serving signed file:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download an incident attachment after checking the caller's access
+router.get('/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const attachment = await Attachment.findByPk(req.params.attachmentId);
+    if (!attachment || !(await canViewAttachment(attachment, req.user))) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (storage.isRemoteUrl(attachment.file_path)) {
+      return res.redirect(attachment.file_path);
+    }
+
+    const variants = imageService.variantsFor(attachment.file_path);
+    const key = variants[req.query.variant] || attachment.file_path;
+
+    if (!(await storage.sendFile(res, key))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+  } catch (err) {
+    console.error('Error downloading attachment:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
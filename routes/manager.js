@@ -7,10 +7,26 @@ const AutomatedAssignmentService = require('../services/AutomatedAssignmentServi
 const AssignmentAuthorization = require('../middleware/assignmentAuth');
 const StatusValidationMiddleware = require('../middleware/statusValidation');
 const StatusValidationService = require('../services/StatusValidationService');
+const IncidentMergeService = require('../services/IncidentMergeService');
+const StatusHistoryService = require('../services/StatusHistoryService');
+const IncidentMapService = require('../services/IncidentMapService');
+const AttachmentService = require('../services/AttachmentService');
+const IncidentFollowUpService = require('../services/IncidentFollowUpService');
+const ModerationQueueService = require('../services/ModerationQueueService');
+const IntakeProtectionService = require('../services/IntakeProtectionService');
+const ConversationFlowService = require('../services/ConversationFlowService');
+const WhatsAppInboxService = require('../services/WhatsAppInboxService');
+const { uploadAttachments } = require('../middleware/attachmentUpload');
 
 const { Team, TeamMember, User, Incident, JobCard, WorkerProgress, ActivityLog } = models;
 
 const router = express.Router();
+const attachmentService = new AttachmentService();
+const followUpService = new IncidentFollowUpService();
+const moderationService = new ModerationQueueService();
+const protectionService = new IntakeProtectionService();
+const flowService = new ConversationFlowService();
+const inboxService = new WhatsAppInboxService();
 
 // All manager routes require authentication and manager role
 router.use(authenticateToken, authorizeRoles('manager'));
@@ -100,7 +116,7 @@ router.delete('/teams/:teamId/members/:memberId', async (req, res) => {
 router.post('/incidents/:incidentId/assign/:teamId', async (req, res) => {
   try {
     const { incidentId, teamId } = req.params;
-    const { reason } = req.body;
+    const { reason, publicNote } = req.body;
 
     const incident = await Incident.findByPk(incidentId);
     if (!incident) {
@@ -145,6 +161,8 @@ router.post('/incidents/:incidentId/assign/:teamId', async (req, res) => {
       assigned_at: new Date()
     });
 
+    await new StatusHistoryService().record(incident, 'assigned', { userId: req.user.id, publicNote });
+
     // Update team capacity
     await team.update({
       current_capacity: team.current_capacity + 1,
@@ -463,6 +481,7 @@ router.delete('/incidents/:incidentId/assign', async (req, res) => {
 
     await jobCard.destroy();
     await Incident.update({ status: 'verified' }, { where: { id: req.params.incidentId } });
+    await new StatusHistoryService().recordStatusChange(req.params.incidentId, 'verified', { userId: req.user.id });
 
     await ActivityLog.create({
       user_id: req.user.id,
@@ -495,6 +514,140 @@ router.get('/incidents', async (req, res) => {
   }
 });
 
+// Incident map for the dashboard (GeoJSON with team and job card data)
+router.get('/incidents/map', async (req, res) => {
+  const mapService = new IncidentMapService();
+  const parsed = mapService.parseFilters(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const collection = await mapService.getFeatureCollection(parsed.filters, { staff: true });
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (err) {
+    console.error('Error building incident map:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List reporter follow-ups on an incident
+router.get('/incidents/:incidentId/follow-ups', async (req, res) => {
+  try {
+    const incident = await Incident.findByPk(req.params.incidentId);
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+
+    res.json(await followUpService.listForIncident(incident.id));
+  } catch (err) {
+    console.error('Error fetching incident follow-ups:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List attachments on an incident, including job card photos
+router.get('/incidents/:incidentId/attachments', async (req, res) => {
+  try {
+    const incident = await Incident.findByPk(req.params.incidentId);
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+
+    res.json(await attachmentService.listForIncident(incident.id));
+  } catch (err) {
+    console.error('Error fetching incident attachments:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Attach photos or documents to an incident
+router.post('/incidents/:incidentId/attachments', uploadAttachments, async (req, res) => {
+  try {
+    const incident = await Incident.findByPk(req.params.incidentId, { include: [JobCard] });
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+
+    const result = await attachmentService.addUploads((req.files || []).map(f => f.buffer), {
+      incidentId: incident.id,
+      jobCardId: req.body.phase && req.body.phase !== 'before' && incident.JobCard ? incident.JobCard.id : null,
+      uploadedBy: req.user.id,
+      source: 'staff',
+      caption: req.body.caption,
+      phase: req.body.phase || 'before'
+    });
+    if (!result.success) return res.status(400).json(result);
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Added ${result.attachments.length} attachment(s) to incident: ${incident.title}`,
+      table_name: 'incidents',
+      reference_id: incident.id,
+    });
+
+    res.status(201).json(await attachmentService.serializeAll(result.attachments));
+  } catch (err) {
+    console.error('Error adding incident attachments:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove an attachment from an incident
+router.delete('/incidents/:incidentId/attachments/:attachmentId', async (req, res) => {
+  try {
+    const result = await attachmentService.remove(req.params.attachmentId, { incidentId: req.params.incidentId });
+    if (!result.success) return res.status(404).json(result);
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: 'Removed attachment from incident',
+      table_name: 'incidents',
+      reference_id: req.params.incidentId,
+    });
+
+    res.json({ message: 'Attachment removed' });
+  } catch (err) {
+    console.error('Error removing incident attachment:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Merge duplicate incidents into a primary incident
+router.post('/incidents/:incidentId/merge', async (req, res) => {
+  try {
+    const { duplicateIds, reason } = req.body;
+
+    const mergeService = new IncidentMergeService();
+    const result = await mergeService.mergeIncidents(
+      req.params.incidentId,
+      duplicateIds,
+      req.user.id,
+      reason || ''
+    );
+
+    if (!result.success) {
+      const statusCode = ['PRIMARY_NOT_FOUND', 'DUPLICATE_NOT_FOUND'].includes(result.code) ? 404
+        : result.code === 'MERGE_SYSTEM_ERROR' ? 500 : 400;
+      return res.status(statusCode).json(result);
+    }
+
+    global.sendRoleNotification('manager', 'incident-merged', {
+      type: 'info',
+      title: 'Incidents Merged',
+      message: `${result.mergedTrackingIds.length} duplicate incident(s) merged into "${result.primary.title}"`,
+      related_type: 'incident',
+      related_id: result.primary.id
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: {
+        primary: result.primary,
+        mergedTrackingIds: result.mergedTrackingIds
+      }
+    });
+  } catch (err) {
+    console.error('Error merging incidents:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get comprehensive stats
 router.get('/stats', async (req, res) => {
   try {
@@ -571,7 +724,7 @@ router.get('/stats', async (req, res) => {
     const teamStats = teams.map(team => {
       const totalJobs = team.JobCards?.length || 0;
       const completedJobs = team.JobCards?.filter(job => job.status === 'completed').length || 0;
-      const pendingJobs = team.JobCards?.filter(job => job.status !== 'completed').length || 0;
+      const pendingJobs = team.JobCards?.filter(job => !['completed', 'cancelled'].includes(job.status)).length || 0;
       const memberCount = team.TeamMembers?.length || 0;
 
       return {
@@ -877,6 +1030,8 @@ router.post('/automation/bulk-assign',
               assigned_at: new Date()
             });
 
+            await new StatusHistoryService().record(incident, 'assigned', { userId: managerId });
+
             // Log the assignment
             await ActivityLog.create({
               user_id: managerId,
@@ -1000,6 +1155,8 @@ router.post('/automation/revert/:incidentId',
         priority: null,
         category_reasoning: null
       });
+
+      await new StatusHistoryService().recordStatusChange(req.incident, 'verified', { userId: req.user.id });
       
       // Log the revert operation
       await ActivityLog.create({
@@ -1103,7 +1260,8 @@ router.patch('/incidents/:incidentId/status',
         req.body.status,
         result,
         userId,
-        reason
+        reason,
+        { publicNote: req.body.publicNote }
       );
 
       if (!updateResult.success) {
@@ -1190,7 +1348,8 @@ router.patch('/incidents/:incidentId/status/in-progress',
         'In Progress',
         result,
         userId,
-        'Marked as In Progress'
+        'Marked as In Progress',
+        { publicNote: req.body.publicNote }
       );
 
       if (!updateResult.success) {
@@ -1241,7 +1400,8 @@ router.patch('/incidents/:incidentId/status/completed',
         'Completed',
         result,
         userId,
-        reason
+        reason,
+        { publicNote: req.body.publicNote }
       );
 
       if (!updateResult.success) {
@@ -1299,7 +1459,8 @@ router.patch('/incidents/:incidentId/status/cancelled',
         'Cancelled',
         result,
         userId,
-        reason
+        reason,
+        { publicNote: req.body.publicNote }
       );
 
       if (!updateResult.success) {
@@ -1578,4 +1739,305 @@ router.post('/scheduling/config', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// List citizen reports held for moderation
+router.get('/moderation', async (req, res) => {
+  const status = req.query.status || 'pending';
+  if (!['pending', 'released', 'rejected'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be one of: pending, released, rejected' });
+  }
+
+  try {
+    res.json(await moderationService.list({ status }));
+  } catch (err) {
+    console.error('Error fetching moderation queue:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Release a held report into normal intake
+router.post('/moderation/:heldReportId/release', async (req, res) => {
+  try {
+    const result = await moderationService.release(req.params.heldReportId, req.user.id, req.body.note);
+    if (!result.success) {
+      return res.status(result.code === 'HELD_REPORT_NOT_FOUND' ? 404 : 400).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      held: result.held,
+      incidentId: result.incident.id,
+      trackingId: result.trackingId,
+      joinedExisting: result.joinedExisting
+    });
+  } catch (err) {
+    console.error('Error releasing held report:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reject a held report, optionally blocking the reporter
+router.post('/moderation/:heldReportId/reject', async (req, res) => {
+  try {
+    const result = await moderationService.reject(req.params.heldReportId, req.user.id, {
+      note: req.body.note,
+      block: req.body.block === true || req.body.block === 'true'
+    });
+    if (!result.success) {
+      return res.status(result.code === 'HELD_REPORT_NOT_FOUND' ? 404 : 400).json({ error: result.error, code: result.code });
+    }
+
+    res.json({ held: result.held, blocks: result.blocks });
+  } catch (err) {
+    console.error('Error rejecting held report:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List blocked reporters
+router.get('/blocklist', async (req, res) => {
+  try {
+    const blocks = await models.ReporterBlock.findAll({
+      include: [{ model: User, as: 'blockedBy', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']]
+    });
+    res.json(blocks);
+  } catch (err) {
+    console.error('Error fetching blocklist:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Block a reporter's IP address, phone number or email
+router.post('/blocklist', async (req, res) => {
+  const { type, value, reason, expiresAt } = req.body;
+
+  try {
+    const result = await protectionService.block(type, value, { reason, expiresAt, userId: req.user.id });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Blocked reporter ${type} ${result.block.value}`,
+      table_name: 'reporter_blocks',
+      reference_id: result.block.id,
+    });
+
+    res.status(201).json(result.block);
+  } catch (err) {
+    console.error('Error blocking reporter:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a reporter from the blocklist
+router.delete('/blocklist/:blockId', async (req, res) => {
+  try {
+    const block = await models.ReporterBlock.findByPk(req.params.blockId);
+    if (!block) return res.status(404).json({ error: 'Block not found' });
+
+    await block.destroy();
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Unblocked reporter ${block.type} ${block.value}`,
+      table_name: 'reporter_blocks',
+      reference_id: block.id,
+    });
+
+    res.json({ message: 'Reporter unblocked' });
+  } catch (err) {
+    console.error('Error unblocking reporter:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List WhatsApp conversation flows, built-in and staff-defined, including disabled ones
+router.get('/whatsapp-flows', async (req, res) => {
+  try {
+    res.json(await flowService.loadFlows());
+  } catch (err) {
+    console.error('Error fetching WhatsApp flows:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a WhatsApp flow, or replace one; the bot uses it from the next message
+router.put('/whatsapp-flows/:key', async (req, res) => {
+  const { definition, enabled } = req.body;
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'Enabled must be true or false' });
+  }
+
+  try {
+    const result = await flowService.saveFlow(req.params.key, definition, { enabled, userId: req.user.id });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, code: result.code, details: result.details });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Saved WhatsApp flow ${result.flow.key} (version ${result.flow.version})`,
+      table_name: 'conversation_flows',
+      reference_id: result.flow.id,
+    });
+
+    res.json(result.flow);
+  } catch (err) {
+    console.error('Error saving WhatsApp flow:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn a WhatsApp flow on or off in the bot's menu
+router.patch('/whatsapp-flows/:key', async (req, res) => {
+  const { enabled } = req.body;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'Enabled must be true or false' });
+  }
+
+  try {
+    const result = await flowService.setEnabled(req.params.key, enabled, req.user.id);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error, code: result.code });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `${enabled ? 'Enabled' : 'Disabled'} WhatsApp flow ${result.flow.key}`,
+      table_name: 'conversation_flows',
+      reference_id: result.flow.id,
+    });
+
+    res.json(result.flow);
+  } catch (err) {
+    console.error('Error updating WhatsApp flow:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a staff-defined WhatsApp flow; a replaced built-in flow goes back to its default
+router.delete('/whatsapp-flows/:key', async (req, res) => {
+  try {
+    const result = await flowService.removeFlow(req.params.key);
+    if (!result.success) {
+      return res.status(result.code === 'FLOW_NOT_FOUND' ? 404 : 400).json({ error: result.error, code: result.code });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Deleted WhatsApp flow ${req.params.key}`,
+      table_name: 'conversation_flows',
+    });
+
+    res.json({
+      message: result.restoredBuiltIn ? 'Flow restored to the built-in version' : 'Flow deleted',
+      restoredBuiltIn: result.restoredBuiltIn
+    });
+  } catch (err) {
+    console.error('Error deleting WhatsApp flow:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// WhatsApp inbox: conversations waiting for a person, being handled by staff, or all of them
+router.get('/whatsapp-inbox', async (req, res) => {
+  const status = req.query.status || 'waiting';
+  if (!inboxService.statuses.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${inboxService.statuses.join(', ')}` });
+  }
+
+  try {
+    res.json(await inboxService.listThreads({
+      status,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || 0
+    }));
+  } catch (err) {
+    console.error('Error fetching WhatsApp inbox:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Transcript of a WhatsApp conversation; pass ?before= with the oldest message's date for earlier pages
+router.get('/whatsapp-inbox/:conversationId', async (req, res) => {
+  if (req.query.before && isNaN(new Date(req.query.before).getTime())) {
+    return res.status(400).json({ error: 'Before must be a date' });
+  }
+
+  try {
+    const result = await inboxService.getTranscript(req.params.conversationId, {
+      before: req.query.before,
+      limit: parseInt(req.query.limit) || undefined
+    });
+    if (!result.success) {
+      return res.status(404).json({ error: result.error, code: result.code });
+    }
+
+    res.json({ thread: result.thread, messages: result.messages, hasMore: result.hasMore });
+  } catch (err) {
+    console.error('Error fetching WhatsApp transcript:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Take a WhatsApp conversation over from the bot
+router.post('/whatsapp-inbox/:conversationId/claim', async (req, res) => {
+  try {
+    const result = await inboxService.claim(req.params.conversationId, req.user);
+    if (!result.success) {
+      return res.status(result.code === 'CONVERSATION_NOT_FOUND' ? 404 : 409).json({ error: result.error, code: result.code });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Took over WhatsApp conversation with ${result.conversation.phone_number}`,
+      table_name: 'whatsapp_conversations',
+      reference_id: result.conversation.id,
+    });
+
+    res.json(inboxService.serializeThread(result.conversation));
+  } catch (err) {
+    console.error('Error taking over WhatsApp conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reply to a citizen on WhatsApp; the bot stays paused until the conversation is released
+router.post('/whatsapp-inbox/:conversationId/messages', async (req, res) => {
+  try {
+    const result = await inboxService.reply(req.params.conversationId, req.user, req.body.body);
+    if (!result.success) {
+      const status = { CONVERSATION_NOT_FOUND: 404, ALREADY_CLAIMED: 409 }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.status(201).json({ message: result.message, delivered: result.delivered });
+  } catch (err) {
+    console.error('Error replying on WhatsApp:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Give a WhatsApp conversation back to the bot
+router.post('/whatsapp-inbox/:conversationId/release', async (req, res) => {
+  try {
+    const result = await inboxService.release(req.params.conversationId, req.user);
+    if (!result.success) {
+      return res.status(result.code === 'CONVERSATION_NOT_FOUND' ? 404 : 400).json({ error: result.error, code: result.code });
+    }
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Gave WhatsApp conversation with ${result.conversation.phone_number} back to the bot`,
+      table_name: 'whatsapp_conversations',
+      reference_id: result.conversation.id,
+    });
+
+    res.json(inboxService.serializeThread(result.conversation));
+  } catch (err) {
+    console.error('Error releasing WhatsApp conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,22 +4,21 @@ const { Message, User, TeamMember } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
+const ImageProcessingService = require('../services/ImageProcessingService');
 
 const router = express.Router();
+const imageService = new ImageProcessingService();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads'));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Attachment types accepted after checking the file contents
+const documentTypes = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
 
+// Configure multer for file uploads - files are kept in memory until their contents are checked
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx/;
@@ -37,6 +36,26 @@ const upload = multer({
 // All routes require authentication
 router.use(authenticateToken);
 
+// Swap the stored attachment key for an expiring download URL
+async function withAttachmentUrl(message) {
+  const json = message.toJSON();
+  if (json.attachment_url) {
+    json.attachment_url = await imageService.storage.getUrl(json.attachment_url);
+  }
+  return json;
+}
+
+// Check whether a user can see a message (same rules as the message list)
+async function canViewMessage(message, userId, userRole) {
+  if (message.sender_id === userId || message.receiver_id === userId) return true;
+  if (message.receiver_id) return false;
+  if (message.target_role && message.target_role === userRole) return true;
+  if (message.channel) {
+    return (await getAccessibleChannels(userId, userRole)).includes(message.channel);
+  }
+  return false;
+}
+
 // Helper function to get visible users for a given user
 async function getVisibleUsers(userId, userRole) {
   const user = await User.findByPk(userId);
@@ -145,7 +164,7 @@ router.get('/', async (req, res) => {
       limit: 100
     });
 
-    res.json(messages);
+    res.json(await Promise.all(messages.map(withAttachmentUrl)));
   } catch (err) {
     console.error('Error fetching messages:', err);
     res.status(500).json({ error: 'Server error' });
@@ -198,7 +217,15 @@ router.post('/', upload.single('attachment'), async (req, res) => {
 
     let attachment_url = null;
     if (req.file) {
-      attachment_url = `/uploads/${req.file.filename}`;
+      const type = imageService.detectType(req.file.buffer);
+      const stored = type && type.image
+        ? await imageService.processImage(req.file.buffer)
+        : await imageService.storeDocument(req.file.buffer, documentTypes);
+
+      if (!stored.success) {
+        return res.status(400).json({ error: stored.error });
+      }
+      attachment_url = stored.path;
     }
 
     const message = await Message.create({
@@ -215,13 +242,33 @@ router.post('/', upload.single('attachment'), async (req, res) => {
       include: [{ model: User, as: 'sender', attributes: ['id', 'name', 'role'] }]
     });
 
-    res.status(201).json(messageWithSender);
+    res.status(201).json(await withAttachmentUrl(messageWithSender));
   } catch (err) {
     console.error('Error sending message:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Download a message attachment
+router.get('/:id/attachment', async (req, res) => {
+  try {
+    const message = await Message.findByPk(req.params.id);
+    if (!message || !message.attachment_url || !(await canViewMessage(message, req.user.id, req.user.role))) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (imageService.storage.isRemoteUrl(message.attachment_url)) {
+      return res.redirect(message.attachment_url);
+    }
+    if (!(await imageService.storage.sendFile(res, message.attachment_url))) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+  } catch (err) {
+    console.error('Error downloading message attachment:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get unread message count
 router.get('/unread-count', async (req, res) => {
   try {
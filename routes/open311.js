@@ -0,0 +1,102 @@
+const express = require('express');
+const Open311Service = require('../services/Open311Service');
+
+const router = express.Router();
+const open311Service = new Open311Service();
+
+// Open311 errors are a list of { code, description }
+const sendError = (res, status, description) => res.status(status).json([{ code: status, description }]);
+
+const baseUrlFor = (req) => `${req.protocol}://${req.get('host')}`;
+
+const splitList = (value) => value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Reject requests for another jurisdiction
+router.use((req, res, next) => {
+  const jurisdictionId = req.query.jurisdiction_id || (req.body && req.body.jurisdiction_id);
+  if (!open311Service.isKnownJurisdiction(jurisdictionId)) {
+    return sendError(res, 404, 'jurisdiction_id not found');
+  }
+  next();
+});
+
+// Service list
+router.get('/services.json', (req, res) => {
+  res.json(open311Service.getServices());
+});
+
+// Search service requests
+router.get('/requests.json', async (req, res) => {
+  const startDate = parseDate(req.query.start_date);
+  const endDate = parseDate(req.query.end_date);
+  const statuses = splitList(req.query.status);
+
+  if (startDate === undefined || endDate === undefined) {
+    return sendError(res, 400, 'start_date and end_date must be w3 formatted dates');
+  }
+  if (statuses.some(status => !['open', 'closed'].includes(status))) {
+    return sendError(res, 400, 'status must be open or closed');
+  }
+
+  try {
+    const requests = await open311Service.findRequests({
+      serviceRequestIds: splitList(req.query.service_request_id),
+      serviceCodes: splitList(req.query.service_code),
+      statuses,
+      startDate,
+      endDate
+    }, baseUrlFor(req));
+
+    res.json(requests);
+  } catch (err) {
+    console.error('Error searching Open311 requests:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
+
+// Create a service request
+router.post('/requests.json', async (req, res) => {
+  if (!open311Service.isValidApiKey(req.body.api_key)) {
+    return sendError(res, 403, 'Invalid api_key');
+  }
+  if (!req.body.service_code) {
+    return sendError(res, 400, 'service_code is required');
+  }
+
+  try {
+    const result = await open311Service.createRequest(req.body);
+
+    if (!result.success) {
+      return sendError(res, result.code === 'INVALID_SERVICE_CODE' ? 404 : 400, result.error);
+    }
+
+    res.status(201).json([result.request]);
+  } catch (err) {
+    console.error('Error creating Open311 request:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
+
+// Get a single service request
+router.get('/requests/:serviceRequestId.json', async (req, res) => {
+  try {
+    const request = await open311Service.getRequest(req.params.serviceRequestId, baseUrlFor(req));
+
+    if (!request) {
+      return sendError(res, 404, 'service_request_id not found');
+    }
+
+    res.json([request]);
+  } catch (err) {
+    console.error('Error fetching Open311 request:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
+
+module.exports = router;
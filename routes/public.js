@@ -1,78 +1,145 @@
 const express = require('express');
 const multer = require('multer');
-const { Incident, ActivityLog } = require('../models');
+const { Incident, IncidentReport, ActivityLog } = require('../models');
+const IncidentIntakeService = require('../services/IncidentIntakeService');
+const IncidentMergeService = require('../services/IncidentMergeService');
+const StatusHistoryService = require('../services/StatusHistoryService');
+const CitizenNotificationService = require('../services/CitizenNotificationService');
+const IncidentMapService = require('../services/IncidentMapService');
+const ImageProcessingService = require('../services/ImageProcessingService');
+const AttachmentService = require('../services/AttachmentService');
+const IncidentFollowUpService = require('../services/IncidentFollowUpService');
+const IntakeProtectionService = require('../services/IntakeProtectionService');
+const ModerationQueueService = require('../services/ModerationQueueService');
+const ReporterVerificationService = require('../services/ReporterVerificationService');
+const { protectIntake } = require('../middleware/intakeProtection');
+const { requireVerifiedReporter } = require('../middleware/reporterVerification');
+const { detectLanguage } = require('../middleware/language');
 
 const router = express.Router();
+const intakeService = new IncidentIntakeService();
+const mergeService = new IncidentMergeService();
+const historyService = new StatusHistoryService();
+const citizenNotificationService = new CitizenNotificationService();
+const mapService = new IncidentMapService();
+const imageService = new ImageProcessingService();
+const attachmentService = new AttachmentService();
+const followUpService = new IncidentFollowUpService();
+const protectionService = new IntakeProtectionService();
+const moderationService = new ModerationQueueService();
+const verificationService = new ReporterVerificationService();
 
-// Multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, 'uploads/'),
-  filename: (req, file, cb) => cb(null, Date.now() + '-' + file.originalname),
+// Values filled into translated service errors
+const errorParams = {
+  maxCommentLength: followUpService.config.maxCommentLength,
+  maxImageMb: Math.round(imageService.config.maxBytes / 1024 / 1024),
+  resendSeconds: verificationService.config.resendSeconds,
+  channels: verificationService.smsService.channels.join(', ')
+};
+const translateError = (req, result) => req.t(`errors.${result.code}`, errorParams, result.error);
+
+// Messages follow the Accept-Language header
+router.use(detectLanguage);
+
+// Multer keeps uploads in memory; only processed, EXIF-free images are written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: imageService.config.maxBytes, files: 5 }
 });
-const upload = multer({ storage });
+const uploadImages = (req, res, next) => {
+  upload.array('images', 5)(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
 
 // Report incident
-router.post('/report', upload.array('images', 5), async (req, res) => {
-  const { title, description, location, contactName, contactPhone, contactEmail, latitude, longitude } = req.body;
-  const images = req.files ? req.files.map(f => f.path).join(',') : null;
+router.post('/report', uploadImages, protectIntake('report'), async (req, res) => {
+  const { title, description, category, location, contactName, contactPhone, contactEmail } = req.body;
+  let latitude = req.body.latitude ? parseFloat(req.body.latitude) : null;
+  let longitude = req.body.longitude ? parseFloat(req.body.longitude) : null;
 
   try {
-    // Generate tracking ID
-    const trackingId = 'INC' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
+    const processed = await imageService.processImages((req.files || []).map(f => f.buffer));
+    if (!processed.success) {
+      return res.status(400).json({ error: translateError(req, processed), code: processed.code });
+    }
 
-    const incident = await Incident.create({
+    // Fall back to the position the photo was taken at
+    if ((latitude === null || longitude === null) && processed.gps) {
+      latitude = processed.gps.latitude;
+      longitude = processed.gps.longitude;
+    }
+
+    const report = {
       title,
       description,
-      location,
-      contact_name: contactName,
-      contact_phone: contactPhone,
-      contact_email: contactEmail,
-      latitude: latitude ? parseFloat(latitude) : null,
-      longitude: longitude ? parseFloat(longitude) : null,
-      images,
-      tracking_id: trackingId,
-      status: 'verified'
-    });
+      category,
+      location: location || (processed.gps ? `${latitude},${longitude}` : location),
+      contactName,
+      contactPhone,
+      contactEmail,
+      latitude,
+      longitude,
+      attachments: processed.images
+    };
 
-    // Log activity
-    await ActivityLog.create({
-      action: `Incident reported: ${title}`,
-      table_name: 'incidents',
-      reference_id: incident.id,
-    });
+    // Suspicious reports wait for a manager instead of notifying everyone straight away
+    const reasons = protectionService.assessReport(report, req.intakeIdentities);
+    if (reasons.length > 0) {
+      await moderationService.hold(report, { channel: 'web', ip: req.ip, reasons });
+      return res.status(202).json({
+        held: true,
+        message: req.t('api.report_held')
+      });
+    }
 
-    // Send notification to managers
-    global.sendRoleNotification('manager', 'new-incident', {
-      type: 'alert',
-      title: 'New Incident Reported',
-      message: `New incident reported: ${title}`,
-      related_type: 'incident',
-      related_id: incident.id
-    });
+    const result = await intakeService.submitReport(report, { channel: 'web' });
+
+    if (result.joinedExisting) {
+      return res.status(200).json({
+        id: result.incident.id,
+        trackingId: result.trackingId,
+        joinedExisting: true,
+        status: result.incident.status,
+        message: req.t('api.report_joined')
+      });
+    }
 
     res.status(201).json({
-      id: incident.id,
-      trackingId: trackingId,
-      message: 'Incident reported successfully'
+      id: result.incident.id,
+      trackingId: result.trackingId,
+      joinedExisting: false,
+      message: req.t('api.report_created')
     });
   } catch (err) {
     console.error('Error reporting incident:', err);
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
   }
 });
 
 // Check incident progress
 router.get('/incidents/status/:trackingId', async (req, res) => {
   try {
-    const incident = await Incident.findOne({
-      where: { tracking_id: req.params.trackingId },
+    // Tracking IDs of merged duplicates resolve to the primary incident
+    // No near-miss suggestions here: anyone could use them to find other people's tracking IDs
+    const resolved = await mergeService.resolveTrackingId(req.params.trackingId);
+    if (!resolved) {
+      return res.status(404).json({ error: req.t('errors.INCIDENT_NOT_FOUND') });
+    }
+
+    const incident = await Incident.findByPk(resolved.incident.id, {
       include: ['assignedTeam']
     });
-    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+
+    const timeline = await historyService.getPublicTimeline(incident);
+    const imagePaths = (await attachmentService.getImagePaths([incident], { citizenOnly: true })).get(incident.id);
 
     res.json({
       id: incident.id,
       trackingId: incident.tracking_id,
+      requestedTrackingId: resolved.requestedTrackingId,
+      mergedFrom: resolved.mergedFrom.length > 0 ? resolved.mergedFrom : null,
       title: incident.title,
       description: incident.description,
       location: incident.location,
@@ -83,41 +150,132 @@ router.get('/incidents/status/:trackingId', async (req, res) => {
         name: incident.assignedTeam.name
       } : null,
       assignedAt: incident.assigned_at,
-      images: incident.images ? incident.images.split(',') : []
+      images: await Promise.all(imagePaths.map(imagePath => imageService.storage.getUrl(imagePath))),
+      imageVariants: await Promise.all(imagePaths.map(imagePath => imageService.variantUrlsFor(imagePath))),
+      timeline: timeline.map(entry => ({ ...entry, label: req.t(`timeline.${entry.event}`, {}, entry.label) }))
     });
   } catch (err) {
     console.error('Error fetching incident:', err);
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
+  }
+});
+
+// Add a comment or more photos to an existing report
+router.post('/incidents/:trackingId/follow-ups', uploadImages, protectIntake('follow_up'), requireVerifiedReporter(req => req.params.trackingId), async (req, res) => {
+  const { comment, contactName, contactEmail } = req.body;
+
+  try {
+    const processed = await imageService.processImages((req.files || []).map(f => f.buffer));
+    if (!processed.success) {
+      return res.status(400).json({ error: translateError(req, processed), code: processed.code });
+    }
+
+    const result = await followUpService.submitFollowUp(req.params.trackingId, {
+      comment,
+      contactName,
+      contactPhone: req.verifiedReporter.phone,
+      contactEmail,
+      attachments: processed.images
+    }, { channel: 'web' });
+
+    if (!result.success) {
+      await Promise.all(processed.images.map(image => imageService.removeImage(image.path)));
+      return res.status(result.code === 'INCIDENT_NOT_FOUND' ? 404 : 400).json({ error: translateError(req, result), code: result.code });
+    }
+
+    res.status(201).json({
+      id: result.followUp.id,
+      trackingId: result.incident.tracking_id,
+      photos: result.attachments.length,
+      message: req.t('api.follow_up_added')
+    });
+  } catch (err) {
+    console.error('Error adding follow-up:', err);
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
+  }
+});
+
+// Send a one-time code to a phone number on the report
+router.post('/verification/request', protectIntake('verification'), async (req, res) => {
+  const { trackingId, phone, channel } = req.body;
+
+  if (!trackingId) {
+    return res.status(400).json({ error: req.t('errors.TRACKING_ID_REQUIRED') });
+  }
+
+  try {
+    const result = await verificationService.requestCode(trackingId, { phone, channel, language: req.language });
+    if (!result.success) {
+      const status = { INCIDENT_NOT_FOUND: 404, RESEND_TOO_SOON: 429, DELIVERY_FAILED: 503 }[result.code] || 400;
+      return res.status(status).json({ error: translateError(req, result), code: result.code });
+    }
+
+    res.json({
+      verificationId: result.verificationId,
+      channel: result.channel,
+      maskedPhone: result.maskedPhone,
+      expiresInSeconds: result.expiresInSeconds,
+      message: req.t('api.verification_sent', { phone: result.maskedPhone })
+    });
+  } catch (err) {
+    console.error('Error requesting verification code:', err);
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
+  }
+});
+
+// Exchange a one-time code for a verification token
+router.post('/verification/confirm', protectIntake('verification'), async (req, res) => {
+  const { verificationId, code } = req.body;
+
+  if (!verificationId || !code) {
+    return res.status(400).json({ error: req.t('errors.VERIFICATION_FIELDS_REQUIRED') });
+  }
+
+  try {
+    const result = await verificationService.confirmCode(verificationId, code);
+    if (!result.success) {
+      return res.status(result.code === 'VERIFICATION_NOT_FOUND' ? 404 : 400).json({
+        error: translateError(req, result),
+        code: result.code,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    res.json({ verificationToken: result.verificationToken, expiresInSeconds: result.expiresInSeconds });
+  } catch (err) {
+    console.error('Error confirming verification code:', err);
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
   }
 });
 
 // Escalate incident
-router.post('/escalate', async (req, res) => {
+router.post('/escalate', protectIntake('escalate'), requireVerifiedReporter(req => req.body.incidentNumber), async (req, res) => {
   const { incidentNumber, description, fullName } = req.body;
 
   // Validate required fields
   if (!incidentNumber || !description || !fullName) {
-    return res.status(400).json({ error: 'Incident number, description, and full name are required' });
+    return res.status(400).json({ error: req.t('errors.ESCALATION_FIELDS_REQUIRED') });
   }
 
   try {
-    // Find incident by tracking_id
-    const incident = await Incident.findOne({
-      where: { tracking_id: incidentNumber }
-    });
+    // Find incident by tracking_id, following merges to the primary incident
+    const resolved = await mergeService.resolveTrackingId(incidentNumber);
 
-    if (!incident) {
-      return res.status(400).json({ error: 'Invalid incident number.' });
+    if (!resolved) {
+      return res.status(400).json({ error: req.t('errors.INVALID_INCIDENT_NUMBER') });
     }
+    const incident = resolved.incident;
 
     // Update incident status to escalated
     await incident.update({ status: 'escalated' });
+    await historyService.record(incident, 'escalated');
 
     // Log activity
     await ActivityLog.create({
       action: `Incident escalated: ${incident.title}`,
       table_name: 'incidents',
       reference_id: incident.id,
+      details: JSON.stringify({ type: 'citizen_escalation', verifiedPhone: req.verifiedReporter.phone })
     });
 
     // Send notification to managers
@@ -129,10 +287,76 @@ router.post('/escalate', async (req, res) => {
       related_id: incident.id
     });
 
-    res.json({ message: 'Incident escalated. The manager has been notified.' });
+    res.json({ message: req.t('api.escalated') });
   } catch (err) {
     console.error('Error escalating incident:', err);
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
+  }
+});
+
+// Public incident map (GeoJSON, no personal details)
+router.get('/incidents/map', async (req, res) => {
+  const parsed = mapService.parseFilters(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const collection = await mapService.getFeatureCollection(parsed.filters);
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (err) {
+    console.error('Error building incident map:', err);
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
+  }
+});
+
+// Stop status updates for a report
+router.post('/notifications/opt-out', async (req, res) => {
+  const { trackingId, contact } = req.body;
+
+  if (!trackingId || !contact) {
+    return res.status(400).json({ error: req.t('errors.OPT_OUT_FIELDS_REQUIRED') });
+  }
+
+  try {
+    const resolved = await mergeService.resolveTrackingId(trackingId);
+    if (!resolved) {
+      return res.status(404).json({ error: req.t('errors.INCIDENT_NOT_FOUND') });
+    }
+
+    // Only the contact details given on the report itself can be opted out this way
+    const address = citizenNotificationService.normalizeAddress(contact);
+    const linkedReports = await IncidentReport.findAll({ where: { incident_id: resolved.incident.id } });
+    const knownAddresses = [resolved.incident, ...linkedReports]
+      .flatMap(report => [report.contact_phone, report.contact_email])
+      .filter(Boolean)
+      .map(value => citizenNotificationService.normalizeAddress(value));
+
+    if (!knownAddresses.includes(address)) {
+      return res.status(400).json({ error: req.t('errors.CONTACT_MISMATCH') });
+    }
+
+    const channels = await citizenNotificationService.optOut(contact);
+    res.json({ message: req.t('api.opted_out'), channels });
+  } catch (err) {
+    console.error('Error opting out of notifications:', err);
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
+  }
+});
+
+// Unsubscribe link from a status update email
+router.get('/notifications/unsubscribe', async (req, res) => {
+  const { email, token } = req.query;
+  if (typeof email !== 'string' || !email.includes('@') || !citizenNotificationService.isValidUnsubscribeToken(email, token)) {
+    return res.status(400).json({ error: req.t('errors.UNSUBSCRIBE_LINK_INVALID'), code: 'UNSUBSCRIBE_LINK_INVALID' });
+  }
+
+  try {
+    const channels = await citizenNotificationService.optOut(email);
+    res.json({ message: req.t('api.opted_out'), channels });
+  } catch (err) {
+    console.error('Error unsubscribing from notifications:', err);
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
   }
 });
 
@@ -143,7 +367,7 @@ router.get('/stats', async (req, res) => {
     const totalResolved = await Incident.count({ where: { status: 'completed' } });
     res.json({ totalReported, totalResolved });
   } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: req.t('errors.SERVER_ERROR') });
   }
 });
 
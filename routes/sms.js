@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const express = require('express');
+const { WhatsAppConversation } = require('../models');
+const CitizenNotificationService = require('../services/CitizenNotificationService');
+const IntakeProtectionService = require('../services/IntakeProtectionService');
+const TranslationService = require('../services/TranslationService');
+const ConversationSessionService = require('../services/ConversationSessionService');
+const WhatsAppFlowEngine = require('../services/WhatsAppFlowEngine');
+const SmsService = require('../services/SmsService');
+
+const router = express.Router();
+const citizenNotificationService = new CitizenNotificationService();
+const protectionService = new IntakeProtectionService();
+const translationService = new TranslationService();
+const sessionService = new ConversationSessionService();
+const smsService = new SmsService();
+
+// Shared short codes pass on the keyword the citizen typed in front of the message
+const smsKeyword = (process.env.SMS_KEYWORD || 'SEWAGE').toUpperCase();
+
+// Check callbacks from the SMS/USSD gateway carry the token configured in its callback URLs
+// Without a token they are refused, unless SMS_GATEWAY_ALLOW_UNAUTHENTICATED=true is set for local use
+const validateGatewayRequest = (req, res, next) => {
+  const expected = process.env.SMS_GATEWAY_TOKEN;
+  if (!expected) {
+    if (process.env.SMS_GATEWAY_ALLOW_UNAUTHENTICATED === 'true' && process.env.NODE_ENV !== 'production') {
+      console.warn('SMS_GATEWAY_TOKEN not set; accepting unauthenticated gateway callback (development mode)');
+      return next();
+    }
+    console.error('SMS_GATEWAY_TOKEN not set; refusing gateway callback');
+    return res.status(500).send('Server configuration error');
+  }
+
+  const given = Buffer.from(String(req.query.token || req.get('X-Gateway-Token') || ''));
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    console.log('Gateway callback validation failed');
+    return res.status(403).send('Invalid token');
+  }
+  next();
+};
+
+// Developer endpoints only exist while SMS goes to the mock driver, and never in production
+const requireSimulator = (req, res, next) => {
+  if (!smsService.isSimulated()) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+};
+
+// The bot's replies to the message being handled; SMS sends them as one text and USSD shows them on screen
+const replies = new Map();
+const collect = channel => async (to, body) => {
+  const key = `${channel}:${to}`;
+  if (!replies.has(key)) replies.set(key, []);
+  replies.get(key).push(body);
+};
+const takeReplies = (channel, phoneNumber) => {
+  const key = `${channel}:${phoneNumber}`;
+  const collected = replies.get(key) || [];
+  replies.delete(key);
+  return collected;
+};
+
+// Menus and conversation flows, the same ones WhatsApp uses
+const smsEngine = new WhatsAppFlowEngine(collect('sms'), { channel: 'sms' });
+const ussdEngine = new WhatsAppFlowEngine(collect('ussd'), { channel: 'ussd' });
+
+/**
+ * Answer one inbound SMS with a single text message
+ * @param {Object} inbound - { from, text }
+ */
+async function handleSms(inbound) {
+  const phoneNumber = citizenNotificationService.normalizePhone(inbound.from);
+  let message = String(inbound.text || '').trim();
+
+  console.log(`SMS from ${phoneNumber}`);
+
+  // Blocked numbers and message floods are dropped without a reply
+  if (await protectionService.findBlock({ phone: phoneNumber })) {
+    console.warn(`Ignoring SMS from blocked number ${phoneNumber}`);
+    return;
+  }
+  if (!protectionService.consume('sms', { phone: phoneNumber }).allowed) {
+    console.warn(`SMS rate limit reached for ${phoneNumber}`);
+    return;
+  }
+
+  const [first, ...rest] = message.split(/\s+/);
+  const keywordOnly = first.toUpperCase() === smsKeyword && rest.length === 0;
+  if (first.toUpperCase() === smsKeyword) {
+    message = rest.join(' ');
+  }
+
+  const conversation = await sessionService.open(phoneNumber, 'sms');
+  try {
+    // The keyword on its own starts the conversation, like "Hi" does
+    if (keywordOnly) {
+      await smsEngine.welcome(conversation);
+    } else {
+      await smsEngine.handleIncoming(conversation, { text: message, media: [] });
+    }
+  } finally {
+    const body = takeReplies('sms', phoneNumber).join('\n\n');
+    if (body) {
+      try {
+        await smsService.send(phoneNumber, body, { channel: 'sms' });
+      } catch (error) {
+        console.error('Error sending SMS reply:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Answer one step of a USSD session
+ * The gateway sends everything typed in the session so far, separated by "*"; only the last
+ * entry is new. A new session ID means the citizen dialled again, so a flow left open in an
+ * earlier session is kept as a draft and offered for resuming
+ * @param {Object} request - { sessionId, phoneNumber, text }
+ * @returns {Promise<string>} Response in gateway format: "CON ..." to continue, "END ..." to close
+ */
+async function handleUssd(request) {
+  const phoneNumber = citizenNotificationService.normalizePhone(request.phoneNumber);
+  const text = String(request.text || '');
+  const input = text.split('*').pop().trim();
+
+  if (await protectionService.findBlock({ phone: phoneNumber })) {
+    console.warn(`Ignoring USSD request from blocked number ${phoneNumber}`);
+    return 'END';
+  }
+  if (!protectionService.consume('ussd', { phone: phoneNumber }).allowed) {
+    console.warn(`USSD rate limit reached for ${phoneNumber}`);
+    return `END ${translationService.translate(null, 'errors.RATE_LIMITED')}`;
+  }
+
+  const conversation = await sessionService.open(phoneNumber, 'ussd');
+  if (conversation.session_id !== request.sessionId) {
+    await sessionService.expire(conversation);
+    await conversation.update({ session_id: request.sessionId });
+  }
+
+  let screen;
+  try {
+    if (!text) {
+      await ussdEngine.welcome(conversation);
+    } else {
+      await ussdEngine.handleIncoming(conversation, { text: input, media: [] });
+    }
+  } finally {
+    screen = takeReplies('ussd', phoneNumber).join('\n\n');
+  }
+
+  return conversation.state === 'idle' ? `END ${screen}` : `CON ${screen}`;
+}
+
+/**
+ * Close the conversation of a USSD session the network ended, keeping an unfinished flow as a draft
+ * @param {string} sessionId - Gateway session ID
+ */
+async function endUssdSession(sessionId) {
+  const conversation = await WhatsAppConversation.findOne({ where: { channel: 'ussd', session_id: sessionId } });
+  if (conversation && conversation.state !== 'idle') {
+    await sessionService.expire(conversation);
+  }
+}
+
+// Handle incoming SMS from the gateway
+router.post('/inbound', validateGatewayRequest, async (req, res) => {
+  if (!req.body.from) {
+    return res.status(400).json({ error: 'from is required', code: 'FROM_REQUIRED' });
+  }
+
+  try {
+    const phoneNumber = citizenNotificationService.normalizePhone(req.body.from);
+    await sessionService.inOrder(`sms:${phoneNumber}`, () => handleSms(req.body));
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error processing SMS:', error);
+    res.status(500).send();
+  }
+});
+
+// Handle a USSD session step from the gateway
+router.post('/ussd', validateGatewayRequest, async (req, res) => {
+  const { sessionId, phoneNumber, text } = req.body;
+  if (!sessionId || !phoneNumber) {
+    return res.status(400).json({ error: 'sessionId and phoneNumber are required', code: 'SESSION_REQUIRED' });
+  }
+
+  try {
+    const normalized = citizenNotificationService.normalizePhone(phoneNumber);
+    const response = await sessionService.inOrder(`ussd:${normalized}`, () => handleUssd({ sessionId, phoneNumber, text }));
+    res.type('text/plain').send(response);
+  } catch (error) {
+    console.error('Error processing USSD request:', error);
+    res.type('text/plain').send(`END ${translationService.translate(null, 'whatsapp.report_error')}`);
+  }
+});
+
+// USSD session ended: anything other than a normal close means the citizen was cut off
+router.post('/ussd/events', validateGatewayRequest, async (req, res) => {
+  try {
+    if (req.body.sessionId && req.body.status !== 'Success') {
+      await endUssdSession(req.body.sessionId);
+    }
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error processing USSD session event:', error);
+    res.status(500).send();
+  }
+});
+
+// Simulated handsets: phone number -> { sessionId, text } of the USSD session in progress
+const simulatedSessions = new Map();
+
+// Simulator: send an SMS to the bot as a citizen and get its reply back
+router.post('/simulator/sms', requireSimulator, async (req, res) => {
+  if (!req.body.from) {
+    return res.status(400).json({ error: 'from is required', code: 'FROM_REQUIRED' });
+  }
+
+  try {
+    const phoneNumber = citizenNotificationService.normalizePhone(req.body.from);
+    const before = smsService.driver.getOutbox(phoneNumber).length;
+
+    await sessionService.inOrder(`sms:${phoneNumber}`, () => handleSms({ from: phoneNumber, text: req.body.text }));
+
+    res.json({ replies: smsService.driver.getOutbox(phoneNumber).slice(before) });
+  } catch (error) {
+    console.error('Error processing simulated SMS:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Simulator: dial the USSD code or answer the screen shown, like a handset would
+// The first request of a session dials; send hangUp to end the session early
+router.post('/simulator/ussd', requireSimulator, async (req, res) => {
+  if (!req.body.phoneNumber) {
+    return res.status(400).json({ error: 'phoneNumber is required', code: 'PHONE_REQUIRED' });
+  }
+
+  try {
+    const phoneNumber = citizenNotificationService.normalizePhone(req.body.phoneNumber);
+    let session = simulatedSessions.get(phoneNumber);
+
+    if (req.body.hangUp) {
+      simulatedSessions.delete(phoneNumber);
+      if (session) await sessionService.inOrder(`ussd:${phoneNumber}`, () => endUssdSession(session.sessionId));
+      return res.json({ sessionId: session ? session.sessionId : null, response: null, ended: true });
+    }
+
+    if (!session) {
+      session = { sessionId: `sim-${crypto.randomUUID()}`, text: '' };
+    } else {
+      const input = String(req.body.input ?? '');
+      session.text = session.text ? `${session.text}*${input}` : input;
+    }
+
+    const response = await sessionService.inOrder(`ussd:${phoneNumber}`, () => handleUssd({
+      sessionId: session.sessionId,
+      phoneNumber,
+      text: session.text
+    }));
+
+    const ended = response.startsWith('END');
+    if (ended) {
+      simulatedSessions.delete(phoneNumber);
+    } else {
+      simulatedSessions.set(phoneNumber, session);
+    }
+
+    res.json({ sessionId: session.sessionId, response, ended });
+  } catch (error) {
+    console.error('Error processing simulated USSD request:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Simulator: SMS the bot has sent, optionally to one number
+router.get('/simulator/messages', requireSimulator, (req, res) => {
+  res.json(smsService.driver.getOutbox(req.query.to).filter(message => message.channel === 'sms'));
+});
+
+// Simulator: forget the recorded messages and open USSD sessions
+router.delete('/simulator/messages', requireSimulator, (req, res) => {
+  smsService.driver.clearOutbox();
+  simulatedSessions.clear();
+  res.json({ message: 'Simulator outbox cleared' });
+});
+
+module.exports = router;
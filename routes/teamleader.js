@@ -2,8 +2,15 @@ const express = require('express');
 const { JobCard, WorkerProgress, User, TeamMember, ActivityLog, Team, Incident } = require('../models');
 const { Op } = require('sequelize');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { uploadAttachments } = require('../middleware/attachmentUpload');
+const ImageProcessingService = require('../services/ImageProcessingService');
+const AttachmentService = require('../services/AttachmentService');
+const IncidentFollowUpService = require('../services/IncidentFollowUpService');
 
 const router = express.Router();
+const imageService = new ImageProcessingService();
+const attachmentService = new AttachmentService();
+const followUpService = new IncidentFollowUpService();
 
 // All team leader routes require authentication and team_leader role
 router.use(authenticateToken, authorizeRoles('team_leader'));
@@ -17,13 +24,102 @@ router.get('/jobs', async (req, res) => {
       include: [{ model: Incident }, { model: WorkerProgress, include: [User] }],
     });
     console.log('TeamLeader Jobs: Found', jobs.length, 'jobs');
-    res.json(jobs);
+
+    // Thumbnails let team leaders preview a job without downloading full-size photos
+    const imagePaths = await attachmentService.getImagePaths(jobs.map(job => job.Incident).filter(Boolean));
+    res.json(await Promise.all(jobs.map(async job => {
+      const json = job.toJSON();
+      if (json.Incident) {
+        json.Incident.image_variants = await Promise.all((imagePaths.get(json.Incident.id) || [])
+          .map(imagePath => imageService.variantUrlsFor(imagePath)));
+      }
+      return json;
+    })));
   } catch (err) {
     console.error('Error fetching jobs:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// List attachments on a job
+router.get('/jobs/:jobId/attachments', async (req, res) => {
+  try {
+    const job = await JobCard.findOne({ where: { id: req.params.jobId, team_leader_id: req.user.id } });
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.json(await attachmentService.listForJobCard(job.id));
+  } catch (err) {
+    console.error('Error fetching job attachments:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List reporter follow-ups on a job's incident
+router.get('/jobs/:jobId/follow-ups', async (req, res) => {
+  try {
+    const job = await JobCard.findOne({ where: { id: req.params.jobId, team_leader_id: req.user.id } });
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.json(await followUpService.listForIncident(job.incident_id));
+  } catch (err) {
+    console.error('Error fetching job follow-ups:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Attach photos or documents to a job
+router.post('/jobs/:jobId/attachments', uploadAttachments, async (req, res) => {
+  try {
+    const job = await JobCard.findOne({ where: { id: req.params.jobId, team_leader_id: req.user.id } });
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const result = await attachmentService.addUploads((req.files || []).map(f => f.buffer), {
+      incidentId: job.incident_id,
+      jobCardId: job.id,
+      uploadedBy: req.user.id,
+      source: attachmentService.sourceForUser(req.user),
+      caption: req.body.caption,
+      phase: req.body.phase || 'during'
+    });
+    if (!result.success) return res.status(400).json(result);
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Added ${result.attachments.length} attachment(s) to job`,
+      table_name: 'job_cards',
+      reference_id: job.id,
+    });
+
+    res.status(201).json(await attachmentService.serializeAll(result.attachments));
+  } catch (err) {
+    console.error('Error adding job attachments:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove an attachment from a job
+router.delete('/jobs/:jobId/attachments/:attachmentId', async (req, res) => {
+  try {
+    const job = await JobCard.findOne({ where: { id: req.params.jobId, team_leader_id: req.user.id } });
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const result = await attachmentService.remove(req.params.attachmentId, { jobCardId: job.id });
+    if (!result.success) return res.status(404).json(result);
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: 'Removed attachment from job',
+      table_name: 'job_cards',
+      reference_id: job.id,
+    });
+
+    res.json({ message: 'Attachment removed' });
+  } catch (err) {
+    console.error('Error removing job attachment:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Monitor team progress
 router.get('/jobs/:jobId/progress', async (req, res) => {
   try {
@@ -215,9 +311,9 @@ router.get('/reports', async (req, res) => {
             ? Math.round((workloadJobs.filter(j => j.status === 'completed').length / workloadJobs.length) * 100)
             : 0,
           'Team Capacity': teamMember.Team.max_capacity,
-          'Current Load': workloadJobs.filter(j => j.status !== 'completed').length,
+          'Current Load': workloadJobs.filter(j => !['completed', 'cancelled'].includes(j.status)).length,
           'Utilization Rate (%)': teamMember.Team.max_capacity > 0
-            ? Math.round((workloadJobs.filter(j => j.status !== 'completed').length / teamMember.Team.max_capacity) * 100)
+            ? Math.round((workloadJobs.filter(j => !['completed', 'cancelled'].includes(j.status)).length / teamMember.Team.max_capacity) * 100)
             : 0
         };
 
@@ -311,7 +407,7 @@ router.get('/team/status', async (req, res) => {
     const jobCount = await JobCard.count({
       where: {
         team_id: team.id,
-        status: { [Op.ne]: 'completed' }
+        status: { [Op.notIn]: ['completed', 'cancelled'] }
       }
     });
 
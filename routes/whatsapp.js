@@ -1,137 +1,91 @@
 const express = require('express');
-const twilio = require('twilio');
-const { WhatsAppConversation, Incident, ActivityLog } = require('../models');
+const IntakeProtectionService = require('../services/IntakeProtectionService');
+const TranslationService = require('../services/TranslationService');
+const ConversationSessionService = require('../services/ConversationSessionService');
+const WhatsAppFlowEngine = require('../services/WhatsAppFlowEngine');
+const WhatsAppService = require('../services/WhatsAppService');
+const WhatsAppInboxService = require('../services/WhatsAppInboxService');
 
 const router = express.Router();
-
-// Twilio credentials
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const client = twilio(accountSid, authToken);
-const fromNumber = process.env.TWILIO_WHATSAPP_FROM;
+const protectionService = new IntakeProtectionService();
+const translationService = new TranslationService();
+const whatsappService = new WhatsAppService();
+const sessionService = new ConversationSessionService();
+const inboxService = new WhatsAppInboxService();
 
 // Middleware to validate Twilio webhook
+// Every request is checked once an auth token is set; without one, only development lets webhooks through
 const validateTwilioRequest = (req, res, next) => {
-  console.log('Validating Twilio webhook...');
-  console.log('NODE_ENV:', process.env.NODE_ENV);
-  console.log('TWILIO_AUTH_TOKEN present:', !!process.env.TWILIO_AUTH_TOKEN);
-
-  // Temporarily skip validation to debug webhook calls
-  console.log('Skipping validation for debugging');
-  return next();
-
-  // Skip validation in development
-  if (process.env.NODE_ENV !== 'production') {
-    console.log('Skipping validation (development mode)');
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('TWILIO_AUTH_TOKEN not set in production environment');
+      return res.status(500).send('Server configuration error');
+    }
+    console.warn('TWILIO_AUTH_TOKEN not set; accepting unsigned Twilio webhook (development mode)');
     return next();
   }
 
-  // In production, require auth token
-  if (!process.env.TWILIO_AUTH_TOKEN) {
-    console.error('TWILIO_AUTH_TOKEN not set in production environment');
-    return res.status(500).send('Server configuration error');
+  if (!whatsappService.validateRequest(req)) {
+    console.warn(`Twilio webhook validation failed for ${req.originalUrl}`);
+    return res.status(403).send('Invalid signature');
   }
+  next();
+};
 
-  const twilioSignature = req.get('X-Twilio-Signature');
-  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
-  const params = req.body;
-
-  console.log('Twilio signature:', twilioSignature);
-  console.log('Request URL:', url);
-
-  if (twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, twilioSignature, url, params)) {
-    console.log('Webhook validation successful');
-    next();
-  } else {
+// Check webhooks from Meta and the simulator; Twilio keeps its own middleware
+const validateWebhookRequest = (req, res, next) => {
+  if (whatsappService.provider === 'twilio') {
+    return validateTwilioRequest(req, res, next);
+  }
+  if (!whatsappService.validateRequest(req)) {
     console.log('Webhook validation failed');
-    res.status(403).send('Invalid signature');
+    return res.status(403).send('Invalid signature');
+  }
+  next();
+};
+
+// Developer endpoints only exist while the simulator was chosen as the provider, and never in production
+const requireSimulator = (req, res, next) => {
+  if (!whatsappService.isSimulated() || process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Not found' });
   }
+  next();
 };
 
-// Send WhatsApp message
+// Send WhatsApp message, keeping it in the conversation's transcript
 const sendWhatsAppMessage = async (to, body) => {
   try {
-    await client.messages.create({
-      body,
-      from: fromNumber,
-      to: `whatsapp:${to}`
-    });
+    await inboxService.send(to, body);
   } catch (error) {
     console.error('Error sending WhatsApp message:', error);
   }
 };
 
-// Handle incoming WhatsApp messages
-router.post('/webhook', validateTwilioRequest, async (req, res) => {
-  console.log('=== WhatsApp Webhook Called ===');
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Body:', JSON.stringify(req.body, null, 2));
-
-  const { From, Body, MediaUrl0, MediaContentType0, Latitude, Longitude } = req.body;
-  const phoneNumber = From.replace('whatsapp:', '');
-
-  try {
-    console.log(`WhatsApp message from ${phoneNumber}: ${Body}`);
-
-    // Get or create conversation
-    let conversation = await WhatsAppConversation.findOne({ where: { phone_number: phoneNumber } });
-    if (!conversation) {
-      conversation = await WhatsAppConversation.create({ phone_number: phoneNumber });
-      console.log(`New WhatsApp conversation created for ${phoneNumber}`);
-    }
+// Messages from one number are handled one at a time, so several photos sent together
+// cannot overwrite each other's answers
+const inOrder = (phoneNumber, task) => sessionService.inOrder(`whatsapp:${phoneNumber}`, task);
 
-    const message = Body ? Body.trim() : '';
-    const hasMedia = !!MediaUrl0;
-    const hasLocation = !!(Latitude && Longitude);
+// Menus and conversation flows
+const flowEngine = new WhatsAppFlowEngine(sendWhatsAppMessage, { channel: 'whatsapp' });
 
-    // Handle "Hi" or reset
-    if (message.toLowerCase() === 'hi' || message.toLowerCase() === 'hello') {
-      await showMainMenu(conversation, phoneNumber);
-      return res.status(200).send();
-    }
+// Meta asks for the verify token when the webhook is registered
+router.get('/webhook', (req, res) => {
+  const challenge = whatsappService.provider === 'meta' ? whatsappService.driver.verifySubscription(req.query) : null;
+  if (challenge === null) {
+    return res.status(403).send('Verification failed');
+  }
+  res.status(200).send(challenge);
+});
 
-    // Update last activity
-    await conversation.update({ last_activity: new Date() });
+// Handle incoming WhatsApp messages
+router.post('/webhook', validateWebhookRequest, async (req, res) => {
+  try {
+    // Meta sends delivery updates to the same webhook as messages
+    await inboxService.recordStatuses(whatsappService.parseStatuses(req));
 
-    // Route to appropriate handler based on state
-    switch (conversation.state) {
-      case 'idle':
-        // Any message when idle starts a new conversation
-        await showMainMenu(conversation, phoneNumber);
-        break;
-      case 'main_menu':
-        await handleMainMenuChoice(conversation, message, phoneNumber);
-        break;
-      case 'selecting_incident_type':
-        await handleIncidentTypeSelection(conversation, message, phoneNumber);
-        break;
-      case 'awaiting_incident_photo':
-        await handleIncidentPhoto(conversation, message, phoneNumber, hasMedia ? MediaUrl0 : null);
-        break;
-      case 'awaiting_location':
-        await handleLocationInput(conversation, message, phoneNumber, hasLocation ? { lat: Latitude, lng: Longitude } : null);
-        break;
-      case 'awaiting_name':
-        await handleNameInput(conversation, message, phoneNumber);
-        break;
-      case 'confirming_incident':
-        await handleIncidentConfirmation(conversation, message, phoneNumber);
-        break;
-      case 'awaiting_progress_id':
-        await handleProgressCheck(conversation, message, phoneNumber);
-        break;
-      case 'awaiting_escalation_id':
-        await handleEscalationId(conversation, message, phoneNumber);
-        break;
-      case 'awaiting_escalation_reason':
-        await handleEscalationReason(conversation, message, phoneNumber);
-        break;
-      case 'confirming_escalation':
-        await handleEscalationConfirmation(conversation, message, phoneNumber);
-        break;
-      default:
-        // Unknown state, show main menu
-        await showMainMenu(conversation, phoneNumber);
+    const messages = await whatsappService.parseInbound(req);
+    for (const message of messages) {
+      await inOrder(message.from, () => handleInboundMessage(message));
     }
 
     res.status(200).send();
@@ -141,297 +95,128 @@ router.post('/webhook', validateTwilioRequest, async (req, res) => {
   }
 });
 
-// Show main menu
-async function showMainMenu(conversation, phoneNumber) {
-  await conversation.update({ state: 'main_menu', temp_data: {} });
-  const menu = `Welcome to Sewage Management System
-Enter the number before the option you want, eg "1" to report
-1-Report incident
-2-Check Progress Status
-3-Escalate an Incident
-4-Cancel/Exit`;
-  await sendWhatsAppMessage(phoneNumber, menu);
-}
-
-// Handle main menu choice
-async function handleMainMenuChoice(conversation, message, phoneNumber) {
-  const choice = message.trim();
-
-  switch (choice) {
-    case '1':
-      await showIncidentTypes(conversation, phoneNumber);
-      break;
-    case '2':
-      await conversation.update({ state: 'awaiting_progress_id' });
-      await sendWhatsAppMessage(phoneNumber, 'Enter the incident ID or reference number to check status');
-      break;
-    case '3':
-      await conversation.update({ state: 'awaiting_escalation_id' });
-      await sendWhatsAppMessage(phoneNumber, 'Enter the incident ID to escalate');
-      break;
-    case '4':
-      await conversation.update({ state: 'idle', temp_data: {} });
-      await sendWhatsAppMessage(phoneNumber, 'Session ended. Thank you for using Sewage Management System.');
-      break;
-    default:
-      await sendWhatsAppMessage(phoneNumber, 'Invalid input, please try again. Enter 1, 2, 3, or 4.');
+// Delivery updates for messages we sent (Twilio's status callback)
+router.post('/status', validateWebhookRequest, async (req, res) => {
+  try {
+    await inboxService.recordStatuses(whatsappService.parseStatuses(req));
+    res.status(200).send();
+  } catch (error) {
+    console.error('Error recording WhatsApp message status:', error);
+    res.status(500).send();
   }
-}
-
-// Show incident type selection
-async function showIncidentTypes(conversation, phoneNumber) {
-  await conversation.update({ state: 'selecting_incident_type' });
-  const types = `Select the Incident below:
-1-Sewage Leak
-2-Road Damage
-3-Water Main Break
-4-Storm Drain Issue
-5-Manhole Problem
-6-Other`;
-  await sendWhatsAppMessage(phoneNumber, types);
-}
-
-// Handle incident type selection
-async function handleIncidentTypeSelection(conversation, message, phoneNumber) {
-  const incidentTypes = {
-    '1': 'Sewage Leak',
-    '2': 'Road Damage',
-    '3': 'Water Main Break',
-    '4': 'Storm Drain Issue',
-    '5': 'Manhole Problem',
-    '6': 'Other'
-  };
+});
 
-  const type = incidentTypes[message.trim()];
-  if (!type) {
-    await sendWhatsAppMessage(phoneNumber, 'Invalid input, please try again. Enter 1-6.');
+/**
+ * Answer one inbound message, whichever provider it came through
+ * Providers repeat webhooks they think failed, so a message ID already taken in is ignored
+ * @param {Object} inbound - { messageId, from, text, media, location } from WhatsAppService.parseInbound
+ */
+async function handleInboundMessage(inbound) {
+  const phoneNumber = inbound.from;
+  const message = inbound.text;
+
+  if (await inboxService.hasReceived(inbound.messageId)) {
+    console.log(`Ignoring repeated WhatsApp message ${inbound.messageId} from ${phoneNumber}`);
     return;
   }
 
-  const tempData = { ...conversation.temp_data, incident_type: type };
-  await conversation.update({ state: 'awaiting_incident_photo', temp_data: tempData });
-  await sendWhatsAppMessage(phoneNumber, 'Please send a photo of the area and add a description/caption (not a must) along with the picture');
-}
+  console.log(`WhatsApp message ${inbound.messageId} from ${phoneNumber}`);
 
-// Handle incident photo and description
-async function handleIncidentPhoto(conversation, message, phoneNumber, mediaUrl) {
-  if (!mediaUrl) {
-    await sendWhatsAppMessage(phoneNumber, 'Please send a photo of the incident area.');
+  // Blocked numbers and message floods are dropped without a reply
+  if (await protectionService.findBlock({ phone: phoneNumber })) {
+    console.warn(`Ignoring WhatsApp message from blocked number ${phoneNumber}`);
     return;
   }
-
-  const tempData = {
-    ...conversation.temp_data,
-    image: mediaUrl,
-    description: message || 'No description provided'
-  };
-
-  await conversation.update({ state: 'awaiting_location', temp_data: tempData });
-  await sendWhatsAppMessage(phoneNumber, 'Please send the location of the incident (share location or describe it)');
-}
-
-// Handle location input
-async function handleLocationInput(conversation, message, phoneNumber, locationData) {
-  let location = '';
-
-  if (locationData) {
-    // WhatsApp location shared
-    location = `${locationData.lat},${locationData.lng}`;
-  } else if (message && message.toLowerCase() !== 'skip') {
-    // Text description
-    location = message;
-  } else {
-    await sendWhatsAppMessage(phoneNumber, 'Location is required. Please share your location or describe it.');
+  if (!protectionService.consume('whatsapp', { phone: phoneNumber }).allowed) {
+    console.warn(`WhatsApp rate limit reached for ${phoneNumber}`);
     return;
   }
 
-  const tempData = { ...conversation.temp_data, location };
-  await conversation.update({ state: 'awaiting_name', temp_data: tempData });
-  await sendWhatsAppMessage(phoneNumber, 'Enter your name (not a must, enter "skip" to skip)');
-}
-
-// Handle name input
-async function handleNameInput(conversation, message, phoneNumber) {
-  const name = message.toLowerCase() === 'skip' ? null : message || null;
-  const tempData = { ...conversation.temp_data, name };
-
-  await conversation.update({ state: 'confirming_incident', temp_data: tempData });
-  await showIncidentSummary(conversation, phoneNumber);
-}
+  const conversation = await sessionService.open(phoneNumber, 'whatsapp');
 
-// Show incident summary for confirmation
-async function showIncidentSummary(conversation, phoneNumber) {
-  const data = conversation.temp_data;
-  const summary = `Incident Summary:
-Type: ${data.incident_type}
-Description: ${data.description}
-Location: ${data.location}
-Name: ${data.name || 'Not provided'}
+  // While the conversation is handed off the bot stays quiet and every message goes to staff;
+  // a citizen still waiting for someone can go back to the bot with "menu" or "cancel"
+  const leavingQueue = conversation.state === 'handoff' && !conversation.agent_id &&
+    (translationService.isWord(conversation.language, 'menu', message) || translationService.isWord(conversation.language, 'cancel', message));
+  if (conversation.state === 'handoff' && !leavingQueue) {
+    await inboxService.receive(conversation, inbound);
+    return;
+  }
+  await inboxService.record(conversation, {
+    direction: 'inbound',
+    sender: 'citizen',
+    body: message,
+    media: inbound.media,
+    providerMessageId: inbound.messageId
+  });
 
-Enter "Y" to confirm or "N" to cancel`;
-  await sendWhatsAppMessage(phoneNumber, summary);
+  // Keywords, then the answer to the menu or flow step the citizen is on
+  await flowEngine.handleIncoming(conversation, {
+    text: message,
+    media: inbound.media,
+    location: inbound.location
+  });
 }
 
-// Handle incident confirmation
-async function handleIncidentConfirmation(conversation, message, phoneNumber) {
-  const choice = message.toLowerCase().trim();
-
-  if (choice === 'y' || choice === 'yes') {
-    await createIncident(conversation, phoneNumber);
-  } else if (choice === 'n' || choice === 'no') {
-    await conversation.update({ state: 'idle', temp_data: {} });
-    await sendWhatsAppMessage(phoneNumber, 'Incident report cancelled.');
-    await showMainMenu(conversation, phoneNumber);
-  } else {
-    await sendWhatsAppMessage(phoneNumber, 'Invalid input. Enter "Y" to confirm or "N" to cancel.');
+// Simulator: send a message to the bot as a citizen and get its replies back
+router.post('/simulator/messages', requireSimulator, async (req, res) => {
+  if (!req.body.from) {
+    return res.status(400).json({ error: 'from is required', code: 'FROM_REQUIRED' });
   }
-}
-
-// Create incident in database
-async function createIncident(conversation, phoneNumber) {
-  const data = conversation.temp_data;
 
   try {
-    // Create incident
-    const trackingId = 'INC' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
-    const incident = await Incident.create({
-      title: data.incident_type,
-      description: data.description,
-      location: data.location,
-      contact_name: data.name,
-      images: data.image,
-      tracking_id: trackingId,
-      status: 'verified'
-    });
+    const [inbound] = await whatsappService.parseInbound(req);
+    const before = whatsappService.driver.getOutbox(inbound.from).length;
 
-    // Log activity
-    await ActivityLog.create({
-      action: `Incident reported via WhatsApp: ${data.incident_type}`,
-      table_name: 'incidents',
-      reference_id: incident.id,
-    });
+    await inOrder(inbound.from, () => handleInboundMessage(inbound));
 
-    // Send notification to managers
-    global.sendRoleNotification('manager', 'new-incident', {
-      type: 'alert',
-      title: 'New Incident Reported via WhatsApp',
-      message: `New incident reported: ${data.incident_type}`,
-      related_type: 'incident',
-      related_id: incident.id
+    res.json({
+      messageId: inbound.messageId,
+      replies: whatsappService.driver.getOutbox(inbound.from).slice(before)
     });
-
-    await conversation.update({ state: 'idle', temp_data: {} });
-    await sendWhatsAppMessage(phoneNumber, `✅ Incident reported successfully! Your reference number is: ${trackingId}`);
-    await showMainMenu(conversation, phoneNumber);
   } catch (error) {
-    console.error('Error creating incident:', error);
-    await sendWhatsAppMessage(phoneNumber, 'Sorry, there was an error processing your report. Please try again.');
-    await showMainMenu(conversation, phoneNumber);
-  }
-}
-
-// Handle progress check
-async function handleProgressCheck(conversation, message, phoneNumber) {
-  const incidentId = message.trim().toUpperCase();
-  const incident = await Incident.findOne({ where: { tracking_id: incidentId } });
-
-  if (!incident) {
-    await sendWhatsAppMessage(phoneNumber, 'Invalid ID, please enter a valid incident ID');
-    return;
-  }
-
-  const status = `Incident ID ${incidentId}: Reported on ${incident.created_at.toDateString()}, Status: ${incident.status}, Last Update: ${incident.updated_at.toDateString()}`;
-  await sendWhatsAppMessage(phoneNumber, status);
-  await showMainMenu(conversation, phoneNumber);
-}
-
-// Handle escalation ID input
-async function handleEscalationId(conversation, message, phoneNumber) {
-  const incidentId = message.trim().toUpperCase();
-  const incident = await Incident.findOne({ where: { tracking_id: incidentId } });
-
-  if (!incident) {
-    await sendWhatsAppMessage(phoneNumber, 'Invalid ID, please enter a valid incident ID');
-    return;
+    console.error('Error processing simulated WhatsApp message:', error);
+    res.status(500).json({ error: 'Server error' });
   }
+});
 
-  const tempData = { ...conversation.temp_data, escalation_id: incidentId };
-  await conversation.update({ state: 'awaiting_escalation_reason', temp_data: tempData });
-  await sendWhatsAppMessage(phoneNumber, 'Provide reason for escalation (optional description, enter "skip" to skip)');
-}
-
-// Handle escalation reason
-async function handleEscalationReason(conversation, message, phoneNumber) {
-  const reason = message.toLowerCase() === 'skip' ? 'No reason provided' : message;
-  const tempData = { ...conversation.temp_data, escalation_reason: reason };
-
-  await conversation.update({ state: 'confirming_escalation', temp_data: tempData });
-  await showEscalationSummary(conversation, phoneNumber);
-}
-
-// Show escalation summary
-async function showEscalationSummary(conversation, phoneNumber) {
-  const data = conversation.temp_data;
-  const summary = `Escalation Summary:
-Incident ID: ${data.escalation_id}
-Reason: ${data.escalation_reason}
-
-Enter "Y" to confirm or "N" to cancel`;
-  await sendWhatsAppMessage(phoneNumber, summary);
-}
-
-// Handle escalation confirmation
-async function handleEscalationConfirmation(conversation, message, phoneNumber) {
-  const choice = message.toLowerCase().trim();
-
-  if (choice === 'y' || choice === 'yes') {
-    await escalateIncident(conversation, phoneNumber);
-  } else if (choice === 'n' || choice === 'no') {
-    await conversation.update({ state: 'idle', temp_data: {} });
-    await sendWhatsAppMessage(phoneNumber, 'Escalation cancelled.');
-    await showMainMenu(conversation, phoneNumber);
-  } else {
-    await sendWhatsAppMessage(phoneNumber, 'Invalid input. Enter "Y" to confirm or "N" to cancel.');
+// Simulator: report a message the bot sent as delivered, read or failed, like a status callback
+router.post('/simulator/status', requireSimulator, async (req, res) => {
+  try {
+    const updated = await inboxService.recordStatuses(whatsappService.parseStatuses(req));
+    res.json({ updated });
+  } catch (error) {
+    console.error('Error recording simulated WhatsApp status:', error);
+    res.status(500).json({ error: 'Server error' });
   }
-}
+});
 
-// Escalate incident
-async function escalateIncident(conversation, phoneNumber) {
-  const data = conversation.temp_data;
+// Simulator: make the next sends fail
+router.post('/simulator/failures', requireSimulator, (req, res) => {
+  whatsappService.driver.failNextSends(req.body.count);
+  res.json({ message: `The next ${parseInt(req.body.count) || 0} sends will fail` });
+});
 
+// Simulator: run the outbox retries now instead of waiting for the background job
+router.post('/simulator/outbox/retry', requireSimulator, async (req, res) => {
   try {
-    // Update incident status
-    await Incident.update(
-      { status: 'escalated' },
-      { where: { tracking_id: data.escalation_id } }
-    );
-
-    // Log escalation
-    const incident = await Incident.findOne({ where: { tracking_id: data.escalation_id } });
-    await ActivityLog.create({
-      action: `Incident escalated via WhatsApp: ${data.escalation_reason}`,
-      table_name: 'incidents',
-      reference_id: incident.id,
-    });
-
-    // Notify managers
-    global.sendRoleNotification('manager', 'incident-escalated', {
-      type: 'alert',
-      title: 'Incident Escalated via WhatsApp',
-      message: `Incident ${data.escalation_id} escalated: ${data.escalation_reason}`,
-      related_type: 'incident',
-      related_id: incident.id
-    });
-
-    await conversation.update({ state: 'idle', temp_data: {} });
-    await sendWhatsAppMessage(phoneNumber, '✅ Escalation confirmed. Our team will review it shortly.');
-    await showMainMenu(conversation, phoneNumber);
+    res.json(await inboxService.retryQueued());
   } catch (error) {
-    console.error('Error escalating incident:', error);
-    await sendWhatsAppMessage(phoneNumber, 'Sorry, there was an error processing your escalation. Please try again.');
-    await showMainMenu(conversation, phoneNumber);
+    console.error('Error retrying simulated WhatsApp outbox:', error);
+    res.status(500).json({ error: 'Server error' });
   }
-}
+});
+
+// Simulator: messages the bot has sent, optionally to one number
+router.get('/simulator/messages', requireSimulator, (req, res) => {
+  res.json(whatsappService.driver.getOutbox(req.query.to));
+});
+
+// Simulator: forget the recorded messages
+router.delete('/simulator/messages', requireSimulator, (req, res) => {
+  whatsappService.driver.clearOutbox();
+  res.json({ message: 'Simulator outbox cleared' });
+});
 
 // Test endpoint to verify webhook is accessible
 router.get('/test', (req, res) => {
@@ -439,6 +224,7 @@ router.get('/test', (req, res) => {
     message: 'WhatsApp webhook is accessible',
     timestamp: new Date().toISOString(),
     env: process.env.NODE_ENV,
+    provider: whatsappService.provider,
     authTokenPresent: !!process.env.TWILIO_AUTH_TOKEN
   });
 });
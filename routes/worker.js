@@ -1,8 +1,13 @@
 const express = require('express');
 const { WorkerProgress, JobCard, User, ActivityLog, Incident } = require('../models');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { uploadAttachments } = require('../middleware/attachmentUpload');
+const ImageProcessingService = require('../services/ImageProcessingService');
+const AttachmentService = require('../services/AttachmentService');
 
 const router = express.Router();
+const imageService = new ImageProcessingService();
+const attachmentService = new AttachmentService();
 
 // All worker routes require authentication and worker role
 router.use(authenticateToken, authorizeRoles('worker'));
@@ -14,7 +19,18 @@ router.get('/jobs', async (req, res) => {
       where: { worker_id: req.user.id },
       include: [{ model: JobCard, include: [Incident] }],
     });
-    res.json(progress);
+
+    // Thumbnails let workers preview a job without downloading full-size photos
+    const incidents = progress.map(entry => entry.JobCard && entry.JobCard.Incident).filter(Boolean);
+    const imagePaths = await attachmentService.getImagePaths(incidents);
+    res.json(await Promise.all(progress.map(async entry => {
+      const json = entry.toJSON();
+      if (json.JobCard && json.JobCard.Incident) {
+        json.JobCard.Incident.image_variants = await Promise.all((imagePaths.get(json.JobCard.Incident.id) || [])
+          .map(imagePath => imageService.variantUrlsFor(imagePath)));
+      }
+      return json;
+    })));
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
@@ -44,6 +60,77 @@ router.put('/progress/:progressId', async (req, res) => {
   }
 });
 
+// List attachments on an assigned job
+router.get('/jobs/:jobCardId/attachments', async (req, res) => {
+  try {
+    const assignment = await WorkerProgress.findOne({
+      where: { worker_id: req.user.id, job_card_id: req.params.jobCardId }
+    });
+    if (!assignment) return res.status(404).json({ error: 'Job not found' });
+
+    res.json(await attachmentService.listForJobCard(req.params.jobCardId));
+  } catch (err) {
+    console.error('Error fetching job attachments:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Attach progress photos to an assigned job
+router.post('/jobs/:jobCardId/attachments', uploadAttachments, async (req, res) => {
+  try {
+    const assignment = await WorkerProgress.findOne({
+      where: { worker_id: req.user.id, job_card_id: req.params.jobCardId },
+      include: [JobCard]
+    });
+    if (!assignment || !assignment.JobCard) return res.status(404).json({ error: 'Job not found' });
+
+    const result = await attachmentService.addUploads((req.files || []).map(f => f.buffer), {
+      incidentId: assignment.JobCard.incident_id,
+      jobCardId: assignment.job_card_id,
+      uploadedBy: req.user.id,
+      source: 'worker',
+      caption: req.body.caption,
+      phase: req.body.phase || 'during'
+    });
+    if (!result.success) return res.status(400).json(result);
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: `Added ${result.attachments.length} ${req.body.phase || 'during'} photo(s) to job`,
+      table_name: 'job_cards',
+      reference_id: assignment.job_card_id,
+    });
+
+    res.status(201).json(await attachmentService.serializeAll(result.attachments));
+  } catch (err) {
+    console.error('Error adding job attachments:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove one of your own attachments from a job
+router.delete('/jobs/:jobCardId/attachments/:attachmentId', async (req, res) => {
+  try {
+    const result = await attachmentService.remove(req.params.attachmentId, {
+      jobCardId: req.params.jobCardId,
+      uploadedBy: req.user.id
+    });
+    if (!result.success) return res.status(404).json(result);
+
+    await ActivityLog.create({
+      user_id: req.user.id,
+      action: 'Removed attachment from job',
+      table_name: 'job_cards',
+      reference_id: req.params.jobCardId,
+    });
+
+    res.json({ message: 'Attachment removed' });
+  } catch (err) {
+    console.error('Error removing job attachment:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // View job history and earnings
 router.get('/history', async (req, res) => {
   try {
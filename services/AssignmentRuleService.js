@@ -0,0 +1,387 @@
+const { sequelize, AssignmentRuleSet, JobCard } = require('../models');
+const builtInRules = require('../rules/assignment.json');
+
+// Active rule set, shared by every instance so an admin's change is used by the next assignment
+let cache = null;
+let cachedAt = 0;
+
+/**
+ * Assignment Rule Service
+ * Loads and validates the rules automated assignment uses. The built-in rules live in
+ * rules/assignment.json and count as version 0; admins save new versions through the API and
+ * activate one of them, which is picked up without a restart. Saved versions are never edited,
+ * so the version recorded on a job card keeps meaning the same rules.
+ *
+ * A rule set has:
+ * - critical, high, medium, low: { keywords, priority, sla_target (milliseconds),
+ *   max_assignments_per_team, required_team_capabilities }; incidents are checked against the
+ *   keywords from critical down, and medium applies when nothing matches
+ * - geographic: zone -> { areas, team_preference }
+ * - time_based: { business_hours: { start, end, preferred_teams }, after_hours: { start, end, preferred_teams },
+ *   weekend: { preferred_teams } }, hours from 0 to 24
+ * - team_capabilities: capability -> { description, max_concurrent, priority_boost }
+ */
+class AssignmentRuleService {
+  constructor() {
+    this.config = {
+      cacheSeconds: parseInt(process.env.ASSIGNMENT_RULE_CACHE_SECONDS) || 60
+    };
+
+    this.priorities = ['critical', 'high', 'medium', 'low'];
+    this.timeWindows = ['business_hours', 'after_hours', 'weekend'];
+  }
+
+  /**
+   * Check a list of non-empty texts
+   * @param {*} list - List to check
+   * @param {boolean} allowEmpty - Whether the list may have no entries
+   * @returns {boolean} True if usable
+   */
+  isTextList(list, allowEmpty = false) {
+    return Array.isArray(list) && (allowEmpty || list.length > 0) &&
+      list.every(item => typeof item === 'string' && item.trim() !== '');
+  }
+
+  /**
+   * Validate a rule set
+   * @param {Object} rules - Rule set
+   * @returns {Array<string>} Problems found; empty when the rules can be used
+   */
+  validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['rules must be an object'];
+    }
+
+    const errors = [];
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+    const namePattern = /^[a-z][a-z0-9_]{0,49}$/;
+    const sections = [...this.priorities, 'geographic', 'time_based', 'team_capabilities'];
+
+    for (const key of Object.keys(rules)) {
+      if (!sections.includes(key)) errors.push(`${key} is not a rule section; use ${sections.join(', ')}`);
+    }
+
+    const capabilities = isObject(rules.team_capabilities) ? rules.team_capabilities : {};
+    if (!isObject(rules.team_capabilities)) {
+      errors.push('team_capabilities must be an object');
+    }
+    for (const [name, capability] of Object.entries(capabilities)) {
+      const label = `team_capabilities.${name}`;
+      if (!namePattern.test(name)) errors.push(`${label}: names must be lowercase letters, digits and underscores`);
+      if (!isObject(capability)) {
+        errors.push(`${label} must be an object`);
+        continue;
+      }
+      if (capability.description !== undefined && typeof capability.description !== 'string') {
+        errors.push(`${label}.description must be a text`);
+      }
+      if (!isPositiveInteger(capability.max_concurrent)) errors.push(`${label}.max_concurrent must be a whole number above 0`);
+      if (typeof capability.priority_boost !== 'number' || !(capability.priority_boost > 0)) {
+        errors.push(`${label}.priority_boost must be a number above 0`);
+      }
+    }
+
+    for (const priority of this.priorities) {
+      const rule = rules[priority];
+      if (!isObject(rule)) {
+        errors.push(`${priority} must be an object`);
+        continue;
+      }
+      if (!this.isTextList(rule.keywords, true)) errors.push(`${priority}.keywords must be a list of texts`);
+      if (rule.priority !== priority) errors.push(`${priority}.priority must be "${priority}"`);
+      if (!isPositiveInteger(rule.sla_target)) errors.push(`${priority}.sla_target must be a whole number of milliseconds above 0`);
+      if (!isPositiveInteger(rule.max_assignments_per_team)) {
+        errors.push(`${priority}.max_assignments_per_team must be a whole number above 0`);
+      }
+      if (!this.isTextList(rule.required_team_capabilities, true)) {
+        errors.push(`${priority}.required_team_capabilities must be a list of capability names`);
+      } else {
+        for (const capability of rule.required_team_capabilities.filter(name => !capabilities[name])) {
+          errors.push(`${priority}.required_team_capabilities: ${capability} is not in team_capabilities`);
+        }
+      }
+    }
+
+    // A more urgent priority cannot be given more time than a less urgent one
+    const targets = this.priorities.map(priority => isObject(rules[priority]) ? rules[priority].sla_target : null);
+    if (targets.every(isPositiveInteger) && targets.some((target, i) => i > 0 && target < targets[i - 1])) {
+      errors.push('sla_target must not get shorter from critical to low');
+    }
+
+    if (!isObject(rules.geographic)) {
+      errors.push('geographic must be an object');
+    } else {
+      for (const [zone, rule] of Object.entries(rules.geographic)) {
+        const label = `geographic.${zone}`;
+        if (!namePattern.test(zone)) errors.push(`${label}: zone names must be lowercase letters, digits and underscores`);
+        if (!isObject(rule)) {
+          errors.push(`${label} must be an object`);
+          continue;
+        }
+        if (!this.isTextList(rule.areas)) errors.push(`${label}.areas must be a list of at least one area`);
+        if (typeof rule.team_preference !== 'string' || rule.team_preference.trim() === '') {
+          errors.push(`${label}.team_preference is required`);
+        }
+      }
+    }
+
+    if (!isObject(rules.time_based)) {
+      errors.push('time_based must be an object');
+    } else {
+      const isHour = value => Number.isInteger(value) && value >= 0 && value <= 24;
+      for (const window of this.timeWindows) {
+        const rule = rules.time_based[window];
+        const label = `time_based.${window}`;
+        if (!isObject(rule)) {
+          errors.push(`${label} must be an object`);
+          continue;
+        }
+        if (!this.isTextList(rule.preferred_teams, true)) errors.push(`${label}.preferred_teams must be a list of texts`);
+        if (window !== 'weekend' && (!isHour(rule.start) || !isHour(rule.end))) {
+          errors.push(`${label}.start and end must be hours from 0 to 24`);
+        }
+      }
+      const business = rules.time_based.business_hours;
+      if (isObject(business) && isHour(business.start) && isHour(business.end) && business.start >= business.end) {
+        errors.push('time_based.business_hours must start before it ends');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Read the active rule set
+   * @returns {Promise<Object>} { version, rules, source: 'built_in'|'stored', activatedAt }
+   */
+  async loadActive() {
+    const active = await AssignmentRuleSet.findOne({ where: { active: true }, order: [['version', 'DESC']] });
+    if (!active) {
+      return { version: 0, rules: builtInRules, source: 'built_in', activatedAt: null };
+    }
+    return { version: active.version, rules: active.rules, source: 'stored', activatedAt: active.activated_at };
+  }
+
+  /**
+   * Active rule set, from the cache while it is fresh
+   * @returns {Promise<Object>} { version, rules, source, activatedAt }
+   */
+  async getActiveRuleSet() {
+    if (!cache || Date.now() - cachedAt > this.config.cacheSeconds * 1000) {
+      cache = await this.loadActive();
+      cachedAt = Date.now();
+    }
+    return cache;
+  }
+
+  /**
+   * Forget the cached rule set so the next assignment reads the active one
+   */
+  reload() {
+    cache = null;
+  }
+
+  /**
+   * Categorize an incident by the keywords of a rule set, most urgent priority first
+   * @param {Object} incident - Incident with title, description and location
+   * @param {Object} ruleSet - Rule set to use; the active one when not given
+   * @returns {Promise<Object>} { category, rules, matchScore, ruleSetVersion, reasoning }
+   */
+  async categorizeIncident(incident, ruleSet = null) {
+    const { version, rules: assignmentRules } = ruleSet || await this.getActiveRuleSet();
+    const { title = '', description = '', location = '' } = incident;
+    const fullText = `${title} ${description} ${location}`.toLowerCase();
+
+    // Check each priority category, most urgent first
+    for (const category of this.priorities) {
+      const rules = assignmentRules[category];
+      if (rules && rules.keywords) {
+        const matchCount = rules.keywords.filter(keyword =>
+          fullText.includes(keyword.toLowerCase())
+        ).length;
+
+        if (matchCount > 0) {
+          return {
+            category,
+            rules,
+            matchScore: matchCount,
+            ruleSetVersion: version,
+            reasoning: `Matched ${matchCount} keywords: ${rules.keywords.filter(k => fullText.includes(k.toLowerCase())).join(', ')}`
+          };
+        }
+      }
+    }
+
+    // Default to medium priority if no specific rules match
+    return {
+      category: 'medium',
+      rules: assignmentRules.medium,
+      matchScore: 0,
+      ruleSetVersion: version,
+      reasoning: 'Default classification - no specific keywords matched'
+    };
+  }
+
+  /**
+   * Format a stored version for the API
+   * @param {Object} row - AssignmentRuleSet
+   * @returns {Object} Rule set version
+   */
+  serialize(row) {
+    return {
+      id: row.id,
+      version: row.version,
+      rules: row.rules,
+      active: row.active,
+      notes: row.notes,
+      source: 'stored',
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      activatedAt: row.activated_at
+    };
+  }
+
+  /**
+   * All rule set versions, newest first, ending with the built-in rules
+   * @returns {Promise<Array>} Rule set versions
+   */
+  async listVersions() {
+    const rows = await AssignmentRuleSet.findAll({ order: [['version', 'DESC']] });
+    const versions = rows.map(row => this.serialize(row));
+    versions.push({
+      version: 0,
+      rules: builtInRules,
+      active: !rows.some(row => row.active),
+      notes: 'Built-in rules',
+      source: 'built_in'
+    });
+    return versions;
+  }
+
+  /**
+   * Find one rule set version
+   * @param {number} version - Version number; 0 for the built-in rules
+   * @returns {Promise<Object|null>} Rule set version
+   */
+  async getVersion(version) {
+    return (await this.listVersions()).find(ruleSet => ruleSet.version === version) || null;
+  }
+
+  /**
+   * Save rules as a new version
+   * @param {Object} rules - Rule set
+   * @param {Object} options - { activate, notes, userId }
+   * @returns {Promise<Object>} { success, ruleSet } or { success: false, code, error, details }
+   */
+  async createVersion(rules, options = {}) {
+    const errors = this.validateRules(rules);
+    if (options.notes !== undefined && options.notes !== null &&
+      (typeof options.notes !== 'string' || options.notes.length > 500)) {
+      errors.push('notes must be a text of at most 500 characters');
+    }
+    if (errors.length > 0) {
+      return { success: false, code: 'INVALID_RULE_SET', error: 'Assignment rules are invalid', details: errors };
+    }
+
+    let row;
+    try {
+      row = await sequelize.transaction(async (transaction) => {
+        const latest = await AssignmentRuleSet.max('version', { transaction });
+        const created = await AssignmentRuleSet.create({
+          version: (latest || 0) + 1,
+          rules,
+          notes: options.notes || null,
+          created_by: options.userId || null
+        }, { transaction });
+
+        if (options.activate) {
+          await this.switchActive(created, transaction);
+        }
+        return created;
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') return this.conflict();
+      throw error;
+    }
+
+    if (options.activate) this.reload();
+    return { success: true, ruleSet: this.serialize(row) };
+  }
+
+  /**
+   * Make a version the one assignments use; version 0 goes back to the built-in rules
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} { success, ruleSet } or { success: false, code, error }
+   */
+  async activateVersion(version) {
+    let row;
+    try {
+      row = await sequelize.transaction(async (transaction) => {
+        const found = version === 0 ? null : await AssignmentRuleSet.findOne({ where: { version }, transaction });
+        if (version !== 0 && !found) return undefined;
+
+        await this.switchActive(found, transaction);
+        return found;
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') return this.conflict();
+      throw error;
+    }
+    if (row === undefined) {
+      return { success: false, code: 'RULE_SET_NOT_FOUND', error: 'Rule set version not found' };
+    }
+
+    this.reload();
+    return { success: true, ruleSet: row ? this.serialize(row) : await this.getVersion(0) };
+  }
+
+  /**
+   * Replace the active version within a transaction, so other readers see either the old
+   * version or the new one and never a moment with neither
+   * @param {Object|null} row - AssignmentRuleSet to activate; null for the built-in rules
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async switchActive(row, transaction) {
+    await AssignmentRuleSet.update({ active: false }, { where: { active: true }, transaction });
+    if (row) {
+      await row.update({ active: true, activated_at: new Date() }, { transaction });
+    }
+  }
+
+  /**
+   * Result for a change that lost a race with another admin's, caught by the unique
+   * version number or the single active version
+   * @returns {Object} { success: false, code, error }
+   */
+  conflict() {
+    return { success: false, code: 'RULE_SET_CONFLICT', error: 'The assignment rules were changed at the same time by someone else; please try again' };
+  }
+
+  /**
+   * Delete a version that is not active and was never used for an assignment
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} { success } or { success: false, code, error }
+   */
+  async removeVersion(version) {
+    if (version === 0) {
+      return { success: false, code: 'BUILT_IN_RULE_SET', error: 'The built-in rules cannot be deleted' };
+    }
+
+    const row = await AssignmentRuleSet.findOne({ where: { version } });
+    if (!row) {
+      return { success: false, code: 'RULE_SET_NOT_FOUND', error: 'Rule set version not found' };
+    }
+    if (row.active) {
+      return { success: false, code: 'RULE_SET_ACTIVE', error: 'Activate another version before deleting this one' };
+    }
+    if (await JobCard.count({ where: { rule_set_version: version } }) > 0) {
+      return { success: false, code: 'RULE_SET_IN_USE', error: 'Assignments were made with this version, so it is kept' };
+    }
+
+    await row.destroy();
+    return { success: true };
+  }
+}
+
+module.exports = AssignmentRuleService;
@@ -0,0 +1,214 @@
+const { Op } = require('sequelize');
+const { Attachment, User } = require('../models');
+const ImageProcessingService = require('./ImageProcessingService');
+
+/**
+ * Attachment Service
+ * Stores photos and documents against incidents and job cards with their metadata
+ */
+class AttachmentService {
+  constructor() {
+    this.imageService = new ImageProcessingService();
+
+    this.sources = ['public', 'whatsapp', 'worker', 'staff'];
+    this.phases = ['before', 'during', 'after'];
+    this.documentTypes = ['application/pdf'];
+
+    // Intake channels and the attachment source they map to
+    this.channelSources = {
+      web: 'public',
+      open311: 'public',
+      whatsapp: 'whatsapp'
+    };
+  }
+
+  /**
+   * Attachment source for an intake channel
+   * @param {string} channel - Intake channel
+   * @returns {string} Attachment source
+   */
+  sourceForChannel(channel) {
+    return this.channelSources[channel] || 'public';
+  }
+
+  /**
+   * Attachment source for a staff member
+   * @param {Object} user - User instance
+   * @returns {string} 'worker' for field workers, 'staff' for everyone else
+   */
+  sourceForUser(user) {
+    return user.role === 'worker' ? 'worker' : 'staff';
+  }
+
+  /**
+   * Save already processed or remote files as attachments
+   * @param {Array<Object>} files - { path | url, mimeType, size, checksum }
+   * @param {Object} meta - { incidentId, jobCardId, followUpId, uploadedBy, source, caption, phase }
+   * @returns {Promise<Array>} Created attachments
+   */
+  async createMany(files, meta) {
+    const created = [];
+    for (const file of files) {
+      created.push(await Attachment.create({
+        incident_id: meta.incidentId,
+        job_card_id: meta.jobCardId || null,
+        follow_up_id: meta.followUpId || null,
+        uploaded_by: meta.uploadedBy || null,
+        source: meta.source,
+        file_path: file.path || file.url,
+        mime_type: file.mimeType || 'application/octet-stream',
+        size_bytes: file.size || null,
+        checksum: file.checksum || null,
+        caption: file.caption || meta.caption || null,
+        phase: meta.phase || 'before'
+      }));
+    }
+    return created;
+  }
+
+  /**
+   * Validate, process and store uploaded files as attachments
+   * @param {Array<Buffer>} buffers - Uploaded files
+   * @param {Object} meta - { incidentId, jobCardId, uploadedBy, source, caption, phase }
+   * @returns {Promise<Object>} { success, attachments } or { success: false, code, error }
+   */
+  async addUploads(buffers, meta) {
+    if (!buffers || buffers.length === 0) {
+      return { success: false, code: 'NO_FILES', error: 'At least one file is required' };
+    }
+    if (!this.sources.includes(meta.source)) {
+      return { success: false, code: 'INVALID_SOURCE', error: `Source must be one of: ${this.sources.join(', ')}` };
+    }
+    if (meta.phase && !this.phases.includes(meta.phase)) {
+      return { success: false, code: 'INVALID_PHASE', error: `Phase must be one of: ${this.phases.join(', ')}` };
+    }
+
+    const stored = [];
+    for (const buffer of buffers) {
+      const type = this.imageService.detectType(buffer);
+      const result = type && type.image
+        ? await this.imageService.processImage(buffer)
+        : await this.imageService.storeDocument(buffer, this.documentTypes);
+
+      if (!result.success) {
+        await Promise.all(stored.map(file => this.imageService.removeImage(file.path)));
+        return result;
+      }
+      stored.push(result);
+    }
+
+    const attachments = await this.createMany(stored, meta);
+    return { success: true, attachments };
+  }
+
+  /**
+   * List attachments for an incident, including its job card photos
+   * @param {string} incidentId - Incident ID
+   * @returns {Promise<Array>} Serialized attachments, oldest first
+   */
+  async listForIncident(incidentId) {
+    const attachments = await Attachment.findAll({
+      where: { incident_id: incidentId },
+      include: [{ model: User, as: 'uploader', attributes: ['id', 'name', 'role'] }],
+      order: [['created_at', 'ASC']]
+    });
+    return this.serializeAll(attachments);
+  }
+
+  /**
+   * List attachments for a job card
+   * @param {string} jobCardId - Job card ID
+   * @returns {Promise<Array>} Serialized attachments, oldest first
+   */
+  async listForJobCard(jobCardId) {
+    const attachments = await Attachment.findAll({
+      where: { job_card_id: jobCardId },
+      include: [{ model: User, as: 'uploader', attributes: ['id', 'name', 'role'] }],
+      order: [['created_at', 'ASC']]
+    });
+    return this.serializeAll(attachments);
+  }
+
+  /**
+   * Remove an attachment and its stored files
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} options - { incidentId, jobCardId, uploadedBy } restrict which attachment may be removed
+   * @returns {Promise<Object>} { success } or { success: false, code, error }
+   */
+  async remove(attachmentId, options = {}) {
+    const where = { id: attachmentId };
+    if (options.incidentId) where.incident_id = options.incidentId;
+    if (options.jobCardId) where.job_card_id = options.jobCardId;
+    if (options.uploadedBy) where.uploaded_by = options.uploadedBy;
+
+    const attachment = await Attachment.findOne({ where });
+    if (!attachment) {
+      return { success: false, code: 'ATTACHMENT_NOT_FOUND', error: 'Attachment not found' };
+    }
+
+    // Another attachment may share the file after a merge or re-upload
+    const shared = await Attachment.count({
+      where: { file_path: attachment.file_path, id: { [Op.ne]: attachment.id } }
+    });
+
+    await attachment.destroy();
+    if (!shared && !this.imageService.storage.isRemoteUrl(attachment.file_path)) {
+      await this.imageService.removeImage(attachment.file_path);
+    }
+
+    return { success: true, attachment };
+  }
+
+  /**
+   * Image paths for incidents, falling back to the legacy images column
+   * @param {Array<Object>} incidents - Incident instances
+   * @param {Object} options - { citizenOnly: leave out staff and worker uploads }
+   * @returns {Promise<Map>} incident ID -> array of image paths or URLs
+   */
+  async getImagePaths(incidents, options = {}) {
+    const paths = new Map();
+    if (incidents.length === 0) return paths;
+
+    const where = {
+      incident_id: { [Op.in]: incidents.map(incident => incident.id) },
+      mime_type: { [Op.notIn]: this.documentTypes }
+    };
+    if (options.citizenOnly) where.source = { [Op.in]: ['public', 'whatsapp'] };
+
+    const attachments = await Attachment.findAll({ where, order: [['created_at', 'ASC']] });
+
+    for (const incident of incidents) {
+      const own = attachments.filter(attachment => attachment.incident_id === incident.id);
+      const legacy = incident.images ? incident.images.split(',').map(image => image.trim()).filter(Boolean) : [];
+      paths.set(incident.id, own.length > 0 ? own.map(attachment => attachment.file_path) : legacy);
+    }
+
+    return paths;
+  }
+
+  /**
+   * Attachment as returned by the API, with expiring download URLs for the file
+   * and, for images, its display and thumbnail versions
+   * @param {Object} attachment - Attachment instance
+   * @returns {Promise<Object>} Serialized attachment
+   */
+  async serialize(attachment) {
+    const json = attachment.toJSON();
+    json.url = await this.imageService.storage.getUrl(json.file_path);
+    json.variants = json.mime_type.startsWith('image/') || json.mime_type === 'application/octet-stream'
+      ? await this.imageService.variantUrlsFor(json.file_path)
+      : null;
+    return json;
+  }
+
+  /**
+   * Serialize several attachments
+   * @param {Array<Object>} attachments - Attachment instances
+   * @returns {Promise<Array>} Serialized attachments
+   */
+  async serializeAll(attachments) {
+    return Promise.all(attachments.map(attachment => this.serialize(attachment)));
+  }
+}
+
+module.exports = AttachmentService;
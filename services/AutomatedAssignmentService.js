@@ -1,6 +1,8 @@
 const { Team, TeamMember, JobCard, Incident, ActivityLog, User } = require('../models');
 const { Op } = require('sequelize');
 const IntelligentAssignmentService = require('./IntelligentAssignmentService');
+const StatusHistoryService = require('./StatusHistoryService');
+const AssignmentRuleService = require('./AssignmentRuleService');
 
 /**
  * Automated Assignment Service
@@ -9,7 +11,7 @@ const IntelligentAssignmentService = require('./IntelligentAssignmentService');
  */
 class AutomatedAssignmentService {
   constructor() {
-    this.assignmentRules = this.initializeAssignmentRules();
+    this.ruleService = new AssignmentRuleService();
     this.intelligentService = new IntelligentAssignmentService();
     this.assignmentHistory = new Map(); // Track recent assignments to prevent duplicates
     this.AUTOMATION_ENABLED = process.env.AUTOMATION_ENABLED === 'true';
@@ -17,166 +19,27 @@ class AutomatedAssignmentService {
   }
 
   /**
-   * Initialize predefined assignment rules and criteria
-   * These rules will be used to automatically categorize and assign incidents
-   */
-  initializeAssignmentRules() {
-    return {
-      // Critical/Emergency incidents
-      critical: {
-        keywords: [
-          'emergency', 'urgent', 'flood', 'overflow', 'sewage backup',
-          'public health', 'environmental', 'contamination', 'blockage severe',
-          'pipe burst', 'manhole overflow', 'sewage spill'
-        ],
-        priority: 'critical',
-        sla_target: 4 * 60 * 60 * 1000, // 4 hours
-        max_assignments_per_team: 2, // Limit critical assignments per team
-        required_team_capabilities: ['emergency_response', 'heavy_equipment']
-      },
-      
-      // High priority incidents
-      high: {
-        keywords: [
-          'backup', 'slow drainage', 'odour', 'noise', 'localized flooding',
-          'manhole damaged', 'pipe damaged', 'access issues'
-        ],
-        priority: 'high',
-        sla_target: 8 * 60 * 60 * 1000, // 8 hours
-        max_assignments_per_team: 3,
-        required_team_capabilities: ['standard_response']
-      },
-      
-      // Medium priority incidents  
-      medium: {
-        keywords: [
-          'maintenance', 'inspection', 'cleaning', 'routine', 'preventive',
-          'minor blockage', 'odor control', 'access repair'
-        ],
-        priority: 'medium',
-        sla_target: 24 * 60 * 60 * 1000, // 24 hours
-        max_assignments_per_team: 5,
-        required_team_capabilities: ['standard_response', 'maintenance']
-      },
-      
-      // Low priority incidents
-      low: {
-        keywords: [
-          'consultation', 'advice', 'general inquiry', 'scheduled maintenance',
-          'documentation', 'follow-up', 'routine check'
-        ],
-        priority: 'low',
-        sla_target: 48 * 60 * 60 * 1000, // 48 hours
-        max_assignments_per_team: 10,
-        required_team_capabilities: ['standard_response']
-      },
-
-      // Geographic assignment rules
-      geographic: {
-        north_zone: {
-          areas: ['northern suburbs', 'north end', 'uptown'],
-          team_preference: 'north_team'
-        },
-        south_zone: {
-          areas: ['southern suburbs', 'south end', 'downtown'],
-          team_preference: 'south_team'
-        },
-        central_zone: {
-          areas: ['central', 'midtown', 'business district'],
-          team_preference: 'central_team'
-        }
-      },
-
-      // Time-based assignment rules
-      time_based: {
-        business_hours: {
-          start: 8,
-          end: 17,
-          preferred_teams: ['day_shift_team', 'standard_team']
-        },
-        after_hours: {
-          start: 17,
-          end: 8,
-          preferred_teams: ['emergency_team', 'on_call_team']
-        },
-        weekend: {
-          preferred_teams: ['emergency_team', 'minimal_staff_team']
-        }
-      },
-
-      // Team capability-based rules
-      team_capabilities: {
-        emergency_response: {
-          description: 'Teams equipped for emergency response',
-          max_concurrent: 3,
-          priority_boost: 1.5
-        },
-        heavy_equipment: {
-          description: 'Teams with heavy machinery access',
-          max_concurrent: 2,
-          priority_boost: 1.2
-        },
-        standard_response: {
-          description: 'Standard response teams',
-          max_concurrent: 5,
-          priority_boost: 1.0
-        },
-        maintenance: {
-          description: 'Maintenance-focused teams',
-          max_concurrent: 8,
-          priority_boost: 0.8
-        }
-      }
-    };
-  }
-
-  /**
-   * Categorize incident based on predefined rules
+   * Categorize incident based on the active assignment rules
    * @param {Object} incident - The incident to categorize
-   * @returns {Object} Category information with rules to apply
+   * @param {Object} ruleSet - Rule set to use; the active one when not given
+   * @returns {Promise<Object>} Category information with rules to apply and the rule set version
    */
-  categorizeIncident(incident) {
-    const { title = '', description = '', location = '' } = incident;
-    const fullText = `${title} ${description} ${location}`.toLowerCase();
-    
-    // Check each priority category
-    for (const [category, rules] of Object.entries(this.assignmentRules)) {
-      if (typeof rules === 'object' && rules.keywords) {
-        const matchCount = rules.keywords.filter(keyword => 
-          fullText.includes(keyword.toLowerCase())
-        ).length;
-        
-        if (matchCount > 0) {
-          return {
-            category,
-            rules,
-            matchScore: matchCount,
-            reasoning: `Matched ${matchCount} keywords: ${rules.keywords.filter(k => fullText.includes(k.toLowerCase())).join(', ')}`
-          };
-        }
-      }
-    }
-
-    // Default to medium priority if no specific rules match
-    return {
-      category: 'medium',
-      rules: this.assignmentRules.medium,
-      matchScore: 0,
-      reasoning: 'Default classification - no specific keywords matched'
-    };
+  async categorizeIncident(incident, ruleSet = null) {
+    return this.ruleService.categorizeIncident(incident, ruleSet);
   }
 
   /**
    * Apply geographic assignment rules
    * @param {Object} incident - The incident to analyze
    * @param {Array} availableTeams - Available teams
+   * @param {Object} assignmentRules - Rules of the rule set in use
    * @returns {Object} Geographic preferences
    */
-  applyGeographicRules(incident, availableTeams) {
+  applyGeographicRules(incident, availableTeams, assignmentRules) {
     const { location = '' } = incident;
     const locationLower = location.toLowerCase();
     
-    for (const [zone, rules] of Object.entries(this.assignmentRules.geographic)) {
+    for (const [zone, rules] of Object.entries(assignmentRules.geographic)) {
       if (rules.areas) {
         const matchedArea = rules.areas.find(area => 
           locationLower.includes(area.toLowerCase())
@@ -213,16 +76,18 @@ class AutomatedAssignmentService {
    * Apply time-based assignment rules
    * @param {Date} incidentTime - Time of incident creation
    * @param {Array} availableTeams - Available teams
+   * @param {Object} assignmentRules - Rules of the rule set in use
    * @returns {Object} Time-based preferences
    */
-  applyTimeBasedRules(incidentTime, availableTeams) {
+  applyTimeBasedRules(incidentTime, availableTeams, assignmentRules) {
+    const timeRules = assignmentRules.time_based;
     const hour = incidentTime.getHours();
     const dayOfWeek = incidentTime.getDay(); // 0 = Sunday, 1 = Monday, etc.
     
     // Weekend check
     if (dayOfWeek === 0 || dayOfWeek === 6) {
       const weekendTeams = availableTeams.filter(team => 
-        this.assignmentRules.time_based.weekend.preferred_teams.some(preferred => 
+        timeRules.weekend.preferred_teams.some(preferred => 
           team.name.toLowerCase().includes(preferred.toLowerCase())
         )
       );
@@ -235,10 +100,10 @@ class AutomatedAssignmentService {
     }
     
     // Business hours check
-    if (hour >= this.assignmentRules.time_based.business_hours.start && 
-        hour < this.assignmentRules.time_based.business_hours.end) {
+    if (hour >= timeRules.business_hours.start && 
+        hour < timeRules.business_hours.end) {
       const businessTeams = availableTeams.filter(team => 
-        this.assignmentRules.time_based.business_hours.preferred_teams.some(preferred => 
+        timeRules.business_hours.preferred_teams.some(preferred => 
           team.name.toLowerCase().includes(preferred.toLowerCase())
         )
       );
@@ -252,7 +117,7 @@ class AutomatedAssignmentService {
     
     // After hours
     const afterHoursTeams = availableTeams.filter(team => 
-      this.assignmentRules.time_based.after_hours.preferred_teams.some(preferred => 
+      timeRules.after_hours.preferred_teams.some(preferred => 
         team.name.toLowerCase().includes(preferred.toLowerCase())
       )
     );
@@ -269,15 +134,18 @@ class AutomatedAssignmentService {
    * @param {Array} availableTeams - Teams available for assignment
    * @param {Object} incident - The incident to assign
    * @param {Object} categorization - Incident categorization results
+   * @param {Object} ruleSet - Rule set the incident was categorized with; the active one when not given
    * @returns {Promise<Object>} Selected team with detailed scoring
    */
-  async selectBestTeamWithRules(availableTeams, incident, categorization) {
+  async selectBestTeamWithRules(availableTeams, incident, categorization, ruleSet = null) {
     try {
+      const { rules: assignmentRules } = ruleSet || await this.ruleService.getActiveRuleSet();
+
       // Apply geographic rules
-      const geographicInfo = this.applyGeographicRules(incident, availableTeams);
+      const geographicInfo = this.applyGeographicRules(incident, availableTeams, assignmentRules);
       
       // Apply time-based rules
-      const timeInfo = this.applyTimeBasedRules(new Date(incident.created_at), availableTeams);
+      const timeInfo = this.applyTimeBasedRules(new Date(incident.created_at), availableTeams, assignmentRules);
       
       // Filter teams based on categorization rules
       const priorityCounts = await Promise.all(availableTeams.map(async (team) => ({
@@ -341,7 +209,7 @@ class AutomatedAssignmentService {
         
         // Apply capability-specific priority boost
         categoryCapabilities.forEach(cap => {
-          const capRules = this.assignmentRules.team_capabilities[cap];
+          const capRules = assignmentRules.team_capabilities[cap];
           if (capRules && teamCapabilities.includes(cap)) {
             ruleBonus *= capRules.priority_boost;
           }
@@ -421,7 +289,7 @@ class AutomatedAssignmentService {
       const jobCards = await JobCard.findAll({
         where: {
           team_id: teamId,
-          status: { [Op.ne]: 'completed' }
+          status: { [Op.notIn]: ['completed', 'cancelled'] }
         },
         include: [{
           model: Incident,
@@ -494,9 +362,10 @@ class AutomatedAssignmentService {
 
           if (dryRun) {
             // Dry run - just analyze what would happen
-            const categorization = this.categorizeIncident(incident);
+            const ruleSet = await this.ruleService.getActiveRuleSet();
+            const categorization = await this.categorizeIncident(incident, ruleSet);
             const availableTeams = await this.intelligentService.getAvailableTeams(managerId);
-            const selectedTeam = await this.selectBestTeamWithRules(availableTeams, incident, categorization);
+            const selectedTeam = await this.selectBestTeamWithRules(availableTeams, incident, categorization, ruleSet);
             
             assignmentResults.push({
               incidentId: incident.id,
@@ -504,7 +373,8 @@ class AutomatedAssignmentService {
               status: 'would_assign',
               selectedTeam: selectedTeam.name,
               category: categorization.category,
-              reasoning: categorization.reasoning
+              reasoning: categorization.reasoning,
+              ruleSetVersion: ruleSet.version
             });
             
             assignedCount++;
@@ -518,7 +388,8 @@ class AutomatedAssignmentService {
               status: 'assigned',
               teamName: result.selectedTeam.name,
               category: result.categorization.category,
-              reasoning: result.categorization.reasoning
+              reasoning: result.categorization.reasoning,
+              ruleSetVersion: result.ruleSetVersion
             });
             
             assignedCount++;
@@ -600,14 +471,15 @@ class AutomatedAssignmentService {
         throw new Error('Incident is not ready for assignment');
       }
 
-      // Categorize the incident
-      const categorization = this.categorizeIncident(incident);
+      // Categorize the incident; team selection uses the same rule set even if it changes meanwhile
+      const ruleSet = await this.ruleService.getActiveRuleSet();
+      const categorization = await this.categorizeIncident(incident, ruleSet);
 
       // Get available teams
       const availableTeams = await this.intelligentService.getAvailableTeams(managerId);
 
       // Select best team using rules
-      const selectedTeam = await this.selectBestTeamWithRules(availableTeams, incident, categorization);
+      const selectedTeam = await this.selectBestTeamWithRules(availableTeams, incident, categorization, ruleSet);
 
       if (!selectedTeam) {
         throw new Error('No suitable team found for assignment');
@@ -619,7 +491,8 @@ class AutomatedAssignmentService {
         team_id: selectedTeam.id,
         team_leader_id: null,
         status: 'not_started',
-        assigned_at: new Date()
+        assigned_at: new Date(),
+        rule_set_version: ruleSet.version
       });
 
       // Update team capacity
@@ -657,6 +530,8 @@ class AutomatedAssignmentService {
         category_reasoning: categorization.reasoning
       });
 
+      await new StatusHistoryService().record(incident, 'assigned', { userId: managerId });
+
       // Log the rule-based assignment
       await ActivityLog.create({
         user_id: managerId,
@@ -666,6 +541,7 @@ class AutomatedAssignmentService {
         details: JSON.stringify({
           assignmentType: 'automated_rule_based',
           categorization: categorization,
+          ruleSetVersion: ruleSet.version,
           selectedTeam: {
             id: selectedTeam.id,
             name: selectedTeam.name,
@@ -681,6 +557,7 @@ class AutomatedAssignmentService {
         jobCard,
         selectedTeam,
         categorization,
+        ruleSetVersion: ruleSet.version,
         reason: `Incident categorized as ${categorization.category}: ${categorization.reasoning}`,
         message: `Incident automatically assigned to team ${selectedTeam.name} based on rule analysis`
       };
@@ -698,6 +575,7 @@ class AutomatedAssignmentService {
    */
   async getAutomationStatus(managerId) {
     try {
+      const ruleSet = await this.ruleService.getActiveRuleSet();
       const unassignedIncidents = await Incident.count({
         where: {
           status: 'verified',
@@ -721,7 +599,8 @@ class AutomatedAssignmentService {
           unassignedIncidents,
           assignmentRate: totalIncidents > 0 ? Math.round((assignedIncidents / totalIncidents) * 100) : 0
         },
-        assignmentRules: this.assignmentRules,
+        assignmentRules: ruleSet.rules,
+        ruleSetVersion: ruleSet.version,
         lastAutomationRun: this.assignmentHistory.size > 0 ? 
           new Date(Math.max(...Array.from(this.assignmentHistory.values()))) : null
       };
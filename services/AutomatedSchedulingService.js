@@ -281,7 +281,7 @@ class AutomatedSchedulingService {
 
     // Categorize incidents
     for (const incident of incidents) {
-      const categorization = this.assignmentService.categorizeIncident(incident);
+      const categorization = await this.assignmentService.categorizeIncident(incident);
       const priority = categorization.category;
       
       if (priorityGroups[priority]) {
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { Op } = require('sequelize');
+const { Incident, IncidentReport, CitizenNotificationLog, NotificationOptOut, WhatsAppConversation } = require('../models');
+const WhatsAppInboxService = require('./WhatsAppInboxService');
+const SmsService = require('./SmsService');
+const TranslationService = require('./TranslationService');
+
+/**
+ * Citizen Notification Service
+ * Tells the people who reported an incident when its status changes, over the channel
+ * they reported through (WhatsApp, or SMS/email for reports from the public API)
+ */
+class CitizenNotificationService {
+  constructor() {
+    // Timeline events that are pushed to reporters; the texts are under 'notifications' in locales/
+    this.events = ['assigned', 'in_progress', 'completed', 'cancelled', 'merged'];
+
+    this.config = {
+      smtpHost: process.env.SMTP_HOST,
+      smtpPort: parseInt(process.env.SMTP_PORT) || 587,
+      smtpUser: process.env.SMTP_USER,
+      smtpPassword: process.env.SMTP_PASSWORD,
+      emailFrom: process.env.NOTIFICATION_EMAIL_FROM || process.env.SMTP_USER,
+      publicBaseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, ''),
+      unsubscribeSecret: process.env.NOTIFICATION_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET
+    };
+
+    this.inboxService = new WhatsAppInboxService();
+    this.smsService = new SmsService();
+    this.translationService = new TranslationService();
+    this.mailTransport = null;
+  }
+
+  /**
+   * Check if an event is pushed to reporters
+   * @param {string} event - Timeline event
+   * @returns {boolean} True if the event is pushed to reporters
+   */
+  isNotifiableEvent(event) {
+    return this.events.includes(event);
+  }
+
+  /**
+   * Normalise a phone number for comparison and opt-out lookups
+   * @param {string} phone - Raw phone number
+   * @returns {string|null} Normalised number
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+    const cleaned = String(phone).replace(/^whatsapp:/, '').replace(/[\s\-()]/g, '');
+    return cleaned || null;
+  }
+
+  /**
+   * Pick the delivery channel and address for a reporter
+   * @param {Object} reporter - { channel, contact_phone, contact_email }
+   * @returns {Object|null} { channel, address } or null if the reporter cannot be reached
+   */
+  resolveDelivery(reporter) {
+    const phone = this.normalizePhone(reporter.contact_phone);
+
+    if (reporter.channel === 'whatsapp' && phone) {
+      return { channel: 'whatsapp', address: phone };
+    }
+    if (reporter.contact_email) {
+      return { channel: 'email', address: reporter.contact_email.trim().toLowerCase() };
+    }
+    if (phone) {
+      return { channel: 'sms', address: phone };
+    }
+    return null;
+  }
+
+  /**
+   * Collect everyone who reported an incident, including linked and merged reports
+   * @param {Object} incident - Incident instance
+   * @returns {Promise<Array>} Unique deliveries { channel, address }
+   */
+  async getRecipients(incident) {
+    const reporters = [{
+      channel: incident.intake_channel || 'web',
+      contact_phone: incident.contact_phone,
+      contact_email: incident.contact_email
+    }];
+
+    const linkedReports = await IncidentReport.findAll({ where: { incident_id: incident.id } });
+    reporters.push(...linkedReports.map(report => ({
+      channel: report.channel,
+      contact_phone: report.contact_phone,
+      contact_email: report.contact_email
+    })));
+
+    const seen = new Set();
+    const deliveries = [];
+    for (const reporter of reporters) {
+      const delivery = this.resolveDelivery(reporter);
+      if (!delivery) continue;
+      const key = `${delivery.channel}:${delivery.address}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      deliveries.push(delivery);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Language to write to a reporter in: the one they picked in the bot on that number,
+   * preferring the conversation on the delivery channel. Email reporters get the default language
+   * @param {Object} delivery - { channel, address }
+   * @returns {Promise<string|null>} Language code, or null for the default language
+   */
+  async getLanguage({ channel, address }) {
+    if (channel === 'email') return null;
+
+    const conversations = await WhatsAppConversation.findAll({
+      where: { phone_number: address, language: { [Op.ne]: null } },
+      order: [['updated_at', 'DESC']]
+    });
+    const conversation = conversations.find(candidate => candidate.channel === channel) || conversations[0];
+    return conversation ? conversation.language : null;
+  }
+
+  /**
+   * Render the message for an event
+   * @param {string} event - Timeline event or reporter message, a key under 'notifications'
+   * @param {Object} incident - Incident instance
+   * @param {string} channel - Delivery channel
+   * @param {string} publicNote - Optional staff note
+   * @param {string} address - Recipient, for the email unsubscribe link
+   * @param {string} language - Language code of the recipient
+   * @returns {string} Message body
+   */
+  renderMessage(event, incident, channel, publicNote, address, language) {
+    const t = (key, values) => this.translationService.translate(language, `notifications.${key}`, values);
+
+    const lines = [t(event, { trackingId: incident.tracking_id, title: incident.title })];
+
+    if (publicNote) {
+      lines.push(t('note', { note: publicNote }));
+    }
+    // Email replies are not read, so emails carry an unsubscribe link instead, when one can be built
+    if (channel !== 'email') {
+      lines.push(t('opt_out_reply'));
+    } else {
+      const unsubscribeUrl = this.unsubscribeUrl(address);
+      if (unsubscribeUrl) lines.push(t('opt_out_email', { unsubscribeUrl }));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Signature proving an unsubscribe link was sent to an email address
+   * @param {string} email - Email address
+   * @returns {string|null} Hex HMAC, or null without a signing secret
+   */
+  unsubscribeToken(email) {
+    if (!this.config.unsubscribeSecret || !email) return null;
+    return crypto.createHmac('sha256', this.config.unsubscribeSecret)
+      .update(`unsubscribe:${this.normalizeAddress(email)}`)
+      .digest('hex');
+  }
+
+  /**
+   * Link that opts an email address out of status updates
+   * @param {string} email - Email address
+   * @returns {string|null} URL, or null without PUBLIC_BASE_URL or a signing secret
+   */
+  unsubscribeUrl(email) {
+    const token = this.unsubscribeToken(email);
+    if (!this.config.publicBaseUrl || !token) return null;
+    return `${this.config.publicBaseUrl}/api/public/notifications/unsubscribe?email=${encodeURIComponent(this.normalizeAddress(email))}&token=${token}`;
+  }
+
+  /**
+   * Check the token of an unsubscribe link
+   * @param {string} email - Email address from the link
+   * @param {string} token - Token from the link
+   * @returns {boolean} True if the link was issued for this address
+   */
+  isValidUnsubscribeToken(email, token) {
+    const expected = this.unsubscribeToken(email);
+    if (!expected || typeof token !== 'string' || token.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+  }
+
+  /**
+   * Check whether an address has opted out of a channel
+   * @param {string} channel - Delivery channel
+   * @param {string} address - Phone number or email
+   * @returns {Promise<boolean>} True if opted out
+   */
+  async isOptedOut(channel, address) {
+    const optOut = await NotificationOptOut.findOne({ where: { channel, address } });
+    return !!optOut;
+  }
+
+  /**
+   * Opt an address out of status updates
+   * Phone numbers are opted out of both WhatsApp and SMS
+   * @param {string} address - Phone number or email
+   * @returns {Promise<Array<string>>} Channels opted out
+   */
+  async optOut(address) {
+    const channels = this.channelsForAddress(address);
+    const normalized = this.normalizeAddress(address);
+
+    for (const channel of channels) {
+      await NotificationOptOut.findOrCreate({ where: { channel, address: normalized } });
+    }
+    return channels;
+  }
+
+  /**
+   * Remove an opt-out so the address receives status updates again
+   * @param {string} address - Phone number or email
+   * @returns {Promise<Array<string>>} Channels opted back in
+   */
+  async optIn(address) {
+    const channels = this.channelsForAddress(address);
+    await NotificationOptOut.destroy({ where: { channel: channels, address: this.normalizeAddress(address) } });
+    return channels;
+  }
+
+  /**
+   * Channels an address can be reached on
+   * @param {string} address - Phone number or email
+   * @returns {Array<string>} Channels
+   */
+  channelsForAddress(address) {
+    return String(address).includes('@') ? ['email'] : ['whatsapp', 'sms'];
+  }
+
+  /**
+   * Normalise an address for storage and lookups
+   * @param {string} address - Phone number or email
+   * @returns {string} Normalised address
+   */
+  normalizeAddress(address) {
+    return String(address).includes('@') ? String(address).trim().toLowerCase() : this.normalizePhone(address);
+  }
+
+  /**
+   * Notify every reporter of an incident about a timeline event
+   * @param {Object|string} incident - Incident instance or ID
+   * @param {string} event - Timeline event
+   * @param {Object} options - { publicNote }
+   * @returns {Promise<Array>} Delivery log entries
+   */
+  async notifyStatusChange(incident, event, options = {}) {
+    if (!this.isNotifiableEvent(event)) return [];
+
+    try {
+      const record = typeof incident === 'string' ? await Incident.findByPk(incident) : incident;
+      if (!record) return [];
+
+      const deliveries = await this.getRecipients(record);
+      const logs = [];
+
+      for (const delivery of deliveries) {
+        logs.push(await this.deliver(record, event, delivery, options.publicNote));
+      }
+
+      return logs;
+    } catch (error) {
+      console.error('Error notifying reporters of status change:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Send a message to one reporter, e.g. their reference number once a held report is released
+   * @param {Object} reporter - { channel, contact_phone, contact_email }
+   * @param {Object} incident - Incident instance
+   * @param {string} event - Reporter message under 'notifications' in locales/, e.g. 'report_accepted'
+   * @returns {Promise<Object|null>} Delivery log entry, or null if the reporter cannot be reached
+   */
+  async notifyReporter(reporter, incident, event) {
+    const delivery = this.resolveDelivery(reporter);
+    if (!delivery) return null;
+    return this.deliver(incident, event, delivery);
+  }
+
+  /**
+   * Render, send and log one message, respecting opt-outs
+   * @param {Object} incident - Incident instance
+   * @param {string} event - Timeline event or reporter message
+   * @param {Object} delivery - { channel, address }
+   * @param {string} publicNote - Optional staff note
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async deliver(incident, event, { channel, address }, publicNote) {
+    const language = await this.getLanguage({ channel, address });
+    const message = this.renderMessage(event, incident, channel, publicNote, address, language);
+    const log = {
+      incident_id: incident.id,
+      event,
+      channel,
+      recipient: address,
+      message
+    };
+
+    if (await this.isOptedOut(channel, address)) {
+      return CitizenNotificationLog.create({ ...log, status: 'opted_out' });
+    }
+
+    try {
+      const delivered = await this.send(channel, address, message, incident, language);
+      return CitizenNotificationLog.create({ ...log, status: delivered ? 'sent' : 'not_configured' });
+    } catch (error) {
+      console.error(`Error sending ${channel} ${event} message to reporter:`, error);
+      return CitizenNotificationLog.create({ ...log, status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Deliver a message over a channel
+   * @returns {Promise<boolean>} False if the channel is not configured
+   */
+  async send(channel, address, message, incident, language) {
+    switch (channel) {
+      case 'whatsapp': {
+        const result = await this.inboxService.send(address, message, { sender: 'notification' });
+        if (result.error) throw new Error(result.queued ? `${result.error} (queued for retry)` : result.error);
+        return result.delivered;
+      }
+      case 'sms':
+        // The same provider as SMS intake and verification codes
+        return (await this.smsService.send(address, message, { channel: 'sms' })).delivered;
+      case 'email':
+        return this.sendEmail(
+          address,
+          this.translationService.translate(language, 'notifications.email_subject', { trackingId: incident.tracking_id }),
+          message
+        );
+      default:
+        throw new Error(`Unsupported notification channel '${channel}'`);
+    }
+  }
+
+  /**
+   * Send an email through the configured SMTP server
+   * @returns {Promise<boolean>} False if SMTP is not configured
+   */
+  async sendEmail(to, subject, text) {
+    if (!this.config.smtpHost || !this.config.emailFrom) {
+      return false;
+    }
+    if (!this.mailTransport) {
+      this.mailTransport = nodemailer.createTransport({
+        host: this.config.smtpHost,
+        port: this.config.smtpPort,
+        secure: this.config.smtpPort === 465,
+        auth: this.config.smtpUser ? { user: this.config.smtpUser, pass: this.config.smtpPassword } : undefined
+      });
+    }
+    await this.mailTransport.sendMail({ from: this.config.emailFrom, to, subject, text });
+    return true;
+  }
+}
+
+module.exports = CitizenNotificationService;
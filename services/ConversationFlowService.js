@@ -0,0 +1,331 @@
+const { ConversationFlow } = require('../models');
+const IncidentCategoryService = require('./IncidentCategoryService');
+const TranslationService = require('./TranslationService');
+const builtInFlows = require('../flows/whatsapp.json');
+
+// Effective flows, shared by every instance so an edit is picked up by the bot straight away
+let cache = null;
+let cachedAt = 0;
+
+/**
+ * Conversation Flow Service
+ * Loads and validates the WhatsApp bot's conversation flows. Built-in flows live in
+ * flows/whatsapp.json; staff can add flows or replace built-in ones through the API, and
+ * those are stored in conversation_flows and picked up without a deploy.
+ *
+ * A flow is { key, title, menuOrder, start, steps, report }. Each step has:
+ * - prompt: catalogue key, literal text, or { en, zu, af, st }; {placeholders} are filled from earlier answers
+ * - input: choice | text | photo | location | confirm | tracking_id | comment | my_report
+ * - field: answer name (not needed for confirm); photo captions go to captionField,
+ *   comment photos to 'photo'
+ * - options: 'categories' or [{ value, label }] for choice steps
+ * - optional: text and photo steps that may be skipped
+ * - reporterOnly / reporterError: tracking_id steps that only the reporter's number may use;
+ *   escalate_incident and submit_follow_up check the reporter again whatever the steps say
+ * - only tracking_id and my_report steps may set the tracking_id field
+ * - my_report steps list the incidents reported from the sender's number, store the tracking ID
+ *   picked and send its status
+ * - error: message for an answer the input type rejects
+ * - next: the following step, and/or action: create_incident | check_progress | escalate_incident | submit_follow_up,
+ *   which ends the flow (for confirm steps, when the citizen says yes)
+ * - cancelMessage: confirm steps, sent when the citizen says no
+ * report holds defaults for create_incident, e.g. { "title": "Blocked drain at a school", "category": "storm_drain" }
+ */
+class ConversationFlowService {
+  constructor() {
+    this.categoryService = new IncidentCategoryService();
+    this.translationService = new TranslationService();
+
+    this.config = {
+      cacheSeconds: parseInt(process.env.WHATSAPP_FLOW_CACHE_SECONDS) || 60
+    };
+
+    this.inputTypes = ['choice', 'text', 'photo', 'location', 'confirm', 'tracking_id', 'comment', 'my_report'];
+    this.actions = ['create_incident', 'check_progress', 'escalate_incident', 'submit_follow_up'];
+
+    // Inputs that check a tracking ID exists before storing it
+    this.trackingIdInputs = ['tracking_id', 'my_report'];
+
+    // Conversation states used by the menus, which steps may not reuse
+    this.reservedStates = ['idle', 'selecting_language', 'main_menu', 'resuming', 'handoff'];
+  }
+
+  /**
+   * Check a configurable text: a non-empty string, or translations keyed by language
+   * @param {*} text - Text to check
+   * @returns {boolean} True if usable
+   */
+  isValidText(text) {
+    if (typeof text === 'string') return text.trim() !== '';
+    if (!text || typeof text !== 'object' || Array.isArray(text)) return false;
+
+    const entries = Object.entries(text);
+    return entries.length > 0 && entries.every(([language, value]) =>
+      this.translationService.isSupported(language) && typeof value === 'string' && value.trim() !== ''
+    );
+  }
+
+  /**
+   * Validate a flow definition
+   * @param {string} key - Flow key
+   * @param {Object} definition - Flow definition
+   * @returns {Array<string>} Problems found; empty when the flow can be used
+   */
+  validateDefinition(key, definition) {
+    const errors = [];
+    const namePattern = /^[a-z][a-z0-9_]{0,49}$/;
+
+    if (!key || !namePattern.test(key)) {
+      errors.push('key must be lowercase letters, digits and underscores, starting with a letter');
+    }
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return [...errors, 'definition must be an object'];
+    }
+    if (!this.isValidText(definition.title)) {
+      errors.push('title is required');
+    }
+    if (definition.menuOrder !== undefined && !Number.isInteger(definition.menuOrder)) {
+      errors.push('menuOrder must be a whole number');
+    }
+
+    const steps = definition.steps;
+    if (!steps || typeof steps !== 'object' || Array.isArray(steps) || Object.keys(steps).length === 0) {
+      return [...errors, 'steps must be an object with at least one step'];
+    }
+    if (!steps[definition.start]) {
+      errors.push('start must name one of the steps');
+    }
+
+    const fields = new Set();
+    const actions = new Set();
+
+    for (const [stepId, step] of Object.entries(steps)) {
+      const label = `steps.${stepId}`;
+      if (!namePattern.test(stepId) || this.reservedStates.includes(stepId)) {
+        errors.push(`${label}: step names must be lowercase letters, digits and underscores and not one of ${this.reservedStates.join(', ')}`);
+      }
+      if (!step || typeof step !== 'object') {
+        errors.push(`${label} must be an object`);
+        continue;
+      }
+
+      if (!this.isValidText(step.prompt)) errors.push(`${label}.prompt is required`);
+      if (!this.inputTypes.includes(step.input)) {
+        errors.push(`${label}.input must be one of: ${this.inputTypes.join(', ')}`);
+      }
+
+      if (step.input !== 'confirm') {
+        if (!step.field || !namePattern.test(step.field)) {
+          errors.push(`${label}.field must be lowercase letters, digits and underscores`);
+        } else if (step.field === 'tracking_id' && !this.trackingIdInputs.includes(step.input)) {
+          errors.push(`${label}: only ${this.trackingIdInputs.join(' and ')} steps may set the tracking_id field`);
+        } else {
+          fields.add(step.field);
+        }
+      }
+      if (step.captionField !== undefined) {
+        if (step.input !== 'photo' || !namePattern.test(step.captionField) || step.captionField === 'tracking_id') {
+          errors.push(`${label}.captionField is only allowed on photo steps and must be a valid field name`);
+        } else {
+          fields.add(step.captionField);
+        }
+      }
+      if (step.input === 'comment') fields.add('photo');
+
+      if (step.input === 'choice') {
+        const options = step.options;
+        const validOptions = options === 'categories' || (Array.isArray(options) && options.length > 0 &&
+          options.every(option => option && typeof option.value === 'string' && option.value !== '' && this.isValidText(option.label)));
+        if (!validOptions) {
+          errors.push(`${label}.options must be "categories" or a list of { value, label }`);
+        }
+      }
+
+      for (const textField of ['error', 'reporterError', 'cancelMessage']) {
+        if (step[textField] !== undefined && !this.isValidText(step[textField])) {
+          errors.push(`${label}.${textField} must be a text`);
+        }
+      }
+
+      if (step.next !== undefined && !steps[step.next]) {
+        errors.push(`${label}.next must name one of the steps`);
+      }
+      if (step.action !== undefined) {
+        if (!this.actions.includes(step.action)) {
+          errors.push(`${label}.action must be one of: ${this.actions.join(', ')}`);
+        } else {
+          actions.add(step.action);
+        }
+      }
+      if (step.next === undefined && step.action === undefined) {
+        errors.push(`${label} needs a next step or an action`);
+      }
+    }
+
+    // What each action reads from the answers
+    if (actions.has('create_incident') && !fields.has('location')) {
+      errors.push('flows that create an incident must ask for a location field');
+    }
+    for (const action of ['check_progress', 'escalate_incident', 'submit_follow_up']) {
+      if (actions.has(action) && !fields.has('tracking_id')) {
+        errors.push(`flows using ${action} must have a tracking_id or my_report step with the tracking_id field`);
+      }
+    }
+
+    if (definition.report !== undefined) {
+      const report = definition.report;
+      if (!report || typeof report !== 'object' || Array.isArray(report)) {
+        errors.push('report must be an object');
+      } else {
+        if (report.category !== undefined && !this.categoryService.findByCode(report.category)) {
+          errors.push('report.category must be a known category code');
+        }
+        if (report.title !== undefined && (typeof report.title !== 'string' || report.title.trim() === '')) {
+          errors.push('report.title must be a text');
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Read the built-in flows and the ones stored by staff
+   * @returns {Promise<Array>} Flows ordered by menu position, stored ones replacing built-in ones
+   */
+  async loadFlows() {
+    const flows = new Map(builtInFlows.map(flow => [flow.key, { ...flow, enabled: true, version: 0, source: 'built_in' }]));
+
+    const stored = await ConversationFlow.findAll();
+    for (const row of stored) {
+      flows.set(row.key, {
+        ...row.definition,
+        key: row.key,
+        enabled: row.enabled,
+        version: row.version,
+        source: flows.has(row.key) ? 'overridden' : 'custom',
+        updatedAt: row.updated_at
+      });
+    }
+
+    return [...flows.values()].sort((a, b) =>
+      (a.menuOrder !== undefined ? a.menuOrder : Infinity) - (b.menuOrder !== undefined ? b.menuOrder : Infinity) ||
+      a.key.localeCompare(b.key)
+    );
+  }
+
+  /**
+   * All flows, from the cache while it is fresh
+   * @returns {Promise<Array>} Flows, enabled or not
+   */
+  async getFlows() {
+    if (!cache || Date.now() - cachedAt > this.config.cacheSeconds * 1000) {
+      cache = await this.loadFlows();
+      cachedAt = Date.now();
+    }
+    return cache;
+  }
+
+  /**
+   * Flows offered in the main menu
+   * @returns {Promise<Array>} Enabled flows in menu order
+   */
+  async getMenuFlows() {
+    return (await this.getFlows()).filter(flow => flow.enabled);
+  }
+
+  /**
+   * Find an enabled flow
+   * @param {string} key - Flow key
+   * @returns {Promise<Object|null>} Flow
+   */
+  async getFlow(key) {
+    return (await this.getMenuFlows()).find(flow => flow.key === key) || null;
+  }
+
+  /**
+   * Forget the cached flows so the next message sees the latest ones
+   */
+  reload() {
+    cache = null;
+  }
+
+  /**
+   * Create a flow or replace an existing one
+   * @param {string} key - Flow key
+   * @param {Object} definition - Flow definition
+   * @param {Object} options - { enabled, userId }
+   * @returns {Promise<Object>} { success, flow } or { success: false, code, error, details }
+   */
+  async saveFlow(key, definition, options = {}) {
+    const errors = this.validateDefinition(key, definition);
+    if (errors.length > 0) {
+      return { success: false, code: 'INVALID_FLOW', error: 'Flow definition is invalid', details: errors };
+    }
+
+    const { key: ignoredKey, enabled, version, source, updatedAt, ...stored } = definition;
+    const existing = await ConversationFlow.findOne({ where: { key } });
+
+    let flow;
+    if (existing) {
+      flow = await existing.update({
+        definition: stored,
+        enabled: options.enabled !== undefined ? options.enabled : existing.enabled,
+        version: existing.version + 1,
+        updated_by: options.userId || null
+      });
+    } else {
+      flow = await ConversationFlow.create({
+        key,
+        definition: stored,
+        enabled: options.enabled !== undefined ? options.enabled : true,
+        updated_by: options.userId || null
+      });
+    }
+
+    this.reload();
+    return { success: true, flow };
+  }
+
+  /**
+   * Turn a flow on or off, keeping its definition
+   * @param {string} key - Flow key
+   * @param {boolean} enabled - Whether the flow is offered
+   * @param {string} userId - Staff member making the change
+   * @returns {Promise<Object>} { success, flow } or { success: false, code, error }
+   */
+  async setEnabled(key, enabled, userId) {
+    const existing = await ConversationFlow.findOne({ where: { key } });
+    if (existing) {
+      const flow = await existing.update({ enabled, version: existing.version + 1, updated_by: userId || null });
+      this.reload();
+      return { success: true, flow };
+    }
+
+    const builtIn = builtInFlows.find(flow => flow.key === key);
+    if (!builtIn) {
+      return { success: false, code: 'FLOW_NOT_FOUND', error: 'Flow not found' };
+    }
+    return this.saveFlow(key, builtIn, { enabled, userId });
+  }
+
+  /**
+   * Delete a stored flow; a replaced built-in flow goes back to its default
+   * @param {string} key - Flow key
+   * @returns {Promise<Object>} { success, restoredBuiltIn } or { success: false, code, error }
+   */
+  async removeFlow(key) {
+    const existing = await ConversationFlow.findOne({ where: { key } });
+    if (!existing) {
+      const code = builtInFlows.some(flow => flow.key === key) ? 'BUILT_IN_FLOW' : 'FLOW_NOT_FOUND';
+      const error = code === 'BUILT_IN_FLOW' ? 'Built-in flows cannot be deleted, only disabled' : 'Flow not found';
+      return { success: false, code, error };
+    }
+
+    await existing.destroy();
+    this.reload();
+    return { success: true, restoredBuiltIn: builtInFlows.some(flow => flow.key === key) };
+  }
+}
+
+module.exports = ConversationFlowService;
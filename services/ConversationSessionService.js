@@ -0,0 +1,176 @@
+const { Op } = require('sequelize');
+const { WhatsAppConversation } = require('../models');
+
+// Messages being handled, per conversation, so the next one waits its turn
+const pending = new Map();
+
+/**
+ * Conversation Session Service
+ * Times out bot conversations that were left open. A flow abandoned halfway is kept as a
+ * draft on the conversation, which the bot offers to resume when the citizen writes again;
+ * drafts nobody came back for are discarded after the retention period. USSD sessions are
+ * ended by the network within minutes, so they time out much sooner than WhatsApp and SMS
+ */
+class ConversationSessionService {
+  constructor() {
+    this.config = {
+      sessionTimeoutMinutes: parseInt(process.env.WHATSAPP_SESSION_TIMEOUT_MINUTES) || 30,
+      smsSessionTimeoutMinutes: parseInt(process.env.SMS_SESSION_TIMEOUT_MINUTES) || 60,
+      ussdSessionTimeoutSeconds: parseInt(process.env.USSD_SESSION_TIMEOUT_SECONDS) || 180,
+      draftRetentionHours: parseInt(process.env.WHATSAPP_DRAFT_RETENTION_HOURS) || 72,
+      sweepIntervalMinutes: parseInt(process.env.WHATSAPP_SESSION_SWEEP_MINUTES) || 5
+    };
+
+    this.timeoutsMs = {
+      whatsapp: this.config.sessionTimeoutMinutes * 60 * 1000,
+      sms: this.config.smsSessionTimeoutMinutes * 60 * 1000,
+      ussd: this.config.ussdSessionTimeoutSeconds * 1000
+    };
+
+    this.sweepInterval = null;
+  }
+
+  /**
+   * Run a task after the ones already queued for the same conversation
+   * Messages from one number are handled one at a time, so several sent together cannot
+   * overwrite each other's answers
+   * @param {string} key - Conversation key, e.g. the channel and phone number
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} The task's result
+   */
+  inOrder(key, task) {
+    const run = (pending.get(key) || Promise.resolve()).catch(() => {}).then(task);
+    pending.set(key, run);
+    run.catch(() => {}).finally(() => {
+      if (pending.get(key) === run) pending.delete(key);
+    });
+    return run;
+  }
+
+  /**
+   * Find or start the conversation a message belongs to, and note the activity
+   * A citizen coming back after the session timeout starts fresh, with any unfinished flow
+   * kept as a draft (the background sweeper does the same for conversations nobody comes back to)
+   * @param {string} phoneNumber - Citizen's phone number
+   * @param {string} channel - 'whatsapp', 'sms' or 'ussd'
+   * @returns {Promise<Object>} WhatsAppConversation
+   */
+  async open(phoneNumber, channel = 'whatsapp') {
+    const [conversation, created] = await WhatsAppConversation.findOrCreate({
+      where: { phone_number: phoneNumber, channel }
+    });
+    if (created) {
+      console.log(`New ${channel} conversation created for ${phoneNumber}`);
+    }
+
+    if (this.isExpired(conversation)) {
+      await this.expire(conversation);
+    }
+    await conversation.update({ last_activity: new Date() });
+    return conversation;
+  }
+
+  /**
+   * Check if a conversation has been quiet for longer than the session timeout
+   * Conversations handed off to staff stay open until staff give them back to the bot
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Date} now - Current time
+   * @returns {boolean} True if an open conversation has timed out
+   */
+  isExpired(conversation, now = new Date()) {
+    if (['idle', 'handoff'].includes(conversation.state) || !conversation.last_activity) return false;
+    return now - new Date(conversation.last_activity) > this.timeoutsMs[conversation.channel || 'whatsapp'];
+  }
+
+  /**
+   * Draft to keep when a conversation leaves its flow: the unfinished flow, or the draft it already had
+   * A conversation waiting on the resume question already has its draft
+   * @param {Object} conversation - WhatsAppConversation
+   * @returns {Object|null} { flow, step, answers, savedAt }
+   */
+  draftFor(conversation) {
+    if (!conversation.flow) return conversation.draft || null;
+    return { flow: conversation.flow, step: conversation.state, answers: conversation.temp_data || {}, savedAt: new Date() };
+  }
+
+  /**
+   * Close a timed-out conversation, keeping an unfinished flow as a draft
+   * @param {Object} conversation - WhatsAppConversation
+   * @returns {Promise<boolean>} True if a draft was saved
+   */
+  async expire(conversation) {
+    const inFlow = !!conversation.flow;
+    await conversation.update({ state: 'idle', flow: null, temp_data: {}, draft: this.draftFor(conversation) });
+    return inFlow;
+  }
+
+  /**
+   * Close timed-out conversations and discard old drafts
+   * @returns {Promise<Object>} { expired, draftsSaved, draftsDiscarded }
+   */
+  async sweep() {
+    const now = new Date();
+    const result = { expired: 0, draftsSaved: 0, draftsDiscarded: 0 };
+
+    const stale = await WhatsAppConversation.findAll({
+      where: {
+        state: { [Op.notIn]: ['idle', 'handoff'] },
+        last_activity: { [Op.lt]: new Date(now - Math.min(...Object.values(this.timeoutsMs))) }
+      }
+    });
+    for (const conversation of stale.filter(candidate => this.isExpired(candidate, now))) {
+      if (await this.expire(conversation)) result.draftsSaved++;
+      result.expired++;
+    }
+
+    const retentionCutoff = now - this.config.draftRetentionHours * 60 * 60 * 1000;
+    const withDrafts = await WhatsAppConversation.findAll({ where: { draft: { [Op.ne]: null } } });
+    for (const conversation of withDrafts) {
+      // Someone answering the resume question right now keeps their draft
+      if (conversation.state === 'resuming' && !this.isExpired(conversation, now)) continue;
+      if (new Date(conversation.draft.savedAt) < retentionCutoff) {
+        await conversation.update({ draft: null });
+        result.draftsDiscarded++;
+      }
+    }
+
+    if (result.expired > 0 || result.draftsDiscarded > 0) {
+      console.log(`WhatsApp session sweep: ${result.expired} timed out, ${result.draftsSaved} drafts saved, ${result.draftsDiscarded} drafts discarded`);
+    }
+    return result;
+  }
+
+  /**
+   * Start sweeping in the background
+   * @param {number} intervalMs - Sweep interval in milliseconds (default: WHATSAPP_SESSION_SWEEP_MINUTES)
+   */
+  startSweeper(intervalMs = this.config.sweepIntervalMinutes * 60 * 1000) {
+    if (this.sweepInterval) {
+      console.log('WhatsApp session sweeper is already running');
+      return;
+    }
+
+    this.sweepInterval = setInterval(async () => {
+      try {
+        await this.sweep();
+      } catch (error) {
+        console.error('Error in WhatsApp session sweep:', error);
+      }
+    }, intervalMs);
+
+    console.log('WhatsApp session sweeper started with interval:', intervalMs, 'ms');
+  }
+
+  /**
+   * Stop the background sweeper
+   */
+  stopSweeper() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+      console.log('WhatsApp session sweeper stopped');
+    }
+  }
+}
+
+module.exports = ConversationSessionService;
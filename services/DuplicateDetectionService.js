@@ -0,0 +1,162 @@
+const { Incident } = require('../models');
+const { Op } = require('sequelize');
+const GeoService = require('./GeoService');
+
+/**
+ * Duplicate Detection Service
+ * Finds open incidents near a new report with a similar title or description
+ * so that one burst pipe does not turn into a dozen separate incidents
+ */
+class DuplicateDetectionService {
+  constructor() {
+    this.geoService = new GeoService();
+
+    this.config = {
+      windowHours: parseInt(process.env.DUPLICATE_WINDOW_HOURS) || 72,
+      radiusMeters: parseInt(process.env.DUPLICATE_RADIUS_METERS) || 150,
+      joinThreshold: parseFloat(process.env.DUPLICATE_JOIN_THRESHOLD) || 0.6,
+      flagThreshold: parseFloat(process.env.DUPLICATE_FLAG_THRESHOLD) || 0.35,
+      maxCandidates: 200
+    };
+
+    // Statuses that can still absorb new reports
+    this.closedStatuses = ['Completed', 'Cancelled'];
+
+    this.stopWords = new Set([
+      'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'is', 'it', 'there',
+      'near', 'next', 'by', 'with', 'from', 'for', 'this', 'that', 'has', 'have', 'been',
+      'are', 'was', 'no', 'description', 'provided', 'please', 'street', 'road', 'rd', 'st'
+    ]);
+  }
+
+  /**
+   * Split text into normalised tokens for similarity comparison
+   * @param {string} text - Text to tokenize
+   * @returns {Set<string>} Distinct tokens
+   */
+  tokenize(text) {
+    return new Set(
+      (text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token.length > 1 && !this.stopWords.has(token))
+    );
+  }
+
+  /**
+   * Jaccard similarity between two token sets
+   * @param {Set<string>} a - First token set
+   * @param {Set<string>} b - Second token set
+   * @returns {number} Similarity between 0 and 1
+   */
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    for (const token of a) {
+      if (b.has(token)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+  }
+
+  /**
+   * Score how close two reports are in space
+   * Uses coordinates when both sides have them, otherwise compares location strings
+   * @param {Object} report - New report
+   * @param {Object} incident - Existing incident
+   * @returns {Object} { score, distanceMeters }
+   */
+  scoreLocation(report, incident) {
+    const a = this.geoService.resolveCoordinates(report);
+    const b = this.geoService.resolveCoordinates(incident);
+
+    if (a && b) {
+      const distance = this.geoService.distanceMeters(a, b);
+      if (distance > this.config.radiusMeters) {
+        return { score: 0, distanceMeters: Math.round(distance) };
+      }
+      return { score: 1 - (distance / this.config.radiusMeters) * 0.5, distanceMeters: Math.round(distance) };
+    }
+
+    const reportLocation = (report.location || '').trim().toLowerCase();
+    const incidentLocation = (incident.location || '').trim().toLowerCase();
+    if (!reportLocation || !incidentLocation) {
+      return { score: 0, distanceMeters: null };
+    }
+
+    if (reportLocation === incidentLocation) {
+      return { score: 1, distanceMeters: null };
+    }
+
+    const similarity = this.jaccard(this.tokenize(reportLocation), this.tokenize(incidentLocation));
+    return { score: similarity >= 0.5 ? similarity : 0, distanceMeters: null };
+  }
+
+  /**
+   * Score how similar two reports are in content
+   * @param {Object} report - New report
+   * @param {Object} incident - Existing incident
+   * @returns {number} Similarity between 0 and 1
+   */
+  scoreText(report, incident) {
+    const textSimilarity = this.jaccard(
+      this.tokenize(`${report.title || ''} ${report.description || ''}`),
+      this.tokenize(`${incident.title || ''} ${incident.description || ''}`)
+    );
+
+    // WhatsApp reports use the incident type as title, so an exact title match is a strong signal
+    const sameTitle = report.title && incident.title &&
+      report.title.trim().toLowerCase() === incident.title.trim().toLowerCase();
+
+    return sameTitle ? Math.max(textSimilarity, 0.6) : textSimilarity;
+  }
+
+  /**
+   * Find the best matching open incident for a new report
+   * @param {Object} report - { title, description, location, latitude, longitude }
+   * @returns {Promise<Object|null>} { incident, score, action: 'join'|'flag', distanceMeters } or null
+   */
+  async findDuplicate(report) {
+    try {
+      const since = new Date(Date.now() - this.config.windowHours * 60 * 60 * 1000);
+
+      const candidates = await Incident.findAll({
+        where: {
+          status: { [Op.notIn]: this.closedStatuses },
+          created_at: { [Op.gte]: since }
+        },
+        order: [['created_at', 'DESC']],
+        limit: this.config.maxCandidates
+      });
+
+      let best = null;
+      for (const incident of candidates) {
+        const location = this.scoreLocation(report, incident);
+        if (location.score === 0) continue;
+
+        const text = this.scoreText(report, incident);
+        if (text === 0) continue;
+
+        const score = Math.round((location.score * 0.5 + text * 0.5) * 100) / 100;
+        if (!best || score > best.score) {
+          best = { incident, score, distanceMeters: location.distanceMeters };
+        }
+      }
+
+      if (!best || best.score < this.config.flagThreshold) {
+        return null;
+      }
+
+      return {
+        ...best,
+        action: best.score >= this.config.joinThreshold ? 'join' : 'flag'
+      };
+    } catch (error) {
+      // Duplicate detection must never block intake
+      console.error('Error detecting duplicate incidents:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = DuplicateDetectionService;
@@ -0,0 +1,85 @@
+/**
+ * Geo Service
+ * Coordinate parsing and distance helpers shared by intake, duplicate detection and map features
+ */
+class GeoService {
+  constructor() {
+    this.EARTH_RADIUS_METERS = 6371000;
+  }
+
+  /**
+   * Parse a "lat,lng" string (as older WhatsApp reports stored it) into coordinates
+   * @param {string} value - Raw location string
+   * @returns {Object|null} { latitude, longitude } or null if the string is not a coordinate pair
+   */
+  parseCoordinates(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(-?\d{1,3}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)$/);
+    if (!match) return null;
+
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+    if (!this.isValidCoordinate(latitude, longitude)) return null;
+
+    return { latitude, longitude };
+  }
+
+  /**
+   * Check that a latitude/longitude pair is within valid ranges
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {boolean} True if the pair is usable
+   */
+  isValidCoordinate(latitude, longitude) {
+    return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+      latitude >= -90 && latitude <= 90 &&
+      longitude >= -180 && longitude <= 180;
+  }
+
+  /**
+   * Resolve coordinates for an incident-like object, falling back to a "lat,lng" location string
+   * @param {Object} incident - Object with latitude, longitude and location fields
+   * @returns {Object|null} { latitude, longitude } or null
+   */
+  resolveCoordinates(incident) {
+    if (!incident) return null;
+
+    const latitude = incident.latitude !== null && incident.latitude !== undefined ? Number(incident.latitude) : NaN;
+    const longitude = incident.longitude !== null && incident.longitude !== undefined ? Number(incident.longitude) : NaN;
+    if (this.isValidCoordinate(latitude, longitude)) {
+      return { latitude, longitude };
+    }
+
+    return this.parseCoordinates(incident.location);
+  }
+
+  /**
+   * Great-circle distance between two points (haversine)
+   * @param {Object} a - { latitude, longitude }
+   * @param {Object} b - { latitude, longitude }
+   * @returns {number} Distance in meters
+   */
+  distanceMeters(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLng = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * this.EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Check whether a point falls inside a bounding box
+   * @param {Object} point - { latitude, longitude }
+   * @param {Object} bbox - { minLng, minLat, maxLng, maxLat }
+   * @returns {boolean} True if the point is inside the box
+   */
+  isWithinBoundingBox(point, bbox) {
+    return point.latitude >= bbox.minLat && point.latitude <= bbox.maxLat &&
+      point.longitude >= bbox.minLng && point.longitude <= bbox.maxLng;
+  }
+}
+
+module.exports = GeoService;
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const GeoService = require('./GeoService');
+
+// Loaded gazetteer and ward boundaries, shared by every instance; null until first used
+let places = null;
+
+// Spellings of street types that mean the same, so "Main Rd" finds "Main Road"
+const STREET_TYPES = {
+  rd: 'road', st: 'street', ave: 'avenue', av: 'avenue', dr: 'drive', ln: 'lane', cres: 'crescent',
+  cl: 'close', blvd: 'boulevard', hwy: 'highway', pl: 'place', ct: 'court', cir: 'circle'
+};
+
+/**
+ * Geocoding Service
+ * Turns shared map pins into a street, suburb and ward, and typed addresses into coordinates,
+ * without calling out to any service. Places come from two GeoJSON files we load ourselves:
+ * - the gazetteer (GEOCODER_GAZETTEER_FILE): streets as LineStrings and address points as Points,
+ *   with properties { street, number, suburb }
+ * - the ward boundaries (GEOCODER_WARDS_FILE): Polygons or MultiPolygons with the ward in the
+ *   GEOCODER_WARD_FIELD property (default "ward") and optionally a suburb
+ * Without the files, coordinates are still parsed but nothing is looked up
+ */
+class GeocodingService {
+  constructor() {
+    this.geoService = new GeoService();
+
+    this.config = {
+      gazetteerFile: process.env.GEOCODER_GAZETTEER_FILE,
+      wardsFile: process.env.GEOCODER_WARDS_FILE,
+      wardField: process.env.GEOCODER_WARD_FIELD || 'ward',
+      maxStreetDistanceMeters: parseInt(process.env.GEOCODER_MAX_STREET_DISTANCE_METERS) || 250
+    };
+  }
+
+  /**
+   * Read a GeoJSON file's features
+   * @param {string} file - Path to a FeatureCollection
+   * @returns {Promise<Array>} Features, or none if the file is not configured or cannot be read
+   */
+  async readFeatures(file) {
+    if (!file) return [];
+    try {
+      const collection = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return (collection.features || []).filter(feature => feature && feature.geometry);
+    } catch (error) {
+      console.error(`Error loading geocoder file ${file}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Load the gazetteer and ward boundaries, once
+   * @returns {Promise<Object>} { streets, addresses, wards }
+   */
+  async load() {
+    if (places) return places;
+
+    const gazetteer = await this.readFeatures(this.config.gazetteerFile);
+    const wardFeatures = await this.readFeatures(this.config.wardsFile);
+
+    const streets = [];
+    const addresses = [];
+    for (const feature of gazetteer) {
+      const props = feature.properties || {};
+      if (!props.street) continue;
+
+      const place = {
+        street: String(props.street),
+        key: this.normalize(props.street),
+        number: props.number !== undefined && props.number !== null ? String(props.number).toLowerCase() : null,
+        suburb: props.suburb ? String(props.suburb) : null,
+        suburbKey: props.suburb ? this.normalize(props.suburb) : null
+      };
+      if (feature.geometry.type === 'Point') {
+        const [longitude, latitude] = feature.geometry.coordinates;
+        addresses.push({ ...place, point: { latitude, longitude } });
+      } else if (['LineString', 'MultiLineString'].includes(feature.geometry.type)) {
+        const lines = feature.geometry.type === 'LineString' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        streets.push({ ...place, lines: lines.map(line => line.map(([longitude, latitude]) => ({ latitude, longitude }))) });
+      }
+    }
+
+    const wards = [];
+    for (const feature of wardFeatures) {
+      const props = feature.properties || {};
+      const ward = props[this.config.wardField];
+      if (ward === undefined || ward === null) continue;
+      if (!['Polygon', 'MultiPolygon'].includes(feature.geometry.type)) continue;
+
+      const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+
+      // A loop rather than Math.min(...points): boundaries can have more vertices than a call takes arguments
+      const bbox = { minLng: Infinity, maxLng: -Infinity, minLat: Infinity, maxLat: -Infinity };
+      for (const polygon of polygons) {
+        for (const [longitude, latitude] of polygon[0]) {
+          if (longitude < bbox.minLng) bbox.minLng = longitude;
+          if (longitude > bbox.maxLng) bbox.maxLng = longitude;
+          if (latitude < bbox.minLat) bbox.minLat = latitude;
+          if (latitude > bbox.maxLat) bbox.maxLat = latitude;
+        }
+      }
+
+      wards.push({
+        ward: String(ward),
+        suburb: props.suburb ? String(props.suburb) : null,
+        polygons,
+        bbox
+      });
+    }
+
+    places = { streets, addresses, wards };
+    console.log(`Geocoder loaded ${streets.length} streets, ${addresses.length} addresses and ${wards.length} wards`);
+    return places;
+  }
+
+  /**
+   * Forget the loaded files so the next lookup reads them again
+   */
+  reload() {
+    places = null;
+  }
+
+  /**
+   * Street name in one spelling: lowercase, single spaces, street types written out
+   * @param {string} text - Street name or address
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[.,;:!?()'’]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => STREET_TYPES[word] || word)
+      .join(' ');
+  }
+
+  /**
+   * Distance from a point to the nearest part of a street
+   * Uses a flat projection around the point, which is accurate at street scale
+   * @param {Object} point - { latitude, longitude }
+   * @param {Array<Array<Object>>} lines - Street lines as lists of { latitude, longitude }
+   * @returns {number} Distance in meters
+   */
+  distanceToLines(point, lines) {
+    const metersPerDegree = this.geoService.EARTH_RADIUS_METERS * Math.PI / 180;
+    const scaleX = metersPerDegree * Math.cos(point.latitude * Math.PI / 180);
+    const project = vertex => ({ x: (vertex.longitude - point.longitude) * scaleX, y: (vertex.latitude - point.latitude) * metersPerDegree });
+
+    let best = Infinity;
+    for (const line of lines) {
+      for (let i = 0; i < line.length; i++) {
+        const a = project(line[i]);
+        const b = project(line[Math.min(i + 1, line.length - 1)]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+        best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Check whether a point is inside a polygon with holes (ray casting)
+   * @param {Object} point - { latitude, longitude }
+   * @param {Array} polygon - GeoJSON polygon rings, outer ring first
+   * @returns {boolean} True if inside
+   */
+  isInPolygon(point, polygon) {
+    const inRing = ring => {
+      let inside = false;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point.latitude) !== (yj > point.latitude) &&
+          point.longitude < (xj - xi) * (point.latitude - yi) / (yj - yi) + xi) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    };
+    return inRing(polygon[0]) && !polygon.slice(1).some(inRing);
+  }
+
+  /**
+   * Ward containing a point
+   * @param {Object} point - { latitude, longitude }
+   * @returns {Promise<Object|null>} { ward, suburb }
+   */
+  async findWard(point) {
+    const { wards } = await this.load();
+    const found = wards.find(ward =>
+      this.geoService.isWithinBoundingBox(point, ward.bbox) &&
+      ward.polygons.some(polygon => this.isInPolygon(point, polygon))
+    );
+    return found ? { ward: found.ward, suburb: found.suburb } : null;
+  }
+
+  /**
+   * Street, suburb and ward at a point
+   * @param {Object} point - { latitude, longitude }
+   * @returns {Promise<Object>} { street, number, suburb, ward, address } - address is null when no street is near enough
+   */
+  async reverse(point) {
+    const { streets, addresses } = await this.load();
+
+    let nearest = null;
+    let nearestDistance = this.config.maxStreetDistanceMeters;
+    for (const address of addresses) {
+      const distance = this.geoService.distanceMeters(point, address.point);
+      if (distance <= nearestDistance) {
+        nearest = address;
+        nearestDistance = distance;
+      }
+    }
+    for (const street of streets) {
+      const distance = this.distanceToLines(point, street.lines);
+      // An address point only gives way to a street that is clearly closer
+      if (distance < nearestDistance / 2 || (!nearest && distance <= nearestDistance)) {
+        nearest = street;
+        nearestDistance = distance;
+      }
+    }
+
+    const area = await this.findWard(point);
+    const suburb = (nearest && nearest.suburb) || (area && area.suburb) || null;
+    const street = nearest ? nearest.street : null;
+    const number = nearest && nearest.point ? nearest.number : null;
+
+    return {
+      street,
+      number,
+      suburb,
+      ward: area ? area.ward : null,
+      address: street ? [number ? `${number} ${street}` : street, suburb].filter(Boolean).join(', ') : null
+    };
+  }
+
+  /**
+   * Coordinates of a typed address
+   * A house number found in the gazetteer gives its exact point, otherwise the middle of the street.
+   * A street name used in several suburbs needs the suburb in the address; a suburb on its own
+   * gives the middle of the suburb
+   * @param {string} text - Address as typed
+   * @returns {Promise<Object|null>} { latitude, longitude, street, suburb, precision: 'address'|'street'|'suburb' }
+   */
+  async geocode(text) {
+    const { streets, addresses } = await this.load();
+    const typed = ` ${this.normalize(text)} `;
+    // Names were normalized when the files were loaded
+    const mentions = key => key && typed.includes(` ${key} `);
+
+    const candidates = [...addresses, ...streets].filter(place => mentions(place.key));
+    if (candidates.length > 0) {
+      // The longest street name wins, so "Main Road" is not taken for "Old Main Road"
+      const longest = candidates.reduce((length, place) => Math.max(length, place.key.length), 0);
+      let matches = candidates.filter(place => place.key.length === longest);
+      const inSuburb = matches.filter(place => mentions(place.suburbKey));
+      if (inSuburb.length > 0) matches = inSuburb;
+
+      const suburbs = new Set(matches.map(place => place.suburb));
+      if (suburbs.size === 1) {
+        const numberMatch = typed.match(new RegExp(`\\s(\\d+[a-z]?)\\s+${matches[0].key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s`));
+        const exact = numberMatch && matches.find(place => place.point && place.number === numberMatch[1]);
+        if (exact) {
+          return { ...exact.point, street: exact.street, suburb: exact.suburb, precision: 'address' };
+        }
+        return { ...this.centre(matches), street: matches[0].street, suburb: matches[0].suburb, precision: 'street' };
+      }
+    }
+
+    const suburbPlaces = [...addresses, ...streets].filter(place => mentions(place.suburbKey));
+    if (suburbPlaces.length > 0) {
+      return { ...this.centre(suburbPlaces), street: null, suburb: suburbPlaces[0].suburb, precision: 'suburb' };
+    }
+    return null;
+  }
+
+  /**
+   * Middle of a set of places: the average of their points and street vertices
+   * @param {Array<Object>} list - Addresses and streets
+   * @returns {Object} { latitude, longitude }
+   */
+  centre(list) {
+    const points = list.flatMap(place => place.point ? [place.point] : place.lines.flat());
+    return {
+      latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+      longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length
+    };
+  }
+
+  /**
+   * Complete a report's location: coordinates for a typed address, a readable address for a
+   * shared pin or a "lat,lng" string, and the suburb and ward either way
+   * @param {Object} report - { location, latitude, longitude }
+   * @returns {Promise<Object>} { location, latitude, longitude, suburb, ward }
+   */
+  async resolve(report) {
+    let location = report.location ? String(report.location).trim() : null;
+    const given = this.geoService.resolveCoordinates({
+      latitude: report.latitude !== undefined && report.latitude !== null && report.latitude !== '' ? parseFloat(report.latitude) : null,
+      longitude: report.longitude !== undefined && report.longitude !== null && report.longitude !== '' ? parseFloat(report.longitude) : null,
+      location
+    });
+
+    if (given) {
+      const place = await this.reverse(given);
+      if (!location || this.geoService.parseCoordinates(location)) {
+        location = place.address || `${given.latitude},${given.longitude}`;
+      }
+      return { location, latitude: given.latitude, longitude: given.longitude, suburb: place.suburb, ward: place.ward };
+    }
+
+    const found = location ? await this.geocode(location) : null;
+    if (!found) {
+      return { location, latitude: null, longitude: null, suburb: null, ward: null };
+    }
+    const area = await this.findWard(found);
+    return {
+      location,
+      latitude: found.latitude,
+      longitude: found.longitude,
+      suburb: found.suburb || (area && area.suburb) || null,
+      ward: area ? area.ward : null
+    };
+  }
+}
+
+module.exports = GeocodingService;
@@ -0,0 +1,252 @@
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const StorageService = require('./StorageService');
+
+/**
+ * Image Processing Service
+ * Validates uploads by their actual content, strips EXIF metadata, writes thumbnail and
+ * display sizes, and reads the photo's GPS position before the metadata is discarded
+ */
+class ImageProcessingService {
+  constructor() {
+    this.storage = new StorageService();
+
+    this.config = {
+      maxBytes: parseInt(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024,
+      displaySize: parseInt(process.env.IMAGE_DISPLAY_SIZE) || 1600,
+      thumbnailSize: parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 320,
+      quality: parseInt(process.env.IMAGE_QUALITY) || 80
+    };
+
+    // Magic numbers for the file types we accept
+    this.signatures = [
+      { mimeType: 'image/jpeg', extension: 'jpg', image: true, test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+      { mimeType: 'image/png', extension: 'png', image: true, test: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+      { mimeType: 'image/gif', extension: 'gif', image: true, test: (b) => b.toString('ascii', 0, 4) === 'GIF8' },
+      { mimeType: 'image/webp', extension: 'webp', image: true, test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+      // Recognised only so it can be refused clearly: the bundled sharp reads HEIF as AVIF and cannot decode HEIC
+      { mimeType: 'image/heic', extension: 'heic', image: true, test: (b) => b.toString('ascii', 4, 8) === 'ftyp' && /^(heic|heix|mif1|msf1)$/.test(b.toString('ascii', 8, 12)) },
+      { mimeType: 'application/pdf', extension: 'pdf', image: false, test: (b) => b.toString('ascii', 0, 5) === '%PDF-' },
+      { mimeType: 'application/msword', extension: 'doc', image: false, test: (b) => b.slice(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) },
+      { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx', image: false, test: (b) => b[0] === 0x50 && b[1] === 0x4b && b[2] === 0x03 && b[3] === 0x04 }
+    ];
+  }
+
+  /**
+   * Detect a file's type from its first bytes, ignoring the client's filename and MIME type
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} { mimeType, extension, image } or null if not recognised
+   */
+  detectType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    const match = this.signatures.find(signature => signature.test(buffer));
+    return match ? { mimeType: match.mimeType, extension: match.extension, image: match.image } : null;
+  }
+
+  /**
+   * Convert an EXIF degrees/minutes/seconds triple to decimal degrees
+   * @param {Array<number>} dms - [degrees, minutes, seconds]
+   * @param {string} ref - N, S, E or W
+   * @returns {number|null} Decimal degrees
+   */
+  dmsToDecimal(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3 || dms.some(value => typeof value !== 'number' || isNaN(value))) {
+      return null;
+    }
+    const decimal = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -decimal : decimal;
+  }
+
+  /**
+   * Read the GPS position from EXIF metadata
+   * @param {Buffer} exif - Raw EXIF block from sharp metadata
+   * @returns {Object|null} { latitude, longitude } or null if the photo has no usable position
+   */
+  readGps(exif) {
+    if (!exif) return null;
+
+    try {
+      const gps = exifReader(exif).GPSInfo;
+      if (!gps) return null;
+
+      const latitude = this.dmsToDecimal(gps.GPSLatitude, gps.GPSLatitudeRef);
+      const longitude = this.dmsToDecimal(gps.GPSLongitude, gps.GPSLongitudeRef);
+      if (latitude === null || longitude === null) return null;
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || (latitude === 0 && longitude === 0)) return null;
+
+      return { latitude, longitude };
+    } catch (error) {
+      console.error('Error reading EXIF GPS data:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * SHA-256 checksum of file contents
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Hex digest
+   */
+  checksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Storage keys of the display and thumbnail versions of a stored image
+   * Remote media and images stored before processing was introduced have no variants
+   * and fall back to the original
+   * @param {string} imagePath - Stored image key or path
+   * @returns {Object} { original, display, thumbnail }
+   */
+  variantsFor(imagePath) {
+    const parsed = path.posix.parse(this.storage.keyFromPath(imagePath));
+    const processed = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(parsed.name);
+
+    if (this.storage.isRemoteUrl(imagePath) || !processed) {
+      return { original: imagePath, display: imagePath, thumbnail: imagePath };
+    }
+    return {
+      original: imagePath,
+      display: path.posix.join(parsed.dir, `${parsed.name}_display.jpg`),
+      thumbnail: path.posix.join(parsed.dir, `${parsed.name}_thumb.jpg`)
+    };
+  }
+
+  /**
+   * Expiring download URLs for an image and its variants
+   * @param {string} imagePath - Stored image key, path or remote URL
+   * @returns {Promise<Object>} { original, display, thumbnail } URLs
+   */
+  async variantUrlsFor(imagePath) {
+    const variants = this.variantsFor(imagePath);
+    return {
+      original: await this.storage.getUrl(variants.original),
+      display: await this.storage.getUrl(variants.display),
+      thumbnail: await this.storage.getUrl(variants.thumbnail)
+    };
+  }
+
+  /**
+   * Process an uploaded image
+   * Stores an EXIF-free original (auto-rotated), a display version and a thumbnail under
+   * random keys, so original filenames never reach storage
+   * @param {Buffer} buffer - Uploaded file contents
+   * @returns {Promise<Object>} { success, path, mimeType, size, checksum, width, height, gps, variants } or { success: false, code, error }
+   */
+  async processImage(buffer) {
+    if (!buffer || buffer.length === 0) {
+      return { success: false, code: 'EMPTY_FILE', error: 'File is empty' };
+    }
+    if (buffer.length > this.config.maxBytes) {
+      return { success: false, code: 'FILE_TOO_LARGE', error: `Images must be smaller than ${Math.round(this.config.maxBytes / 1024 / 1024)}MB` };
+    }
+
+    const type = this.detectType(buffer);
+    if (!type || !type.image) {
+      return { success: false, code: 'UNSUPPORTED_TYPE', error: 'Only JPEG, PNG, GIF and WebP images are accepted' };
+    }
+    if (type.mimeType === 'image/heic') {
+      return { success: false, code: 'UNSUPPORTED_TYPE', error: 'HEIC photos cannot be read. Only JPEG, PNG, GIF and WebP images are accepted' };
+    }
+
+    try {
+      const metadata = await sharp(buffer).metadata();
+      const gps = this.readGps(metadata.exif);
+
+      // sharp drops all metadata unless asked to keep it, so every output is EXIF-free
+      const id = crypto.randomUUID();
+      const keepFormat = ['png', 'webp'].includes(type.extension);
+      const extension = keepFormat ? type.extension : 'jpg';
+      const originalKey = `${id}.${extension}`;
+      const mimeType = keepFormat ? type.mimeType : 'image/jpeg';
+
+      const original = keepFormat
+        ? sharp(buffer).rotate().toFormat(extension)
+        : sharp(buffer).rotate().jpeg({ quality: 90 });
+      const { data, info } = await original.toBuffer({ resolveWithObject: true });
+      await this.storage.put(originalKey, data, mimeType);
+
+      const display = await sharp(buffer).rotate()
+        .resize(this.config.displaySize, this.config.displaySize, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: this.config.quality })
+        .toBuffer();
+      await this.storage.put(`${id}_display.jpg`, display, 'image/jpeg');
+
+      const thumbnail = await sharp(buffer).rotate()
+        .resize(this.config.thumbnailSize, this.config.thumbnailSize, { fit: 'cover' })
+        .jpeg({ quality: this.config.quality })
+        .toBuffer();
+      await this.storage.put(`${id}_thumb.jpg`, thumbnail, 'image/jpeg');
+
+      return {
+        success: true,
+        path: originalKey,
+        mimeType,
+        size: info.size,
+        checksum: this.checksum(data),
+        width: info.width,
+        height: info.height,
+        gps,
+        variants: this.variantsFor(originalKey)
+      };
+    } catch (error) {
+      console.error('Error processing image:', error);
+      return { success: false, code: 'INVALID_IMAGE', error: 'Image could not be read' };
+    }
+  }
+
+  /**
+   * Process several uploaded images, stopping at the first invalid one
+   * Files already written are removed when a later file fails
+   * @param {Array<Buffer>} buffers - Uploaded files
+   * @returns {Promise<Object>} { success, images, gps } or { success: false, code, error }
+   */
+  async processImages(buffers) {
+    const images = [];
+
+    for (const buffer of buffers) {
+      const result = await this.processImage(buffer);
+      if (!result.success) {
+        await Promise.all(images.map(image => this.removeImage(image.path)));
+        return result;
+      }
+      images.push(result);
+    }
+
+    const located = images.find(image => image.gps);
+    return { success: true, images, gps: located ? located.gps : null };
+  }
+
+  /**
+   * Store a non-image attachment after checking its content type
+   * @param {Buffer} buffer - Uploaded file contents
+   * @param {Array<string>} allowedTypes - Allowed MIME types
+   * @returns {Promise<Object>} { success, path, mimeType, size, checksum } or { success: false, code, error }
+   */
+  async storeDocument(buffer, allowedTypes) {
+    const type = this.detectType(buffer);
+    if (!type || !allowedTypes.includes(type.mimeType)) {
+      return { success: false, code: 'UNSUPPORTED_TYPE', error: 'Invalid file type' };
+    }
+
+    const key = `${crypto.randomUUID()}.${type.extension}`;
+    await this.storage.put(key, buffer, type.mimeType);
+
+    return { success: true, path: key, mimeType: type.mimeType, size: buffer.length, checksum: this.checksum(buffer) };
+  }
+
+  /**
+   * Remove a stored file and, for processed images, its variants
+   * @param {string} imagePath - Stored image key or path
+   */
+  async removeImage(imagePath) {
+    const variants = this.variantsFor(imagePath);
+    const keys = [...new Set([variants.original, variants.display, variants.thumbnail])];
+    await Promise.all(keys.map(key => this.storage.delete(key).catch(error => {
+      console.error('Error removing stored file:', error.message);
+    })));
+  }
+}
+
+module.exports = ImageProcessingService;
@@ -0,0 +1,119 @@
+/**
+ * Incident Category Service
+ * Single list of incident categories shared by the WhatsApp menu, public intake and the Open311 API
+ */
+class IncidentCategoryService {
+  constructor() {
+    // Order matches the WhatsApp menu numbering
+    this.categories = [
+      {
+        code: 'sewage_leak',
+        name: 'Sewage Leak',
+        description: 'Sewage leaking or overflowing from pipes, drains or manholes',
+        keywords: ['sewage', 'sewer', 'overflow', 'spill', 'leak']
+      },
+      {
+        code: 'road_damage',
+        name: 'Road Damage',
+        description: 'Potholes, sinkholes or road surfaces damaged by pipe works',
+        keywords: ['road', 'pothole', 'sinkhole', 'tar', 'pavement']
+      },
+      {
+        code: 'water_main_break',
+        name: 'Water Main Break',
+        description: 'Burst or leaking water mains and supply pipes',
+        keywords: ['water main', 'burst', 'pipe burst', 'water leak', 'no water']
+      },
+      {
+        code: 'storm_drain',
+        name: 'Storm Drain Issue',
+        description: 'Blocked or damaged storm water drains',
+        keywords: ['storm', 'drain', 'flood', 'stormwater', 'gutter']
+      },
+      {
+        code: 'manhole_problem',
+        name: 'Manhole Problem',
+        description: 'Missing, broken or open manhole covers',
+        keywords: ['manhole', 'cover', 'lid']
+      },
+      {
+        code: 'other',
+        name: 'Other',
+        description: 'Any other sewage or water infrastructure problem',
+        keywords: []
+      }
+    ];
+
+    this.defaultCode = 'other';
+  }
+
+  /**
+   * Get all categories
+   * @returns {Array} Categories in menu order
+   */
+  getCategories() {
+    return this.categories;
+  }
+
+  /**
+   * Find a category by its code
+   * @param {string} code - Category code
+   * @returns {Object|null} Category
+   */
+  findByCode(code) {
+    return this.categories.find(category => category.code === code) || null;
+  }
+
+  /**
+   * Find a category by its display name (case-insensitive)
+   * @param {string} name - Category name
+   * @returns {Object|null} Category
+   */
+  findByName(name) {
+    if (!name) return null;
+    const normalized = String(name).trim().toLowerCase();
+    return this.categories.find(category => category.name.toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Find a category by its position in the WhatsApp menu
+   * @param {string|number} option - 1-based menu option
+   * @returns {Object|null} Category
+   */
+  findByMenuOption(option) {
+    const index = parseInt(option, 10);
+    if (isNaN(index) || String(index) !== String(option).trim()) return null;
+    return this.categories[index - 1] || null;
+  }
+
+  /**
+   * Work out the category of a report that did not choose one
+   * WhatsApp reports use the category name as their title, other reports are matched on keywords
+   * @param {Object} report - { title, description }
+   * @returns {string} Category code
+   */
+  inferCategory(report) {
+    const byName = this.findByName(report.title);
+    if (byName) return byName.code;
+
+    const text = `${report.title || ''} ${report.description || ''}`.toLowerCase();
+    const match = this.categories.find(category =>
+      category.keywords.some(keyword => text.includes(keyword))
+    );
+
+    return match ? match.code : this.defaultCode;
+  }
+
+  /**
+   * Category code for an incident, falling back to inference for older rows
+   * @param {Object} incident - Incident instance
+   * @returns {string} Category code
+   */
+  categoryOf(incident) {
+    return incident.category && this.findByCode(incident.category)
+      ? incident.category
+      : this.inferCategory(incident);
+  }
+}
+
+module.exports = IncidentCategoryService;
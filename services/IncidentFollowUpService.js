@@ -0,0 +1,137 @@
+const { IncidentFollowUp, JobCard, ActivityLog, Attachment, User } = require('../models');
+const IncidentMergeService = require('./IncidentMergeService');
+const AttachmentService = require('./AttachmentService');
+
+/**
+ * Incident Follow-Up Service
+ * Lets reporters add comments and photos to an incident they already reported,
+ * without escalating it, and tells the staff working on it
+ */
+class IncidentFollowUpService {
+  constructor() {
+    this.mergeService = new IncidentMergeService();
+    this.attachmentService = new AttachmentService();
+
+    this.config = {
+      maxCommentLength: parseInt(process.env.FOLLOW_UP_MAX_COMMENT_LENGTH) || 2000
+    };
+
+    // Photo phase for the incident status the follow-up arrived in
+    this.statusPhases = {
+      'In Progress': 'during',
+      'Completed': 'after'
+    };
+  }
+
+  /**
+   * Add a follow-up to the incident behind a tracking ID
+   * Tracking IDs of merged duplicates resolve to the primary incident
+   * @param {string} trackingId - Tracking ID quoted by the reporter
+   * @param {Object} followUp - { comment, contactName, contactPhone, contactEmail, attachments }
+   *   attachments are stored files ({ path, mimeType, size, checksum }) or remote media ({ url, mimeType })
+   * @param {Object} options - { channel: 'web'|'whatsapp' }
+   * @returns {Promise<Object>} { success, followUp, incident, attachments } or { success: false, code, error }
+   */
+  async submitFollowUp(trackingId, followUp, options = {}) {
+    const { channel = 'web' } = options;
+    const comment = followUp.comment ? String(followUp.comment).trim() : '';
+    const attachments = followUp.attachments || [];
+
+    if (!comment && attachments.length === 0) {
+      return { success: false, code: 'EMPTY_FOLLOW_UP', error: 'A comment or at least one photo is required' };
+    }
+    if (comment.length > this.config.maxCommentLength) {
+      return { success: false, code: 'COMMENT_TOO_LONG', error: `Comments must be at most ${this.config.maxCommentLength} characters` };
+    }
+
+    const resolved = trackingId ? await this.mergeService.resolveTrackingId(String(trackingId).trim().toUpperCase()) : null;
+    if (!resolved) {
+      return { success: false, code: 'INCIDENT_NOT_FOUND', error: 'Incident not found' };
+    }
+    const incident = resolved.incident;
+
+    const created = await IncidentFollowUp.create({
+      incident_id: incident.id,
+      channel,
+      tracking_id: resolved.requestedTrackingId,
+      comment: comment || null,
+      contact_name: followUp.contactName || null,
+      contact_phone: followUp.contactPhone || null,
+      contact_email: followUp.contactEmail || null
+    });
+
+    const stored = await this.attachmentService.createMany(attachments, {
+      incidentId: incident.id,
+      followUpId: created.id,
+      source: this.attachmentService.sourceForChannel(channel),
+      caption: comment || null,
+      phase: this.statusPhases[incident.status] || 'before'
+    });
+
+    await ActivityLog.create({
+      action: `Citizen follow-up added to incident: ${incident.title}`,
+      table_name: 'incidents',
+      reference_id: incident.id,
+      details: JSON.stringify({
+        type: 'citizen_follow_up',
+        channel,
+        followUpId: created.id,
+        photos: stored.length
+      })
+    });
+
+    await this.notifyStaff(incident, created, stored.length);
+
+    return { success: true, followUp: created, incident, attachments: stored };
+  }
+
+  /**
+   * Notify managers and the team leader of the incident's job card about a follow-up
+   * @param {Object} incident - Incident instance
+   * @param {Object} followUp - IncidentFollowUp instance
+   * @param {number} photoCount - Number of photos sent with the follow-up
+   */
+  async notifyStaff(incident, followUp, photoCount) {
+    const photos = photoCount > 0 ? ` (${photoCount} photo${photoCount === 1 ? '' : 's'})` : '';
+    const notification = {
+      type: 'info',
+      title: 'Citizen Follow-Up',
+      message: followUp.comment
+        ? `Reporter added to incident ${incident.tracking_id}${photos}: ${followUp.comment}`
+        : `Reporter sent new photos for incident ${incident.tracking_id}${photos}`,
+      related_type: 'incident',
+      related_id: incident.id
+    };
+
+    global.sendRoleNotification('manager', 'incident-follow-up', notification);
+
+    const jobCard = await JobCard.findOne({ where: { incident_id: incident.id } });
+    if (jobCard && jobCard.team_leader_id && jobCard.status !== 'completed') {
+      global.sendNotification(jobCard.team_leader_id, 'incident-follow-up', notification);
+    }
+  }
+
+  /**
+   * List follow-ups for an incident with their photos
+   * @param {string} incidentId - Incident ID
+   * @returns {Promise<Array>} Follow-ups, oldest first
+   */
+  async listForIncident(incidentId) {
+    const followUps = await IncidentFollowUp.findAll({
+      where: { incident_id: incidentId },
+      include: [{
+        model: Attachment,
+        as: 'attachments',
+        include: [{ model: User, as: 'uploader', attributes: ['id', 'name', 'role'] }]
+      }],
+      order: [['created_at', 'ASC']]
+    });
+
+    return Promise.all(followUps.map(async followUp => ({
+      ...followUp.toJSON(),
+      attachments: await this.attachmentService.serializeAll(followUp.attachments)
+    })));
+  }
+}
+
+module.exports = IncidentFollowUpService;
@@ -0,0 +1,150 @@
+const { Incident, IncidentReport, ActivityLog } = require('../models');
+const DuplicateDetectionService = require('./DuplicateDetectionService');
+const StatusHistoryService = require('./StatusHistoryService');
+const IncidentCategoryService = require('./IncidentCategoryService');
+const AttachmentService = require('./AttachmentService');
+const TrackingIdService = require('./TrackingIdService');
+const CitizenNotificationService = require('./CitizenNotificationService');
+const GeocodingService = require('./GeocodingService');
+
+/**
+ * Incident Intake Service
+ * Single entry point for citizen reports from the public API and the WhatsApp bot
+ * Geocodes the location and runs duplicate detection before a new incident row is created
+ */
+class IncidentIntakeService {
+  constructor() {
+    this.duplicateService = new DuplicateDetectionService();
+    this.historyService = new StatusHistoryService();
+    this.categoryService = new IncidentCategoryService();
+    this.attachmentService = new AttachmentService();
+    this.trackingIdService = new TrackingIdService();
+    this.citizenNotificationService = new CitizenNotificationService();
+    this.geocodingService = new GeocodingService();
+  }
+
+  /**
+   * Generate a new public tracking ID
+   * @returns {Promise<string>} Tracking ID
+   */
+  async generateTrackingId() {
+    return this.trackingIdService.generate();
+  }
+
+  /**
+   * Submit a citizen report
+   * Joins an existing incident when a strong duplicate is found, otherwise creates a new
+   * incident (flagged with duplicate_of_id when the match is only probable)
+   * @param {Object} report - { title, description, category, location, latitude, longitude, contactName, contactPhone, contactEmail, attachments }
+   *   attachments are stored files ({ path, mimeType, size, checksum }) or remote media ({ url, mimeType })
+   * @param {Object} options - { channel: 'web'|'whatsapp'|'sms'|'ussd'|'open311' }
+   * @returns {Promise<Object>} { incident, trackingId, joinedExisting, probableDuplicateOf }
+   */
+  async submitReport(report, options = {}) {
+    const { channel = 'web' } = options;
+    // Every report gets coordinates for its address, or a readable address for its coordinates
+    report = { ...report, ...await this.geocodingService.resolve(report) };
+    const channelLabel = { whatsapp: ' via WhatsApp', sms: ' via SMS', ussd: ' via USSD', open311: ' via Open311' }[channel] || '';
+    const attachments = report.attachments || [];
+    const attachmentMeta = { source: this.attachmentService.sourceForChannel(channel), phase: 'before' };
+    const reporterPhone = this.citizenNotificationService.normalizePhone(report.contactPhone);
+
+    const duplicate = await this.duplicateService.findDuplicate(report);
+
+    if (duplicate && duplicate.action === 'join') {
+      const existing = duplicate.incident;
+
+      await IncidentReport.create({
+        incident_id: existing.id,
+        channel,
+        tracking_id: existing.tracking_id,
+        title: report.title,
+        description: report.description,
+        location: report.location,
+        contact_name: report.contactName,
+        contact_phone: report.contactPhone,
+        contact_email: report.contactEmail,
+        reporter_phone: reporterPhone,
+        images: attachments.length > 0 ? attachments.map(file => file.path || file.url).join(',') : null,
+        match_score: duplicate.score
+      });
+
+      await this.attachmentService.createMany(attachments, { ...attachmentMeta, incidentId: existing.id });
+
+      await ActivityLog.create({
+        action: `Additional report${channelLabel} linked to incident: ${existing.title}`,
+        table_name: 'incidents',
+        reference_id: existing.id,
+        details: JSON.stringify({
+          type: 'duplicate_report_joined',
+          channel,
+          matchScore: duplicate.score,
+          distanceMeters: duplicate.distanceMeters
+        })
+      });
+
+      return {
+        incident: existing,
+        trackingId: existing.tracking_id,
+        joinedExisting: true,
+        probableDuplicateOf: null
+      };
+    }
+
+    const trackingId = await this.generateTrackingId();
+    const incident = await Incident.create({
+      title: report.title,
+      description: report.description,
+      category: this.categoryService.findByCode(report.category)
+        ? report.category
+        : this.categoryService.inferCategory(report),
+      location: report.location,
+      contact_name: report.contactName,
+      contact_phone: report.contactPhone,
+      contact_email: report.contactEmail,
+      reporter_phone: reporterPhone,
+      latitude: report.latitude,
+      longitude: report.longitude,
+      suburb: report.suburb,
+      ward: report.ward,
+      tracking_id: trackingId,
+      intake_channel: channel,
+      status: 'verified',
+      duplicate_of_id: duplicate ? duplicate.incident.id : null
+    });
+
+    await this.attachmentService.createMany(attachments, { ...attachmentMeta, incidentId: incident.id });
+
+    await ActivityLog.create({
+      action: `Incident reported${channelLabel}: ${report.title}`,
+      table_name: 'incidents',
+      reference_id: incident.id,
+    });
+
+    // Intake verifies reports automatically, so both steps start the timeline
+    await this.historyService.record(incident, 'reported', { status: 'Not Started' });
+    await this.historyService.record(incident, 'verified', { status: 'verified' });
+
+    const probableDuplicateOf = duplicate ? duplicate.incident : null;
+
+    // Send notification to managers
+    global.sendRoleNotification('manager', 'new-incident', {
+      type: 'alert',
+      title: `New Incident Reported${channelLabel}`,
+      message: probableDuplicateOf
+        ? `New incident reported: ${report.title} (probable duplicate of ${probableDuplicateOf.tracking_id})`
+        : `New incident reported: ${report.title}`,
+      related_type: 'incident',
+      related_id: incident.id
+    });
+
+    return {
+      incident,
+      trackingId,
+      joinedExisting: false,
+      probableDuplicateOf
+    };
+  }
+}
+
+module.exports = IncidentIntakeService;
@@ -0,0 +1,240 @@
+const { Op } = require('sequelize');
+const { Incident, JobCard, Team } = require('../models');
+const GeoService = require('./GeoService');
+const IncidentCategoryService = require('./IncidentCategoryService');
+
+/**
+ * Incident Map Service
+ * Builds GeoJSON feeds of incidents for the public map and the staff dashboard
+ */
+class IncidentMapService {
+  constructor() {
+    this.geoService = new GeoService();
+    this.categoryService = new IncidentCategoryService();
+
+    this.config = {
+      maxFeatures: parseInt(process.env.MAP_MAX_FEATURES) || 2000,
+      maxRadiusMeters: parseInt(process.env.MAP_MAX_RADIUS_METERS) || 50000
+    };
+  }
+
+  /**
+   * Parse and validate map query parameters
+   * bbox=minLng,minLat,maxLng,maxLat | lat,lng,radius (meters) | status | category | from | to | limit
+   * @param {Object} query - Request query
+   * @returns {Object} { success, filters } or { success: false, error }
+   */
+  parseFilters(query) {
+    const filters = {};
+    const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+    if (query.bbox) {
+      const parts = list(query.bbox).map(Number);
+      if (parts.length !== 4 || parts.some(isNaN)) {
+        return { success: false, error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+      }
+      const [minLng, minLat, maxLng, maxLat] = parts;
+      if (minLng > maxLng || minLat > maxLat) {
+        return { success: false, error: 'bbox minimums must not exceed maximums' };
+      }
+      filters.bbox = { minLng, minLat, maxLng, maxLat };
+    }
+
+    if (query.lat !== undefined || query.lng !== undefined || query.radius !== undefined) {
+      const latitude = parseFloat(query.lat);
+      const longitude = parseFloat(query.lng);
+      const radius = parseFloat(query.radius);
+      if (!this.geoService.isValidCoordinate(latitude, longitude) || isNaN(radius) || radius <= 0) {
+        return { success: false, error: 'lat, lng and a positive radius are required for a radius search' };
+      }
+      if (radius > this.config.maxRadiusMeters) {
+        return { success: false, error: `radius must not exceed ${this.config.maxRadiusMeters} meters` };
+      }
+      filters.near = { latitude, longitude, radius };
+    }
+
+    if (query.status) {
+      const statuses = list(query.status);
+      const known = Incident.rawAttributes.status.values;
+      const unknown = statuses.filter(status => !known.includes(status));
+      if (unknown.length > 0) {
+        return { success: false, error: `Unknown status: ${unknown.join(', ')}` };
+      }
+      filters.statuses = statuses;
+    }
+
+    if (query.category) {
+      const categories = list(query.category);
+      const unknown = categories.filter(code => !this.categoryService.findByCode(code));
+      if (unknown.length > 0) {
+        return { success: false, error: `Unknown category: ${unknown.join(', ')}` };
+      }
+      filters.categories = categories;
+    }
+
+    for (const key of ['from', 'to']) {
+      if (query[key]) {
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+          return { success: false, error: `${key} must be a valid date` };
+        }
+        filters[key] = date;
+      }
+    }
+
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > this.config.maxFeatures) {
+        return { success: false, error: `limit must be a whole number from 1 to ${this.config.maxFeatures}` };
+      }
+      filters.limit = limit;
+    }
+
+    return { success: true, filters };
+  }
+
+  /**
+   * Build a GeoJSON FeatureCollection of incidents
+   * Every filter runs in the database on the latitude/longitude columns; a radius search selects
+   * the square around the circle there and drops the corners afterwards
+   * @param {Object} filters - Parsed filters from parseFilters
+   * @param {Object} options - { staff: include contact, team and job card data }
+   * @returns {Promise<Object>} FeatureCollection
+   */
+  async getFeatureCollection(filters, options = {}) {
+    const where = { merged_into_id: null };
+
+    if (filters.statuses) where.status = { [Op.in]: filters.statuses };
+    if (filters.categories) where.category = { [Op.in]: filters.categories };
+    if (filters.from || filters.to) {
+      where.created_at = {};
+      if (filters.from) where.created_at[Op.gte] = filters.from;
+      if (filters.to) where.created_at[Op.lte] = filters.to;
+    }
+
+    const unlocated = await Incident.count({
+      where: { ...where, [Op.or]: [{ latitude: null }, { longitude: null }] }
+    });
+
+    const box = filters.near ? this.boundingSquare(filters.near) : filters.bbox;
+    const located = { ...where, latitude: { [Op.ne]: null }, longitude: { [Op.ne]: null } };
+    if (box) {
+      located.latitude = { [Op.between]: [box.minLat, box.maxLat] };
+      located.longitude = { [Op.between]: [box.minLng, box.maxLng] };
+    }
+    if (filters.bbox && filters.near) {
+      located[Op.and] = [
+        { latitude: { [Op.between]: [filters.bbox.minLat, filters.bbox.maxLat] } },
+        { longitude: { [Op.between]: [filters.bbox.minLng, filters.bbox.maxLng] } }
+      ];
+    }
+
+    const limit = filters.limit || this.config.maxFeatures;
+    const incidents = await Incident.findAll({
+      where: located,
+      include: options.staff
+        ? [{ model: JobCard, include: [Team] }, { model: Team, as: 'assignedTeam' }]
+        : [],
+      order: [['created_at', 'DESC']],
+      limit: limit + 1
+    });
+
+    const features = [];
+    for (const incident of incidents.slice(0, limit)) {
+      const coordinates = { latitude: incident.latitude, longitude: incident.longitude };
+      if (filters.near && this.geoService.distanceMeters(filters.near, coordinates) > filters.near.radius) continue;
+
+      features.push({
+        type: 'Feature',
+        id: options.staff ? incident.id : incident.tracking_id,
+        geometry: {
+          type: 'Point',
+          coordinates: [coordinates.longitude, coordinates.latitude]
+        },
+        properties: options.staff ? this.staffProperties(incident) : this.publicProperties(incident)
+      });
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features,
+      metadata: {
+        count: features.length,
+        truncated: incidents.length > limit,
+        unlocated
+      }
+    };
+  }
+
+  /**
+   * Bounding box of a radius search
+   * @param {Object} near - { latitude, longitude, radius } with radius in meters
+   * @returns {Object} { minLng, minLat, maxLng, maxLat }
+   */
+  boundingSquare({ latitude, longitude, radius }) {
+    const metersPerDegree = this.geoService.EARTH_RADIUS_METERS * Math.PI / 180;
+    const latDelta = radius / metersPerDegree;
+    const lngDelta = radius / (metersPerDegree * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+
+    return {
+      minLat: Math.max(latitude - latDelta, -90),
+      maxLat: Math.min(latitude + latDelta, 90),
+      minLng: Math.max(longitude - lngDelta, -180),
+      maxLng: Math.min(longitude + lngDelta, 180)
+    };
+  }
+
+  /**
+   * Properties safe to show on the public map - no contact details or free text
+   * @param {Object} incident - Incident instance
+   * @returns {Object} Feature properties
+   */
+  publicProperties(incident) {
+    return {
+      trackingId: incident.tracking_id,
+      category: this.categoryService.categoryOf(incident),
+      status: incident.status,
+      reportedAt: incident.created_at,
+      updatedAt: incident.updated_at
+    };
+  }
+
+  /**
+   * Properties for the staff dashboard map
+   * @param {Object} incident - Incident instance with JobCard and assignedTeam loaded
+   * @returns {Object} Feature properties
+   */
+  staffProperties(incident) {
+    const jobCard = incident.JobCard;
+    const team = incident.assignedTeam || (jobCard && jobCard.Team);
+
+    return {
+      id: incident.id,
+      trackingId: incident.tracking_id,
+      title: incident.title,
+      description: incident.description,
+      category: this.categoryService.categoryOf(incident),
+      status: incident.status,
+      location: incident.location,
+      intakeChannel: incident.intake_channel,
+      contactName: incident.contact_name,
+      contactPhone: incident.contact_phone,
+      contactEmail: incident.contact_email,
+      duplicateOfId: incident.duplicate_of_id,
+      reportedAt: incident.created_at,
+      updatedAt: incident.updated_at,
+      assignedAt: incident.assigned_at,
+      team: team ? { id: team.id, name: team.name } : null,
+      jobCard: jobCard ? {
+        id: jobCard.id,
+        status: jobCard.status,
+        teamLeaderId: jobCard.team_leader_id,
+        assignedAt: jobCard.assigned_at,
+        startedAt: jobCard.started_at,
+        completedAt: jobCard.completed_at
+      } : null
+    };
+  }
+}
+
+module.exports = IncidentMapService;
@@ -0,0 +1,273 @@
+const { sequelize, Incident, IncidentReport, IncidentFollowUp, JobCard, Team, ActivityLog, Attachment } = require('../models');
+const StatusHistoryService = require('./StatusHistoryService');
+const TrackingIdService = require('./TrackingIdService');
+
+/**
+ * Incident Merge Service
+ * Consolidates duplicate incidents into a primary incident and resolves
+ * tracking IDs of merged incidents back to the incident that carries the work
+ */
+class IncidentMergeService {
+  constructor() {
+    // Merged incidents can chain (A into B, later B into C); cap how far we follow
+    this.MAX_MERGE_DEPTH = 10;
+    this.historyService = new StatusHistoryService();
+    this.trackingIdService = new TrackingIdService();
+  }
+
+  /**
+   * Find an incident by tracking ID, following merge references to the primary incident
+   * Typed IDs are normalised first, so case, spacing and O/0 mix-ups do not matter
+   * @param {string} trackingId - Public tracking ID
+   * @returns {Promise<Object|null>} { incident, requestedTrackingId, mergedFrom } or null if not found
+   */
+  async resolveTrackingId(trackingId) {
+    trackingId = this.trackingIdService.normalize(trackingId);
+    const incident = await Incident.findOne({ where: { tracking_id: trackingId } });
+    if (!incident) return null;
+
+    const { primary, mergedFrom } = await this.followMerges(incident);
+    return {
+      incident: primary,
+      requestedTrackingId: trackingId,
+      mergedFrom
+    };
+  }
+
+  /**
+   * Find the incident that carries the work for an incident ID, following merge references
+   * @param {string} incidentId - Incident ID
+   * @returns {Promise<Object|null>} Primary incident or null if not found
+   */
+  async resolveIncident(incidentId) {
+    const incident = await Incident.findByPk(incidentId);
+    if (!incident) return null;
+    return (await this.followMerges(incident)).primary;
+  }
+
+  /**
+   * Follow merge references from an incident to its primary
+   * @param {Object} incident - Incident instance
+   * @returns {Promise<Object>} { primary, mergedFrom: tracking IDs passed on the way }
+   */
+  async followMerges(incident) {
+    const mergedFrom = [];
+    let depth = 0;
+    while (incident.merged_into_id && depth < this.MAX_MERGE_DEPTH) {
+      const primary = await Incident.findByPk(incident.merged_into_id);
+      if (!primary) break;
+      mergedFrom.push(incident.tracking_id);
+      incident = primary;
+      depth++;
+    }
+
+    return { primary: incident, mergedFrom };
+  }
+
+  /**
+   * Merge duplicate incidents into a primary incident
+   * @param {string} primaryId - Incident that keeps the work
+   * @param {Array<string>} duplicateIds - Incidents to fold into the primary
+   * @param {string} userId - Manager performing the merge
+   * @param {string} reason - Optional reason recorded in the activity log
+   * @returns {Promise<Object>} Merge result
+   */
+  async mergeIncidents(primaryId, duplicateIds, userId, reason = '') {
+    try {
+      if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+        return {
+          success: false,
+          error: 'At least one duplicate incident ID is required',
+          code: 'NO_DUPLICATES_PROVIDED'
+        };
+      }
+
+      const uniqueIds = [...new Set(duplicateIds)];
+      if (uniqueIds.includes(primaryId)) {
+        return {
+          success: false,
+          error: 'An incident cannot be merged into itself',
+          code: 'SELF_MERGE'
+        };
+      }
+
+      // Everything moves in one transaction, so a failure part way leaves no half-merged incidents
+      return await sequelize.transaction(async (transaction) => {
+        const primary = await Incident.findByPk(primaryId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!primary) {
+          return { success: false, error: 'Primary incident not found', code: 'PRIMARY_NOT_FOUND' };
+        }
+
+        if (primary.status === 'Cancelled' || primary.merged_into_id) {
+          return {
+            success: false,
+            error: 'Cannot merge into a cancelled or already merged incident',
+            code: 'PRIMARY_NOT_OPEN'
+          };
+        }
+
+        const duplicates = await Incident.findAll({ where: { id: uniqueIds }, transaction, lock: transaction.LOCK.UPDATE });
+        if (duplicates.length !== uniqueIds.length) {
+          const foundIds = duplicates.map(d => d.id);
+          return {
+            success: false,
+            error: 'One or more duplicate incidents were not found',
+            code: 'DUPLICATE_NOT_FOUND',
+            missingIds: uniqueIds.filter(id => !foundIds.includes(id))
+          };
+        }
+
+        const blocked = duplicates.filter(d => d.status === 'Completed' || d.merged_into_id);
+        if (blocked.length > 0) {
+          return {
+            success: false,
+            error: 'Completed or already merged incidents cannot be merged',
+            code: 'DUPLICATE_NOT_MERGEABLE',
+            blockedIds: blocked.map(d => d.id)
+          };
+        }
+
+        const primaryUpdates = {};
+        const mergedTrackingIds = [];
+
+        for (const duplicate of duplicates) {
+          // Keep the duplicate reporter reachable on the primary incident
+          await IncidentReport.create({
+            incident_id: primary.id,
+            channel: duplicate.intake_channel || 'web',
+            tracking_id: duplicate.tracking_id,
+            title: duplicate.title,
+            description: duplicate.description,
+            location: duplicate.location,
+            contact_name: duplicate.contact_name,
+            contact_phone: duplicate.contact_phone,
+            contact_email: duplicate.contact_email,
+            reporter_phone: duplicate.reporter_phone,
+            images: duplicate.images,
+            created_at: duplicate.created_at
+          }, { transaction });
+
+          // Reports previously linked to the duplicate now belong to the primary
+          await IncidentReport.update(
+            { incident_id: primary.id },
+            { where: { incident_id: duplicate.id }, transaction }
+          );
+
+          // Follow-ups, photos and documents move with the reports
+          await IncidentFollowUp.update(
+            { incident_id: primary.id },
+            { where: { incident_id: duplicate.id }, transaction }
+          );
+          await Attachment.update(
+            { incident_id: primary.id },
+            { where: { incident_id: duplicate.id }, transaction }
+          );
+
+          // Fill contact details the primary is missing
+          for (const field of ['contact_name', 'contact_phone', 'contact_email']) {
+            if (!primary[field] && !primaryUpdates[field] && duplicate[field]) {
+              primaryUpdates[field] = duplicate[field];
+            }
+          }
+
+          if (!primary.latitude && !primaryUpdates.latitude && duplicate.latitude && duplicate.longitude) {
+            primaryUpdates.latitude = duplicate.latitude;
+            primaryUpdates.longitude = duplicate.longitude;
+          }
+          for (const field of ['suburb', 'ward']) {
+            if (!primary[field] && !primaryUpdates[field] && duplicate[field]) {
+              primaryUpdates[field] = duplicate[field];
+            }
+          }
+
+          await this.releaseAssignment(duplicate, transaction);
+
+          const previousStatus = duplicate.status;
+          await duplicate.update({
+            status: 'Cancelled',
+            merged_into_id: primary.id,
+            duplicate_of_id: null,
+            updated_at: new Date()
+          }, { transaction });
+
+          await this.historyService.record(duplicate, 'merged', {
+            status: 'Cancelled',
+            userId,
+            publicNote: `This report is now tracked under reference ${primary.tracking_id}`,
+            transaction
+          });
+
+          await ActivityLog.create({
+            user_id: userId,
+            action: `Incident merged into ${primary.tracking_id}: ${duplicate.title}`,
+            table_name: 'incidents',
+            reference_id: duplicate.id,
+            details: JSON.stringify({
+              type: 'incident_merged',
+              primaryIncidentId: primary.id,
+              previousStatus,
+              reason
+            })
+          }, { transaction });
+
+          mergedTrackingIds.push(duplicate.tracking_id);
+        }
+
+        if (primary.duplicate_of_id && uniqueIds.includes(primary.duplicate_of_id)) {
+          primaryUpdates.duplicate_of_id = null;
+        }
+        await primary.update(primaryUpdates, { transaction });
+
+        await ActivityLog.create({
+          user_id: userId,
+          action: `Merged ${duplicates.length} duplicate incident(s) into "${primary.title}": ${mergedTrackingIds.join(', ')}`,
+          table_name: 'incidents',
+          reference_id: primary.id,
+          details: JSON.stringify({
+            type: 'incident_merge_primary',
+            mergedIncidentIds: uniqueIds,
+            mergedTrackingIds,
+            reason
+          })
+        }, { transaction });
+
+        return {
+          success: true,
+          primary,
+          mergedTrackingIds,
+          message: `Merged ${duplicates.length} incident(s) into ${primary.tracking_id}`
+        };
+      });
+    } catch (error) {
+      console.error('Error merging incidents:', error);
+      return {
+        success: false,
+        error: 'Failed to merge incidents',
+        code: 'MERGE_SYSTEM_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Cancel the job card of a merged duplicate and free the team slot
+   * The work was never done, so the card is cancelled rather than completed
+   * @param {Object} incident - Duplicate incident
+   * @param {Object} transaction - Transaction of the merge
+   */
+  async releaseAssignment(incident, transaction) {
+    const jobCard = await JobCard.findOne({ where: { incident_id: incident.id }, transaction });
+    if (!jobCard || ['completed', 'cancelled'].includes(jobCard.status)) return;
+
+    await jobCard.update({ status: 'cancelled' }, { transaction });
+
+    const team = await Team.findByPk(jobCard.team_id, { transaction });
+    if (team && team.current_capacity > 0) {
+      await team.update({
+        current_capacity: team.current_capacity - 1,
+        last_activity: new Date()
+      }, { transaction });
+    }
+  }
+}
+
+module.exports = IncidentMergeService;
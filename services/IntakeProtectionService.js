@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ReporterBlock } = require('../models');
+const CitizenNotificationService = require('./CitizenNotificationService');
+
+// Submission timestamps per action and reporter, shared by every instance of the service
+const hits = new Map();
+let hitsSinceCleanup = 0;
+
+/**
+ * Intake Protection Service
+ * Rate limits, honeypot and blocklist checks for the public report, escalation,
+ * follow-up and verification endpoints and the WhatsApp webhook, plus the signals used to hold
+ * suspicious reports for moderation
+ */
+class IntakeProtectionService {
+  constructor() {
+    this.citizenNotificationService = new CitizenNotificationService();
+
+    const windowMs = (parseInt(process.env.INTAKE_RATE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+    this.config = {
+      honeypotField: process.env.INTAKE_HONEYPOT_FIELD || 'website',
+      reviewAfterReports: parseInt(process.env.INTAKE_REVIEW_AFTER_REPORTS) || 3,
+      repeatedTextLimit: parseInt(process.env.INTAKE_REPEATED_TEXT_LIMIT) || 2
+    };
+
+    // Maximum submissions per reporter identity within each window
+    this.limits = {
+      report: {
+        windowMs,
+        ip: parseInt(process.env.INTAKE_MAX_REPORTS_PER_IP) || 10,
+        phone: parseInt(process.env.INTAKE_MAX_REPORTS_PER_PHONE) || 5
+      },
+      escalate: {
+        windowMs,
+        ip: parseInt(process.env.INTAKE_MAX_ESCALATIONS_PER_IP) || 5
+      },
+      follow_up: {
+        windowMs,
+        ip: parseInt(process.env.INTAKE_MAX_FOLLOW_UPS_PER_IP) || 10,
+        phone: parseInt(process.env.INTAKE_MAX_FOLLOW_UPS_PER_PHONE) || 10
+      },
+      verification: {
+        windowMs,
+        ip: parseInt(process.env.INTAKE_MAX_VERIFICATIONS_PER_IP) || 10
+      },
+      whatsapp: {
+        windowMs: (parseInt(process.env.WHATSAPP_RATE_WINDOW_MINUTES) || 10) * 60 * 1000,
+        phone: parseInt(process.env.WHATSAPP_MAX_MESSAGES_PER_PHONE) || 60
+      },
+      sms: {
+        windowMs: (parseInt(process.env.SMS_RATE_WINDOW_MINUTES) || 10) * 60 * 1000,
+        phone: parseInt(process.env.SMS_MAX_MESSAGES_PER_PHONE) || 30
+      },
+      ussd: {
+        windowMs: (parseInt(process.env.USSD_RATE_WINDOW_MINUTES) || 10) * 60 * 1000,
+        phone: parseInt(process.env.USSD_MAX_REQUESTS_PER_PHONE) || 120
+      }
+    };
+  }
+
+  /**
+   * Normalise reporter identities for counting and blocklist lookups
+   * @param {Object} identities - { ip, phone, email }
+   * @returns {Object} Normalised identities, leaving out the empty ones
+   */
+  normalizeIdentities(identities) {
+    const normalized = {};
+    if (identities.ip) normalized.ip = String(identities.ip).replace(/^::ffff:/, '');
+    if (identities.phone) normalized.phone = this.citizenNotificationService.normalizePhone(identities.phone);
+    if (identities.email) normalized.email = String(identities.email).trim().toLowerCase();
+    return normalized;
+  }
+
+  /**
+   * Recent submission timestamps for a counter, dropping the expired ones
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Array<number>} Timestamps inside the window
+   */
+  recentHits(key, windowMs) {
+    const cutoff = Date.now() - windowMs;
+    const recent = (hits.get(key) || []).filter(timestamp => timestamp > cutoff);
+    if (recent.length > 0) {
+      hits.set(key, recent);
+    } else {
+      hits.delete(key);
+    }
+    return recent;
+  }
+
+  /**
+   * Drop counters nobody has touched for a day so the map does not grow forever
+   */
+  cleanup() {
+    if (++hitsSinceCleanup < 1000) return;
+    hitsSinceCleanup = 0;
+
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    for (const [key, timestamps] of hits) {
+      if (timestamps[timestamps.length - 1] < cutoff) hits.delete(key);
+    }
+  }
+
+  /**
+   * Count a submission against the rate limits of an action
+   * Nothing is counted when any identity is already over its limit
+   * @param {string} action - report | escalate | follow_up | verification | whatsapp
+   * @param {Object} identities - { ip, phone, email }
+   * @returns {Object} { allowed, retryAfterSeconds, limitedBy }
+   */
+  consume(action, identities) {
+    const limits = this.limits[action];
+    if (!limits) throw new Error(`Unknown intake action '${action}'`);
+    this.cleanup();
+
+    const normalized = this.normalizeIdentities(identities);
+    const counters = Object.entries(normalized)
+      .filter(([type]) => limits[type])
+      .map(([type, value]) => ({ type, key: `${action}:${type}:${value}`, limit: limits[type] }));
+
+    for (const counter of counters) {
+      const recent = this.recentHits(counter.key, limits.windowMs);
+      if (recent.length >= counter.limit) {
+        const retryAfterMs = recent[0] + limits.windowMs - Date.now();
+        return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)), limitedBy: counter.type };
+      }
+    }
+
+    const now = Date.now();
+    for (const counter of counters) {
+      hits.set(counter.key, [...(hits.get(counter.key) || []), now]);
+    }
+    return { allowed: true, retryAfterSeconds: 0, limitedBy: null };
+  }
+
+  /**
+   * Number of submissions an identity made for an action in the current window
+   * @param {string} action - Intake action
+   * @param {string} type - ip | phone | email
+   * @param {string} value - Normalised identity
+   * @returns {number} Submission count
+   */
+  countFor(action, type, value) {
+    return this.recentHits(`${action}:${type}:${value}`, this.limits[action].windowMs).length;
+  }
+
+  /**
+   * Check if the hidden honeypot field was filled in (only bots see it)
+   * @param {Object} body - Request body
+   * @returns {boolean} True if the submission came from a bot
+   */
+  isHoneypotFilled(body) {
+    const value = body && body[this.config.honeypotField];
+    return typeof value === 'string' ? value.trim() !== '' : !!value;
+  }
+
+  /**
+   * Find an active blocklist entry for any of the reporter's identities
+   * @param {Object} identities - { ip, phone, email }
+   * @returns {Promise<Object|null>} Matching ReporterBlock or null
+   */
+  async findBlock(identities) {
+    const normalized = this.normalizeIdentities(identities);
+    const matches = Object.entries(normalized).map(([type, value]) => ({ type, value }));
+    if (matches.length === 0) return null;
+
+    return ReporterBlock.findOne({
+      where: {
+        [Op.and]: [
+          { [Op.or]: matches },
+          { [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }] }
+        ]
+      }
+    });
+  }
+
+  /**
+   * Add or update a blocklist entry
+   * @param {string} type - ip | phone | email
+   * @param {string} value - Identity to block
+   * @param {Object} options - { reason, userId, expiresAt }
+   * @returns {Promise<Object>} { success, block } or { success: false, code, error }
+   */
+  async block(type, value, options = {}) {
+    if (!['ip', 'phone', 'email'].includes(type)) {
+      return { success: false, code: 'INVALID_BLOCK_TYPE', error: 'Type must be one of: ip, phone, email' };
+    }
+    const normalized = this.normalizeIdentities({ [type]: value })[type];
+    if (!normalized) {
+      return { success: false, code: 'INVALID_BLOCK_VALUE', error: 'A value to block is required' };
+    }
+    const expiresAt = options.expiresAt ? new Date(options.expiresAt) : null;
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+      return { success: false, code: 'INVALID_EXPIRY', error: 'expiresAt must be a date in the future' };
+    }
+
+    const [entry] = await ReporterBlock.findOrCreate({ where: { type, value: normalized } });
+    await entry.update({
+      reason: options.reason || null,
+      blocked_by: options.userId || null,
+      expires_at: expiresAt
+    });
+
+    return { success: true, block: entry };
+  }
+
+  /**
+   * Signals that a report should be held for moderation instead of going straight to intake
+   * Call after the report has been counted by consume()
+   * @param {Object} report - { title, description, location, contactPhone, contactEmail }
+   * @param {Object} identities - { ip, phone, email }
+   * @returns {Array<string>} Reasons; empty when the report looks genuine
+   */
+  assessReport(report, identities) {
+    const reasons = [];
+    const normalized = this.normalizeIdentities(identities);
+
+    const volume = Object.entries(normalized)
+      .filter(([type]) => this.limits.report[type])
+      .some(([type, value]) => this.countFor('report', type, value) > this.config.reviewAfterReports);
+    if (volume) reasons.push('high_volume');
+
+    const text = [report.title, report.description, report.location].filter(Boolean).join(' ');
+    if (/https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|xyz|ru|top)\b/i.test(text)) {
+      reasons.push('contains_link');
+    }
+
+    // The same text submitted again and again, from any reporter
+    const normalizedText = text.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (normalizedText) {
+      const key = `report_text:${crypto.createHash('sha256').update(normalizedText).digest('hex')}`;
+      const recent = this.recentHits(key, this.limits.report.windowMs);
+      hits.set(key, [...recent, Date.now()]);
+      if (recent.length >= this.config.repeatedTextLimit) reasons.push('repeated_text');
+    }
+
+    return reasons;
+  }
+}
+
+module.exports = IntakeProtectionService;
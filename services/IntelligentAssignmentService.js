@@ -1,14 +1,22 @@
 const { Team, TeamMember, JobCard, Incident, ActivityLog, User } = require('../models');
 const { Op } = require('sequelize');
+const StatusHistoryService = require('./StatusHistoryService');
+const AssignmentRuleService = require('./AssignmentRuleService');
 
 class IntelligentAssignmentService {
   constructor() {
-    this.SLA_TARGETS = {
-      critical: 4 * 60 * 60 * 1000, // 4 hours in milliseconds
-      high: 8 * 60 * 60 * 1000,     // 8 hours
-      medium: 24 * 60 * 60 * 1000,  // 24 hours
-      low: 48 * 60 * 60 * 1000      // 48 hours
-    };
+    this.ruleService = new AssignmentRuleService();
+  }
+
+  /**
+   * SLA target for a priority from a rule set
+   * @param {Object} ruleSet - Rule set from AssignmentRuleService
+   * @param {string} priority - Priority level
+   * @returns {number} Target in milliseconds; medium's for an unknown priority
+   */
+  getSLATarget(ruleSet, priority) {
+    const rules = ruleSet.rules[priority] || ruleSet.rules.medium;
+    return rules.sla_target;
   }
 
   /**
@@ -26,7 +34,7 @@ class IntelligentAssignmentService {
             required: false,
             where: {
               status: {
-                [Op.ne]: 'completed'
+                [Op.notIn]: ['completed', 'cancelled']
               }
             }
           },
@@ -140,33 +148,20 @@ class IntelligentAssignmentService {
 
   /**
    * Calculate incident priority level based on SLA requirements
+   * Uses the keywords of the same rule set the SLA target comes from
    * @param {Object} incident - The incident to prioritize
-   * @returns {string} Priority level (critical, high, medium, low)
+   * @param {Object} ruleSet - Rule set from AssignmentRuleService
+   * @returns {Promise<string>} Priority level (critical, high, medium, low)
    */
-  calculateIncidentPriority(incident) {
+  async calculateIncidentPriority(incident, ruleSet) {
     try {
       // Check if incident has explicit priority
-      if (incident.priority) {
+      if (incident.priority && this.ruleService.priorities.includes(incident.priority.toLowerCase())) {
         return incident.priority.toLowerCase();
       }
 
-      // Check for high-priority keywords in title/description
-      const highPriorityKeywords = [
-        'emergency', 'urgent', 'flood', 'overflow', 'sewage backup',
-        'public health', 'environmental', 'contamination'
-      ];
-
-      const text = `${incident.title || ''} ${incident.description || ''}`.toLowerCase();
-      const hasHighPriorityKeywords = highPriorityKeywords.some(keyword => 
-        text.includes(keyword)
-      );
-
-      if (hasHighPriorityKeywords) {
-        return 'critical';
-      }
-
-      // Default to medium priority
-      return 'medium';
+      const categorization = await this.ruleService.categorizeIncident(incident, ruleSet);
+      return categorization.category;
     } catch (error) {
       console.error('Error calculating incident priority:', error);
       return 'medium'; // Default to medium if calculation fails
@@ -181,6 +176,7 @@ class IntelligentAssignmentService {
   async getTeamSLACompliance(teamId) {
     try {
       const thirtyDaysAgo = new Date(Date.now() - (30 * 24 * 60 * 60 * 1000));
+      const ruleSet = await this.ruleService.getActiveRuleSet();
 
       const jobCards = await JobCard.findAll({
         where: {
@@ -204,8 +200,8 @@ class IntelligentAssignmentService {
           const responseTime = completedAt - assignedAt;
 
           // Calculate priority-based SLA target
-          const priority = this.calculateIncidentPriority(job.Incident);
-          const slaTarget = this.SLA_TARGETS[priority] || this.SLA_TARGETS.medium;
+          const priority = await this.calculateIncidentPriority(job.Incident, ruleSet);
+          const slaTarget = this.getSLATarget(ruleSet, priority);
 
           if (responseTime <= slaTarget) {
             slaCompliantIncidents++;
@@ -346,6 +342,7 @@ class IntelligentAssignmentService {
         selectedTeam: assignmentResult.selectedTeam,
         priority: assignmentResult.priority,
         slaTarget: assignmentResult.slaTarget,
+        ruleSetVersion: assignmentResult.ruleSetVersion,
         validationDetails: {
           preAssignmentValidation: 'PASSED',
           teamSelectionValidation: 'PASSED',
@@ -611,8 +608,9 @@ class IntelligentAssignmentService {
     
     try {
       // Calculate priority and SLA target
-      const priority = this.calculateIncidentPriority(incident);
-      const slaTarget = this.SLA_TARGETS[priority];
+      const ruleSet = await this.ruleService.getActiveRuleSet();
+      const priority = await this.calculateIncidentPriority(incident, ruleSet);
+      const slaTarget = this.getSLATarget(ruleSet, priority);
 
       // Perform assignment in a transaction-like manner
       const jobCard = await JobCard.create({
@@ -620,7 +618,8 @@ class IntelligentAssignmentService {
         team_id: selectedTeam.id,
         team_leader_id: null,
         status: 'not_started',
-        assigned_at: new Date()
+        assigned_at: new Date(),
+        rule_set_version: ruleSet.version
       });
 
       // Update team capacity
@@ -657,6 +656,8 @@ class IntelligentAssignmentService {
         priority: priority
       });
 
+      await new StatusHistoryService().record(incident, 'assigned', { userId: managerId });
+
       // Log activity
       await ActivityLog.create({
         user_id: managerId,
@@ -670,6 +671,7 @@ class IntelligentAssignmentService {
           capacityAfter: selectedTeam.currentCapacity + 1,
           priority: priority,
           slaTarget: slaTarget,
+          ruleSetVersion: ruleSet.version,
           validationPassed: true,
           assignmentTimestamp: new Date().toISOString()
         })
@@ -680,7 +682,8 @@ class IntelligentAssignmentService {
         jobCard,
         selectedTeam,
         priority,
-        slaTarget
+        slaTarget,
+        ruleSetVersion: ruleSet.version
       };
       
     } catch (error) {
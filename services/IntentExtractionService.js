@@ -0,0 +1,149 @@
+const AutomatedAssignmentService = require('./AutomatedAssignmentService');
+const IncidentCategoryService = require('./IncidentCategoryService');
+const TrackingIdService = require('./TrackingIdService');
+const TranslationService = require('./TranslationService');
+
+// Street types recognised after a street name; Afrikaans ones are also written joined to the name
+const STREET_TYPES = [
+  'road', 'rd', 'street', 'st', 'avenue', 'ave', 'drive', 'dr', 'lane', 'ln', 'crescent', 'cres',
+  'close', 'way', 'boulevard', 'blvd', 'place', 'pl', 'highway', 'hwy', 'circle', 'court', 'ct'
+];
+const JOINED_STREET_TYPES = ['straat', 'weg', 'laan', 'rylaan'];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Intent Extraction Service
+ * Works out what a citizen wants from a message typed in their own words instead of a menu
+ * number, without calling out to any service: the kind of problem from the category keywords
+ * and the assignment rules' keyword sets, a street address, and a tracking ID
+ */
+class IntentExtractionService {
+  constructor() {
+    this.assignmentService = new AutomatedAssignmentService();
+    this.categoryService = new IncidentCategoryService();
+    this.trackingIdService = new TrackingIdService();
+    this.translationService = new TranslationService();
+
+    this.progressWords = ['status', 'progress', 'update', 'check', 'track', 'what happened'];
+    this.escalateWords = ['escalate', 'complain', 'complaint', 'still', 'not fixed', 'nobody came', 'no one came'];
+
+    const streetType = `(?:${STREET_TYPES.map(type => `[${type[0].toUpperCase()}${type[0]}]${type.slice(1)}`).join('|')})\\b\\.?`;
+    const suburb = `(?:,\\s*[A-Z][\\w'’-]+(?:\\s+[A-Z][\\w'’-]+)?)?`;
+    this.addressPatterns = [
+      // "12 Main Rd", "45a church street, Soweto"
+      new RegExp(`\\b\\d+[a-zA-Z]?\\s+(?:[A-Za-z'’.-]+\\s+){0,3}?${streetType}${suburb}`),
+      // "Vilakazi Street", "12 Kerkstraat"
+      new RegExp(`\\b(?:\\d+[a-zA-Z]?\\s+)?(?:[A-Z][\\w'’-]*\\s+){1,3}${streetType}${suburb}`),
+      new RegExp(`\\b(?:\\d+[a-zA-Z]?\\s+)?[A-Z][a-z]+(?:${JOINED_STREET_TYPES.join('|')})\\b${suburb}`),
+      // "corner of Main and Church"
+      /\bcorner of\s+[^,.!?\n]+/i
+    ];
+  }
+
+  /**
+   * Check whether a text contains a word or phrase, also as the start of a longer word
+   * ("overflow" in "overflowing"), but not inside one ("tar" in "start")
+   * @param {string} text - Lowercase text
+   * @param {string} phrase - Word or phrase
+   * @returns {boolean} True if found
+   */
+  mentions(text, phrase) {
+    return new RegExp(`(^|[^a-z])${escapeRegExp(phrase.toLowerCase())}`).test(text);
+  }
+
+  /**
+   * Category whose keywords or name the message mentions most
+   * @param {string} text - Lowercase message
+   * @param {string} language - Citizen's language, for category names
+   * @returns {string|null} Category code
+   */
+  findCategory(text, language) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const category of this.categoryService.getCategories()) {
+      // "Other" is what the citizen picks when nothing fits, not something a message can mention
+      if (category.code === this.categoryService.defaultCode) continue;
+      const names = [category.name, this.translationService.categoryName(language, category)];
+      const score = category.keywords.filter(keyword => this.mentions(text, keyword)).length +
+        (names.some(name => this.mentions(text, name)) ? 1 : 0);
+      if (score > bestScore) {
+        best = category.code;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Check whether the message describes a problem the assignment rules know about
+   * @param {string} text - Message
+   * @returns {Promise<boolean>} True if any priority rule's keywords match
+   */
+  async describesProblem(text) {
+    return (await this.assignmentService.categorizeIncident({ description: text })).matchScore > 0;
+  }
+
+  /**
+   * First street address in a message
+   * @param {string} text - Message as typed
+   * @returns {string|null} Address
+   */
+  findAddress(text) {
+    for (const pattern of this.addressPatterns) {
+      const match = text.match(pattern);
+      if (match) return match[0].trim().replace(/[.,]$/, '');
+    }
+    return null;
+  }
+
+  /**
+   * First valid tracking ID in a message
+   * Only tokens with a digit or a dash are tried, so ordinary words are never taken for one
+   * @param {string} text - Message as typed
+   * @returns {string|null} Tracking ID
+   */
+  findTrackingId(text) {
+    const tokens = text.match(/\b(?:[A-Za-z]{2,4}[-\s]?[0-9A-Za-z]{7}|INC\d{13}[0-9A-Z]{1,5})\b/gi) || [];
+    for (const token of tokens) {
+      if (!/[\d-]/.test(token)) continue;
+      const parsed = this.trackingIdService.parse(token);
+      if (parsed && parsed.valid) return parsed.trackingId;
+    }
+    return null;
+  }
+
+  /**
+   * Work out what a free-text message asks for
+   * A tracking ID means a progress check, or an escalation when the message complains;
+   * a problem or an address means a new report
+   * @param {string} message - Message as typed
+   * @param {string} language - Citizen's language
+   * @returns {Promise<Object|null>} { intent: 'report'|'progress'|'escalate', entities: { category, address, trackingId } }
+   */
+  async extract(message, language) {
+    const text = String(message || '').trim();
+    if (!text) return null;
+    const lower = text.toLowerCase();
+
+    const trackingId = this.findTrackingId(text);
+    if (trackingId) {
+      const intent = this.escalateWords.some(word => this.mentions(lower, word)) ? 'escalate' : 'progress';
+      return { intent, entities: { trackingId } };
+    }
+
+    const category = this.findCategory(lower, language);
+    const address = this.findAddress(text);
+    if (category || address || await this.describesProblem(text)) {
+      return { intent: 'report', entities: { category, address } };
+    }
+
+    if (this.progressWords.some(word => this.mentions(lower, word))) {
+      return { intent: 'progress', entities: {} };
+    }
+    return null;
+  }
+}
+
+module.exports = IntentExtractionService;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Local Storage Driver
+ * Keeps files on the server's disk; downloads are served by routes/files.js
+ * through HMAC-signed, expiring URLs
+ */
+class LocalStorageDriver {
+  constructor(config = {}) {
+    this.root = path.resolve(config.root || process.env.UPLOAD_DIR || 'uploads');
+    this.signingSecret = config.signingSecret;
+    this.publicBaseUrl = config.publicBaseUrl || '';
+
+    this.contentTypes = {
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp',
+      '.pdf': 'application/pdf',
+      '.doc': 'application/msword',
+      '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    };
+  }
+
+  /**
+   * Absolute path for a key, refusing keys that escape the storage root
+   * @param {string} key - Storage key
+   * @returns {string} File path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} { stream, contentType, size } or null if missing
+   */
+  async get(key) {
+    const filePath = this.resolve(key);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (!stat.isFile()) return null;
+      return {
+        stream: fs.createReadStream(filePath),
+        contentType: this.contentTypes[path.extname(key).toLowerCase()] || 'application/octet-stream',
+        size: stat.size
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a stored file; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await fs.promises.unlink(this.resolve(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  /**
+   * Signature for a key and expiry time
+   * @param {string} key - Storage key
+   * @param {number} expires - Unix time in seconds
+   * @returns {string} Hex HMAC
+   */
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Check a signed download request
+   * @param {string} key - Storage key
+   * @param {string|number} expires - Unix time in seconds
+   * @param {string} signature - Signature from the URL
+   * @returns {boolean} True if the signature matches and has not expired
+   */
+  verify(key, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!signature || isNaN(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Expiring download URL for a key
+   * @param {string} key - Storage key
+   * @param {number} ttlSeconds - Seconds until the URL expires
+   * @returns {Promise<string>} URL
+   */
+  async getSignedUrl(key, ttlSeconds) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return `${this.publicBaseUrl}/api/files/signed/${encodeURIComponent(key)}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+
+// Where the Graph API says received media can be downloaded
+const MEDIA_HOSTS = ['lookaside.fbsbx.com'];
+
+/**
+ * Meta WhatsApp Driver
+ * Sends and receives messages through the WhatsApp Business Cloud API (graph.facebook.com)
+ */
+class MetaWhatsAppDriver {
+  constructor(config = {}) {
+    this.accessToken = config.accessToken;
+    this.phoneNumberId = config.phoneNumberId;
+    this.appSecret = config.appSecret;
+    this.verifyToken = config.verifyToken;
+    this.baseUrl = `https://graph.facebook.com/${config.apiVersion || 'v19.0'}`;
+  }
+
+  /**
+   * Call the Graph API
+   * @param {string} path - Path below the API version
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} Parsed response
+   */
+  async request(path, options = {}) {
+    const response = await fetch(`${this.baseUrl}/${path}`, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`WhatsApp Cloud API error ${response.status}: ${result.error ? result.error.message : response.statusText}`);
+    }
+    return result;
+  }
+
+  /**
+   * Send a text message
+   * @param {Object} message - { to, body }
+   * @returns {Promise<Object>} { delivered, providerId } - delivered is false when the API is not configured
+   */
+  async send({ to, body }) {
+    if (!this.accessToken || !this.phoneNumberId) {
+      return { delivered: false, providerId: null };
+    }
+
+    const result = await this.request(`${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        to: to.replace(/^\+/, ''),
+        type: 'text',
+        text: { body }
+      })
+    });
+    return { delivered: true, providerId: result.messages && result.messages[0] ? result.messages[0].id : null };
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header against the raw request body
+   * @param {Object} req - Express request with rawBody
+   * @returns {boolean} True if Meta signed the request
+   */
+  validateRequest(req) {
+    const signature = req.get('X-Hub-Signature-256') || '';
+    if (!this.appSecret || !req.rawBody || !signature.startsWith('sha256=')) return false;
+
+    const expected = crypto.createHmac('sha256', this.appSecret).update(req.rawBody).digest('hex');
+    const given = signature.slice('sha256='.length);
+    return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+  }
+
+  /**
+   * Answer Meta's webhook subscription check
+   * @param {Object} query - hub.mode, hub.verify_token and hub.challenge
+   * @returns {string|null} Challenge to echo back, or null if the token does not match
+   */
+  verifySubscription(query) {
+    if (!this.verifyToken || query['hub.mode'] !== 'subscribe' || query['hub.verify_token'] !== this.verifyToken) {
+      return null;
+    }
+    return query['hub.challenge'];
+  }
+
+  /**
+   * Headers for downloading media; Meta's media URLs need the access token, unlike Twilio's
+   * @returns {Object} Bearer token
+   */
+  mediaHeaders() {
+    return this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {};
+  }
+
+  /**
+   * Check a media URL is one of Meta's, before it is downloaded with the access token
+   * @param {string} url - Media URL looked up from the Graph API
+   * @returns {boolean} True if it may be downloaded
+   */
+  isMediaUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' && MEDIA_HOSTS.includes(parsed.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Look up the download URL of a received photo
+   * @param {string} mediaId - Media ID from the webhook
+   * @returns {Promise<string|null>} URL
+   */
+  async getMediaUrl(mediaId) {
+    try {
+      const media = await this.request(encodeURIComponent(mediaId));
+      if (!media.url || !this.isMediaUrl(media.url)) return null;
+      return media.url;
+    } catch (error) {
+      console.error('Error looking up WhatsApp media:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the messages in a webhook; one delivery can carry several, and status updates carry none
+   * @param {Object} req - Express request
+   * @returns {Promise<Array<Object>>} [{ messageId, from, text, media: [{ url, mimeType }], location }]
+   */
+  async parseInbound(req) {
+    const messages = [];
+
+    for (const entry of (req.body && req.body.entry) || []) {
+      for (const change of entry.changes || []) {
+        for (const message of (change.value && change.value.messages) || []) {
+          const parsed = {
+            messageId: message.id,
+            from: `+${String(message.from).replace(/^\+/, '')}`,
+            text: '',
+            media: [],
+            location: null
+          };
+
+          if (message.type === 'text') {
+            parsed.text = message.text.body.trim();
+          } else if (message.type === 'image') {
+            parsed.text = (message.image.caption || '').trim();
+            const url = await this.getMediaUrl(message.image.id);
+            if (url) parsed.media.push({ url, mimeType: message.image.mime_type || null });
+          } else if (message.type === 'location') {
+            parsed.location = { lat: message.location.latitude, lng: message.location.longitude };
+          } else if (message.type === 'button') {
+            parsed.text = (message.button.text || '').trim();
+          }
+
+          messages.push(parsed);
+        }
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Read the delivery updates in a webhook for messages we sent
+   * @param {Object} req - Express request
+   * @returns {Array<Object>} [{ providerMessageId, status, error }]
+   */
+  parseStatuses(req) {
+    const statuses = [];
+
+    for (const entry of (req.body && req.body.entry) || []) {
+      for (const change of entry.changes || []) {
+        for (const update of (change.value && change.value.statuses) || []) {
+          if (!['sent', 'delivered', 'read', 'failed'].includes(update.status)) continue;
+          const error = (update.errors || [])[0];
+          statuses.push({
+            providerMessageId: update.id,
+            status: update.status,
+            error: error ? `${error.code}: ${error.title || error.message || ''}`.trim() : null
+          });
+        }
+      }
+    }
+
+    return statuses;
+  }
+}
+
+module.exports = MetaWhatsAppDriver;
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// Messages "sent" by the mock driver, kept for the life of the process
+const outbox = [];
+
+/**
+ * Mock SMS Driver
+ * Records messages instead of sending them, for local development and tests
+ */
+class MockSmsDriver {
+  constructor(config = {}) {
+    this.maxMessages = config.maxMessages || 500;
+  }
+
+  /**
+   * Record a message
+   * @param {Object} message - { channel: 'sms'|'whatsapp', to, body }
+   * @returns {Promise<Object>} { delivered, providerId }
+   */
+  async send({ channel, to, body }) {
+    const providerId = `mock-${crypto.randomUUID()}`;
+    outbox.push({ id: providerId, channel, to, body, sentAt: new Date() });
+    if (outbox.length > this.maxMessages) outbox.shift();
+
+    console.log(`[mock ${channel}] message to ${to}`);
+    return { delivered: true, providerId };
+  }
+
+  /**
+   * Messages recorded so far, newest last
+   * @param {string} to - Only messages to this number
+   * @returns {Array<Object>} Recorded messages
+   */
+  getOutbox(to) {
+    return to ? outbox.filter(message => message.to === to) : [...outbox];
+  }
+
+  /**
+   * Forget all recorded messages
+   */
+  clearOutbox() {
+    outbox.length = 0;
+  }
+}
+
+module.exports = MockSmsDriver;
@@ -0,0 +1,210 @@
+const { HeldReport, ActivityLog, User } = require('../models');
+const IncidentIntakeService = require('./IncidentIntakeService');
+const IntakeProtectionService = require('./IntakeProtectionService');
+const CitizenNotificationService = require('./CitizenNotificationService');
+const ImageProcessingService = require('./ImageProcessingService');
+
+// When managers were last told about held reports, shared so a flood produces one alert
+let lastAlertAt = 0;
+
+/**
+ * Moderation Queue Service
+ * Holds suspicious citizen reports back from intake until a manager releases them,
+ * so a flood of reports does not fan out into a flood of new-incident notifications
+ */
+class ModerationQueueService {
+  constructor() {
+    this.intakeService = new IncidentIntakeService();
+    this.protectionService = new IntakeProtectionService();
+    this.citizenNotificationService = new CitizenNotificationService();
+    this.imageService = new ImageProcessingService();
+
+    this.config = {
+      alertIntervalMs: (parseInt(process.env.MODERATION_ALERT_INTERVAL_MINUTES) || 15) * 60 * 1000
+    };
+  }
+
+  /**
+   * Put a report in the moderation queue
+   * @param {Object} report - Report as it would be passed to IncidentIntakeService.submitReport
+   * @param {Object} options - { channel, ip, reasons }
+   * @returns {Promise<Object>} Created HeldReport
+   */
+  async hold(report, options = {}) {
+    const held = await HeldReport.create({
+      channel: options.channel || 'web',
+      payload: report,
+      reasons: options.reasons || [],
+      ip_address: options.ip || null,
+      contact_phone: report.contactPhone || null,
+      contact_email: report.contactEmail || null
+    });
+
+    await ActivityLog.create({
+      action: `Citizen report held for moderation: ${report.title || 'Untitled'}`,
+      table_name: 'held_reports',
+      reference_id: held.id,
+      details: JSON.stringify({ type: 'report_held', channel: held.channel, reasons: held.reasons })
+    });
+
+    await this.alertManagers();
+    return held;
+  }
+
+  /**
+   * Tell managers that reports are waiting, at most once per alert interval
+   */
+  async alertManagers() {
+    if (Date.now() - lastAlertAt < this.config.alertIntervalMs) return;
+    lastAlertAt = Date.now();
+
+    const pending = await HeldReport.count({ where: { status: 'pending' } });
+    global.sendRoleNotification('manager', 'reports-held', {
+      type: 'warning',
+      title: 'Reports Awaiting Moderation',
+      message: `${pending} citizen report${pending === 1 ? ' is' : 's are'} waiting for review in the moderation queue`,
+      related_type: 'moderation'
+    });
+  }
+
+  /**
+   * List held reports
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>} Held reports, oldest first
+   */
+  async list(filters = {}) {
+    return HeldReport.findAll({
+      where: { status: filters.status || 'pending' },
+      include: [{ model: User, as: 'reviewer', attributes: ['id', 'name'] }],
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Load a held report that is still waiting for review
+   * @param {string} heldReportId - Held report ID
+   * @returns {Promise<Object>} { success, held } or { success: false, code, error }
+   */
+  async findPending(heldReportId) {
+    const held = await HeldReport.findByPk(heldReportId);
+    if (!held) {
+      return { success: false, code: 'HELD_REPORT_NOT_FOUND', error: 'Held report not found' };
+    }
+    if (held.status !== 'pending') {
+      return { success: false, code: 'ALREADY_REVIEWED', error: `This report has already been ${held.status}` };
+    }
+    return { success: true, held };
+  }
+
+  /**
+   * Mark a pending held report as reviewed, in one conditional update so a report released or
+   * rejected twice at the same time is only handled once
+   * @param {string} heldReportId - Held report ID
+   * @param {string} status - 'released' or 'rejected'
+   * @param {string} userId - Reviewing manager
+   * @param {string} note - Optional review note
+   * @returns {Promise<Object>} { success, held } or { success: false, code, error }
+   */
+  async claim(heldReportId, status, userId, note) {
+    const found = await this.findPending(heldReportId);
+    if (!found.success) return found;
+
+    const [claimed] = await HeldReport.update({
+      status,
+      reviewed_by: userId,
+      reviewed_at: new Date(),
+      review_note: note || null
+    }, { where: { id: heldReportId, status: 'pending' } });
+
+    if (claimed === 0) {
+      return { success: false, code: 'ALREADY_REVIEWED', error: 'This report has already been reviewed' };
+    }
+    return { success: true, held: await found.held.reload() };
+  }
+
+  /**
+   * Release a held report into normal intake
+   * @param {string} heldReportId - Held report ID
+   * @param {string} userId - Reviewing manager
+   * @param {string} note - Optional review note
+   * @returns {Promise<Object>} { success, held, incident, trackingId, joinedExisting } or { success: false, code, error }
+   */
+  async release(heldReportId, userId, note = null) {
+    const claimed = await this.claim(heldReportId, 'released', userId, note);
+    if (!claimed.success) return claimed;
+    const { held } = claimed;
+
+    let result;
+    try {
+      result = await this.intakeService.submitReport(held.payload, { channel: held.channel });
+    } catch (error) {
+      // Put the report back in the queue so it can be released again
+      await held.update({ status: 'pending', reviewed_by: null, reviewed_at: null, review_note: null });
+      throw error;
+    }
+
+    await held.update({ incident_id: result.incident.id });
+
+    await ActivityLog.create({
+      user_id: userId,
+      action: `Released held report into intake: ${result.incident.title}`,
+      table_name: 'held_reports',
+      reference_id: held.id,
+    });
+
+    // The reporter only got an acknowledgement, so send them their reference number now
+    this.citizenNotificationService
+      .notifyReporter({ channel: held.channel, contact_phone: held.contact_phone, contact_email: held.contact_email }, result.incident, 'report_accepted')
+      .catch(error => console.error('Error notifying reporter of released report:', error));
+
+    return {
+      success: true,
+      held,
+      incident: result.incident,
+      trackingId: result.trackingId,
+      joinedExisting: result.joinedExisting
+    };
+  }
+
+  /**
+   * Reject a held report, optionally blocking the reporter
+   * @param {string} heldReportId - Held report ID
+   * @param {string} userId - Reviewing manager
+   * @param {Object} options - { note, block: also block the reporter's IP, phone and email }
+   * @returns {Promise<Object>} { success, held, blocks } or { success: false, code, error }
+   */
+  async reject(heldReportId, userId, options = {}) {
+    const claimed = await this.claim(heldReportId, 'rejected', userId, options.note);
+    if (!claimed.success) return claimed;
+    const { held } = claimed;
+
+    // Photos uploaded with the report are not kept; remote WhatsApp media is left alone
+    for (const attachment of held.payload.attachments || []) {
+      if (attachment.path) await this.imageService.removeImage(attachment.path);
+    }
+
+    const blocks = [];
+    if (options.block) {
+      const identities = { ip: held.ip_address, phone: held.contact_phone, email: held.contact_email };
+      for (const [type, value] of Object.entries(identities)) {
+        if (!value) continue;
+        const result = await this.protectionService.block(type, value, {
+          reason: options.note || 'Rejected in moderation',
+          userId
+        });
+        if (result.success) blocks.push(result.block);
+      }
+    }
+
+    await ActivityLog.create({
+      user_id: userId,
+      action: `Rejected held report${blocks.length > 0 ? ' and blocked the reporter' : ''}`,
+      table_name: 'held_reports',
+      reference_id: held.id,
+    });
+
+    return { success: true, held, blocks };
+  }
+}
+
+module.exports = ModerationQueueService;
@@ -0,0 +1,265 @@
+const { Op } = require('sequelize');
+const { Incident, IncidentStatusHistory } = require('../models');
+const IncidentCategoryService = require('./IncidentCategoryService');
+const IncidentIntakeService = require('./IncidentIntakeService');
+const GeoService = require('./GeoService');
+const AttachmentService = require('./AttachmentService');
+const TrackingIdService = require('./TrackingIdService');
+
+/**
+ * Open311 Service
+ * Maps incidents onto the Open311 GeoReport v2 service and service request formats
+ * so partner apps and 311 aggregators can report and look up incidents without a custom adapter
+ */
+class Open311Service {
+  constructor() {
+    this.categoryService = new IncidentCategoryService();
+    this.intakeService = new IncidentIntakeService();
+    this.geoService = new GeoService();
+    this.attachmentService = new AttachmentService();
+    this.trackingIdService = new TrackingIdService();
+
+    this.config = {
+      agencyResponsible: process.env.OPEN311_AGENCY || null,
+      jurisdictionId: process.env.OPEN311_JURISDICTION_ID || null,
+      apiKeys: (process.env.OPEN311_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+      defaultRangeDays: parseInt(process.env.OPEN311_DEFAULT_RANGE_DAYS) || 90,
+      maxResults: parseInt(process.env.OPEN311_MAX_RESULTS) || 1000,
+      mediaUrlTtl: parseInt(process.env.OPEN311_MEDIA_URL_TTL) || 24 * 60 * 60 // 1 day
+    };
+
+    this.closedStatuses = ['Completed', 'Cancelled'];
+  }
+
+  /**
+   * Check the jurisdiction_id parameter against the configured jurisdiction
+   * @param {string} jurisdictionId - Requested jurisdiction
+   * @returns {boolean} True if the request is for this jurisdiction
+   */
+  isKnownJurisdiction(jurisdictionId) {
+    return !jurisdictionId || !this.config.jurisdictionId || jurisdictionId === this.config.jurisdictionId;
+  }
+
+  /**
+   * Check an api_key for creating service requests
+   * Any key is accepted when no keys are configured
+   * @param {string} apiKey - Key sent by the client
+   * @returns {boolean} True if the key is accepted
+   */
+  isValidApiKey(apiKey) {
+    return this.config.apiKeys.length === 0 || this.config.apiKeys.includes(apiKey);
+  }
+
+  /**
+   * Open311 service list built from the incident categories
+   * @returns {Array} Service definitions
+   */
+  getServices() {
+    return this.categoryService.getCategories().map(category => ({
+      service_code: category.code,
+      service_name: category.name,
+      description: category.description,
+      metadata: false,
+      type: 'realtime',
+      keywords: category.keywords.join(','),
+      group: 'Sewage and Water'
+    }));
+  }
+
+  /**
+   * Open311 status for an incident status
+   * @param {string} status - Incident status
+   * @returns {string} 'open' or 'closed'
+   */
+  toOpen311Status(status) {
+    return this.closedStatuses.includes(status) ? 'closed' : 'open';
+  }
+
+  /**
+   * Incident statuses covered by Open311 statuses
+   * @param {Array<string>} statuses - 'open' and/or 'closed'
+   * @returns {Array<string>} Incident statuses
+   */
+  toIncidentStatuses(statuses) {
+    const all = Incident.rawAttributes.status.values;
+    const matching = [];
+    if (statuses.includes('open')) matching.push(...all.filter(status => !this.closedStatuses.includes(status)));
+    if (statuses.includes('closed')) matching.push(...this.closedStatuses);
+    return matching;
+  }
+
+  /**
+   * Expiring public URL for the first citizen photo of an incident
+   * @param {Array<string>} imagePaths - Image keys or URLs
+   * @param {string} baseUrl - Base URL of this server, used when storage returns relative URLs
+   * @returns {Promise<string|null>} Media URL
+   */
+  async mediaUrlFor(imagePaths, baseUrl) {
+    if (!imagePaths || imagePaths.length === 0) return null;
+
+    const url = await this.attachmentService.imageService.storage.getUrl(imagePaths[0], this.config.mediaUrlTtl);
+    return url.startsWith('/') ? `${baseUrl}${url}` : url;
+  }
+
+  /**
+   * Latest public note for each incident, used as status_notes
+   * @param {Array<string>} incidentIds - Incident IDs
+   * @returns {Promise<Map>} incident ID -> note
+   */
+  async getLatestNotes(incidentIds) {
+    const notes = new Map();
+    if (incidentIds.length === 0) return notes;
+
+    const history = await IncidentStatusHistory.findAll({
+      where: {
+        incident_id: { [Op.in]: incidentIds },
+        public_note: { [Op.ne]: null }
+      },
+      order: [['created_at', 'ASC']]
+    });
+
+    history.forEach(entry => notes.set(entry.incident_id, entry.public_note));
+    return notes;
+  }
+
+  /**
+   * Format an incident as an Open311 service request
+   * Contact details are never included
+   * @param {Object} incident - Incident instance
+   * @param {Object} options - { statusNotes, imagePaths, baseUrl }
+   * @returns {Promise<Object>} Service request
+   */
+  async formatRequest(incident, options = {}) {
+    const category = this.categoryService.findByCode(this.categoryService.categoryOf(incident));
+    const coordinates = this.geoService.resolveCoordinates(incident);
+
+    return {
+      service_request_id: incident.tracking_id,
+      status: this.toOpen311Status(incident.status),
+      status_notes: options.statusNotes || null,
+      service_name: category.name,
+      service_code: category.code,
+      description: incident.description || null,
+      agency_responsible: this.config.agencyResponsible,
+      service_notice: null,
+      requested_datetime: incident.created_at ? new Date(incident.created_at).toISOString() : null,
+      updated_datetime: incident.updated_at ? new Date(incident.updated_at).toISOString() : null,
+      expected_datetime: null,
+      address: incident.location || null,
+      address_id: null,
+      zipcode: null,
+      lat: coordinates ? coordinates.latitude : null,
+      long: coordinates ? coordinates.longitude : null,
+      media_url: await this.mediaUrlFor(options.imagePaths, options.baseUrl)
+    };
+  }
+
+  /**
+   * Search service requests
+   * @param {Object} filters - { serviceRequestIds, serviceCodes, statuses, startDate, endDate }
+   * @param {string} baseUrl - Base URL of this server
+   * @returns {Promise<Array>} Service requests, newest first
+   */
+  async findRequests(filters, baseUrl) {
+    const where = {};
+    const byId = filters.serviceRequestIds && filters.serviceRequestIds.length > 0;
+
+    if (byId) {
+      // Lookups by ID ignore every other filter, as the spec requires
+      where.tracking_id = { [Op.in]: filters.serviceRequestIds };
+    } else {
+      const endDate = filters.endDate || new Date();
+      const startDate = filters.startDate ||
+        new Date(endDate.getTime() - this.config.defaultRangeDays * 24 * 60 * 60 * 1000);
+      where.created_at = { [Op.between]: [startDate, endDate] };
+
+      if (filters.serviceCodes && filters.serviceCodes.length > 0) {
+        where.category = { [Op.in]: filters.serviceCodes };
+      }
+      if (filters.statuses && filters.statuses.length > 0) {
+        where.status = { [Op.in]: this.toIncidentStatuses(filters.statuses) };
+      }
+    }
+
+    const incidents = await Incident.findAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: this.config.maxResults
+    });
+
+    const notes = await this.getLatestNotes(incidents.map(incident => incident.id));
+    const imagePaths = await this.attachmentService.getImagePaths(incidents, { citizenOnly: true });
+    return Promise.all(incidents.map(incident => this.formatRequest(incident, {
+      statusNotes: notes.get(incident.id),
+      imagePaths: imagePaths.get(incident.id),
+      baseUrl
+    })));
+  }
+
+  /**
+   * Get a single service request
+   * @param {string} serviceRequestId - Tracking ID
+   * @param {string} baseUrl - Base URL of this server
+   * @returns {Promise<Object|null>} Service request
+   */
+  async getRequest(serviceRequestId, baseUrl) {
+    const incident = await Incident.findOne({ where: { tracking_id: this.trackingIdService.normalize(serviceRequestId) } });
+    if (!incident) return null;
+
+    const notes = await this.getLatestNotes([incident.id]);
+    const imagePaths = await this.attachmentService.getImagePaths([incident], { citizenOnly: true });
+    return this.formatRequest(incident, {
+      statusNotes: notes.get(incident.id),
+      imagePaths: imagePaths.get(incident.id),
+      baseUrl
+    });
+  }
+
+  /**
+   * Create a service request through the normal intake path
+   * @param {Object} params - Open311 POST parameters
+   * @returns {Promise<Object>} { success, request } or { success: false, code, error }
+   */
+  async createRequest(params) {
+    const category = this.categoryService.findByCode(params.service_code);
+    if (!category) {
+      return { success: false, code: 'INVALID_SERVICE_CODE', error: 'service_code not found' };
+    }
+
+    const latitude = params.lat !== undefined && params.lat !== '' ? parseFloat(params.lat) : null;
+    const longitude = params.long !== undefined && params.long !== '' ? parseFloat(params.long) : null;
+    const hasCoordinates = latitude !== null && longitude !== null && this.geoService.isValidCoordinate(latitude, longitude);
+
+    if (!hasCoordinates && !params.address_string) {
+      return { success: false, code: 'LOCATION_REQUIRED', error: 'lat and long, or address_string, is required' };
+    }
+
+    const contactName = [params.first_name, params.last_name].filter(Boolean).join(' ').trim();
+
+    const result = await this.intakeService.submitReport({
+      title: category.name,
+      description: params.description || null,
+      category: category.code,
+      location: params.address_string || `${latitude},${longitude}`,
+      latitude: hasCoordinates ? latitude : null,
+      longitude: hasCoordinates ? longitude : null,
+      contactName: contactName || null,
+      contactPhone: params.phone || null,
+      contactEmail: params.email || null,
+      attachments: params.media_url ? [{ url: params.media_url }] : []
+    }, { channel: 'open311' });
+
+    return {
+      success: true,
+      request: {
+        service_request_id: result.trackingId,
+        service_notice: result.joinedExisting
+          ? 'This problem has already been reported. Your request has been added to the existing report.'
+          : null,
+        account_id: null
+      }
+    };
+  }
+}
+
+module.exports = Open311Service;
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, Incident, IncidentReport, VerificationCode } = require('../models');
+const IncidentMergeService = require('./IncidentMergeService');
+const CitizenNotificationService = require('./CitizenNotificationService');
+const SmsService = require('./SmsService');
+const TranslationService = require('./TranslationService');
+
+/**
+ * Reporter Verification Service
+ * Proves that a citizen reported an incident before they may escalate it or add to it:
+ * a one-time code goes to a phone number on the report, and a correct code is exchanged
+ * for a short-lived verification token. WhatsApp senders are verified by their number
+ */
+class ReporterVerificationService {
+  constructor() {
+    this.mergeService = new IncidentMergeService();
+    this.citizenNotificationService = new CitizenNotificationService();
+    this.smsService = new SmsService();
+    this.translationService = new TranslationService();
+
+    this.config = {
+      codeLength: parseInt(process.env.OTP_LENGTH) || 6,
+      codeTtlMinutes: parseInt(process.env.OTP_TTL_MINUTES) || 10,
+      maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+      resendSeconds: parseInt(process.env.OTP_RESEND_SECONDS) || 60,
+      tokenTtlMinutes: parseInt(process.env.REPORTER_VERIFICATION_TTL_MINUTES) || 30,
+      maxListedReports: parseInt(process.env.WHATSAPP_MY_REPORTS_LIMIT) || 9,
+      secret: process.env.REPORTER_VERIFICATION_SECRET || process.env.JWT_SECRET
+    };
+  }
+
+  /**
+   * Phone numbers of everyone who reported an incident, with the channel they used
+   * @param {Object} incident - Incident instance
+   * @returns {Promise<Array>} Unique { phone, channel } entries
+   */
+  async getReporterPhones(incident) {
+    const linkedReports = await IncidentReport.findAll({ where: { incident_id: incident.id } });
+    const reporters = [
+      { phone: incident.contact_phone, channel: incident.intake_channel },
+      ...linkedReports.map(report => ({ phone: report.contact_phone, channel: report.channel }))
+    ];
+
+    const phones = new Map();
+    for (const reporter of reporters) {
+      const phone = this.citizenNotificationService.normalizePhone(reporter.phone);
+      if (phone && !phones.has(phone)) phones.set(phone, { phone, channel: reporter.channel });
+    }
+    return [...phones.values()];
+  }
+
+  /**
+   * Check whether a phone number is on an incident's reports
+   * @param {Object} incident - Incident instance
+   * @param {string} phone - Phone number, e.g. the WhatsApp sender
+   * @returns {Promise<boolean>} True if the number reported the incident
+   */
+  async isReporterPhone(incident, phone) {
+    const normalized = this.citizenNotificationService.normalizePhone(phone);
+    const phones = await this.getReporterPhones(incident);
+    return phones.some(reporter => reporter.phone === normalized);
+  }
+
+  /**
+   * Incidents reported from a phone number, including reports that joined or were merged into another incident
+   * @param {string} phone - Phone number, e.g. the WhatsApp sender
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} [{ trackingId, incident }], most recently updated first; trackingId is
+   *   the ID the citizen was given and incident the one staff work on
+   */
+  async getReportedIncidents(phone, options = {}) {
+    const normalized = this.citizenNotificationService.normalizePhone(phone);
+    if (!normalized) return [];
+
+    // Merged duplicates are skipped here; their reporters are listed on the primary below
+    const own = await Incident.findAll({
+      where: { reporter_phone: normalized, merged_into_id: null }
+    });
+    const linked = await IncidentReport.findAll({
+      where: { reporter_phone: normalized },
+      include: [{ model: Incident }],
+      order: [['created_at', 'ASC']]
+    });
+
+    const reports = new Map();
+    for (const incident of own) {
+      reports.set(incident.id, { trackingId: incident.tracking_id, incident });
+    }
+    for (const report of linked) {
+      if (report.Incident && !reports.has(report.Incident.id)) {
+        reports.set(report.Incident.id, { trackingId: report.tracking_id || report.Incident.tracking_id, incident: report.Incident });
+      }
+    }
+
+    return [...reports.values()]
+      .sort((a, b) => new Date(b.incident.updated_at) - new Date(a.incident.updated_at))
+      .slice(0, options.limit || this.config.maxListedReports);
+  }
+
+  /**
+   * Hide all but the last four digits of a phone number
+   * @param {string} phone - Phone number
+   * @returns {string} Masked number
+   */
+  maskPhone(phone) {
+    return phone.length <= 4 ? phone : `${'*'.repeat(phone.length - 4)}${phone.slice(-4)}`;
+  }
+
+  /**
+   * HMAC of a code, so codes are never stored in the clear
+   * @param {string} code - One-time code
+   * @returns {string} Hex digest
+   */
+  hashCode(code) {
+    return crypto.createHmac('sha256', this.config.secret).update(String(code)).digest('hex');
+  }
+
+  /**
+   * Send a one-time code to a phone number on the report
+   * @param {string} trackingId - Incident tracking ID
+   * @param {Object} options - { phone: which reporter number (defaults to the incident's), channel: 'sms'|'whatsapp', language: language of the message }
+   * @returns {Promise<Object>} { success, verificationId, maskedPhone, channel, expiresInSeconds } or { success: false, code, error }
+   */
+  async requestCode(trackingId, options = {}) {
+    const resolved = trackingId ? await this.mergeService.resolveTrackingId(String(trackingId).trim().toUpperCase()) : null;
+    if (!resolved) {
+      return { success: false, code: 'INCIDENT_NOT_FOUND', error: 'Incident not found' };
+    }
+    const incident = resolved.incident;
+
+    const reporters = await this.getReporterPhones(incident);
+    if (reporters.length === 0) {
+      return { success: false, code: 'NO_CONTACT_PHONE', error: 'This report has no phone number to verify' };
+    }
+
+    let reporter = reporters[0];
+    if (options.phone) {
+      const phone = this.citizenNotificationService.normalizePhone(options.phone);
+      reporter = reporters.find(entry => entry.phone === phone);
+      if (!reporter) {
+        return { success: false, code: 'PHONE_NOT_ON_REPORT', error: 'This phone number is not on the report' };
+      }
+    }
+
+    const channel = options.channel || (reporter.channel === 'whatsapp' ? 'whatsapp' : 'sms');
+    if (!this.smsService.channels.includes(channel)) {
+      return { success: false, code: 'INVALID_CHANNEL', error: `Channel must be one of: ${this.smsService.channels.join(', ')}` };
+    }
+
+    const latest = await VerificationCode.findOne({
+      where: { incident_id: incident.id, phone: reporter.phone },
+      order: [['created_at', 'DESC']]
+    });
+    if (latest && Date.now() - new Date(latest.created_at).getTime() < this.config.resendSeconds * 1000) {
+      return { success: false, code: 'RESEND_TOO_SOON', error: `Please wait ${this.config.resendSeconds} seconds before requesting another code` };
+    }
+
+    const code = crypto.randomInt(0, 10 ** this.config.codeLength).toString().padStart(this.config.codeLength, '0');
+    const verification = await VerificationCode.create({
+      incident_id: incident.id,
+      phone: reporter.phone,
+      channel,
+      code_hash: this.hashCode(code),
+      expires_at: new Date(Date.now() + this.config.codeTtlMinutes * 60 * 1000)
+    });
+
+    const body = this.translationService.translate(options.language, 'sms.verification_code', {
+      trackingId: incident.tracking_id,
+      code,
+      minutes: this.config.codeTtlMinutes
+    });
+    let delivered = false;
+    try {
+      delivered = (await this.smsService.send(reporter.phone, body, { channel })).delivered;
+    } catch (error) {
+      console.error(`Error sending ${channel} verification code:`, error);
+    }
+
+    if (!delivered) {
+      await verification.destroy();
+      return { success: false, code: 'DELIVERY_FAILED', error: 'The verification code could not be sent. Please try again later.' };
+    }
+
+    return {
+      success: true,
+      verificationId: verification.id,
+      maskedPhone: this.maskPhone(reporter.phone),
+      channel,
+      expiresInSeconds: this.config.codeTtlMinutes * 60
+    };
+  }
+
+  /**
+   * Check a one-time code and issue a verification token
+   * @param {string} verificationId - ID returned by requestCode
+   * @param {string} code - Code the reporter received
+   * @returns {Promise<Object>} { success, verificationToken, expiresInSeconds } or { success: false, code, error }
+   */
+  async confirmCode(verificationId, code) {
+    const verification = verificationId ? await VerificationCode.findByPk(verificationId) : null;
+    if (!verification || verification.verified_at) {
+      return { success: false, code: 'VERIFICATION_NOT_FOUND', error: 'Verification request not found. Please request a new code.' };
+    }
+    if (new Date(verification.expires_at) < new Date()) {
+      return { success: false, code: 'CODE_EXPIRED', error: 'This code has expired. Please request a new code.' };
+    }
+
+    // Count the attempt before comparing, in one conditional update, so guesses sent in
+    // parallel cannot all pass the limit before any of them is counted
+    const [counted] = await VerificationCode.update(
+      { attempts: sequelize.literal('attempts + 1') },
+      { where: { id: verification.id, verified_at: null, attempts: { [Op.lt]: this.config.maxAttempts } } }
+    );
+    if (counted === 0) {
+      return { success: false, code: 'TOO_MANY_ATTEMPTS', error: 'Too many incorrect codes. Please request a new code.' };
+    }
+
+    const expected = Buffer.from(verification.code_hash, 'hex');
+    const actual = Buffer.from(this.hashCode(String(code || '').trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      await verification.reload();
+      const attemptsRemaining = Math.max(0, this.config.maxAttempts - verification.attempts);
+      return { success: false, code: 'INVALID_CODE', error: 'Incorrect code', attemptsRemaining };
+    }
+
+    // A code is exchanged for a token once, even when it is sent twice at the same time
+    const [verified] = await VerificationCode.update(
+      { verified_at: new Date() },
+      { where: { id: verification.id, verified_at: null } }
+    );
+    if (verified === 0) {
+      return { success: false, code: 'VERIFICATION_NOT_FOUND', error: 'Verification request not found. Please request a new code.' };
+    }
+
+    const verificationToken = jwt.sign(
+      { type: 'reporter_verification', incidentId: verification.incident_id, phone: verification.phone },
+      this.config.secret,
+      { expiresIn: this.config.tokenTtlMinutes * 60 }
+    );
+
+    return { success: true, verificationToken, expiresInSeconds: this.config.tokenTtlMinutes * 60 };
+  }
+
+  /**
+   * Check a verification token against the incident a tracking ID resolves to
+   * Tokens stay valid when the incident they were issued for is later merged
+   * @param {string} token - Verification token
+   * @param {Object} incident - Incident the reporter is acting on (after merge resolution)
+   * @returns {Promise<Object|null>} { incidentId, phone } or null if the token does not cover the incident
+   */
+  async verifyToken(token, incident) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.config.secret);
+    } catch (error) {
+      return null;
+    }
+    if (payload.type !== 'reporter_verification') return null;
+
+    if (payload.incidentId !== incident.id) {
+      const verifiedIncident = await this.mergeService.resolveIncident(payload.incidentId);
+      if (!verifiedIncident || verifiedIncident.id !== incident.id) return null;
+    }
+
+    return { incidentId: incident.id, phone: payload.phone };
+  }
+}
+
+module.exports = ReporterVerificationService;
@@ -0,0 +1,75 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3 Storage Driver
+ * Works with AWS S3 and S3-compatible stores such as MinIO; set an endpoint and
+ * path-style addressing for the latter. Downloads use presigned URLs straight from the bucket
+ */
+class S3StorageDriver {
+  constructor(config = {}) {
+    this.bucket = config.bucket;
+    this.client = new S3Client({
+      region: config.region || 'us-east-1',
+      endpoint: config.endpoint || undefined,
+      forcePathStyle: !!config.forcePathStyle,
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+        : undefined
+    });
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   */
+  async put(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType || 'application/octet-stream'
+    }));
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} { stream, contentType, size } or null if missing
+   */
+  async get(key) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        stream: object.Body,
+        contentType: object.ContentType || 'application/octet-stream',
+        size: object.ContentLength
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  /**
+   * Expiring presigned download URL
+   * @param {string} key - Storage key
+   * @param {number} ttlSeconds - Seconds until the URL expires
+   * @returns {Promise<string>} URL
+   */
+  async getSignedUrl(key, ttlSeconds) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn: ttlSeconds });
+  }
+}
+
+module.exports = S3StorageDriver;
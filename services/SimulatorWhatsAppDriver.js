@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// Messages "sent" by the simulator, kept for the life of the process
+const outbox = [];
+
+// Sends still to fail, to try out the retries
+let failuresLeft = 0;
+
+/**
+ * Simulator WhatsApp Driver
+ * Records outbound messages instead of sending them, so the bot can be used offline through
+ * the developer endpoints in routes/whatsapp.js
+ */
+class SimulatorWhatsAppDriver {
+  constructor(config = {}) {
+    this.maxMessages = config.maxMessages || 500;
+  }
+
+  /**
+   * Record a message
+   * @param {Object} message - { to, body }
+   * @returns {Promise<Object>} { delivered, providerId }
+   */
+  async send({ to, body }) {
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      throw new Error('Simulated send failure');
+    }
+
+    const providerId = `sim-${crypto.randomUUID()}`;
+    outbox.push({ id: providerId, to, body, sentAt: new Date() });
+    if (outbox.length > this.maxMessages) outbox.shift();
+
+    console.log(`[whatsapp simulator] message to ${to}`);
+    return { delivered: true, providerId };
+  }
+
+  /**
+   * The simulator has no signature; its webhook is only open when the simulator was chosen
+   * explicitly and the server is not running in production
+   * @returns {boolean} True when simulated webhooks are allowed
+   */
+  validateRequest() {
+    return process.env.WHATSAPP_PROVIDER === 'simulator' && process.env.NODE_ENV !== 'production';
+  }
+
+  /**
+   * The simulator only takes photos as data: URLs, so no credentials are needed
+   * @returns {Object} No headers
+   */
+  mediaHeaders() {
+    return {};
+  }
+
+  /**
+   * Only data: URLs are downloaded, so simulated messages cannot make the server fetch other addresses
+   * @param {string} url - Media URL from an injected message
+   * @returns {boolean} True for data: URLs
+   */
+  isMediaUrl(url) {
+    return typeof url === 'string' && url.startsWith('data:');
+  }
+
+  /**
+   * Read an injected message
+   * Photos are given as data: URLs in media: [{ url, mimeType }], or a single mediaUrl and mediaType
+   * A messageId can be given to repeat a webhook
+   * @param {Object} req - Express request with { messageId, from, body, media, mediaUrl, mediaType, latitude, longitude }
+   * @returns {Promise<Array<Object>>} [{ messageId, from, text, media: [{ url, mimeType }], location }]
+   */
+  async parseInbound(req) {
+    const { from, body, media, mediaUrl, mediaType, latitude, longitude } = req.body || {};
+    if (!from) return [];
+
+    const items = Array.isArray(media) ? media : (mediaUrl ? [{ url: mediaUrl, mimeType: mediaType }] : []);
+
+    return [{
+      messageId: req.body.messageId ? String(req.body.messageId) : `sim-${crypto.randomUUID()}`,
+      from: String(from).trim(),
+      text: body ? String(body).trim() : '',
+      media: items.filter(item => item && item.url).map(item => ({ url: String(item.url), mimeType: item.mimeType || null })),
+      location: latitude !== undefined && longitude !== undefined ? { lat: latitude, lng: longitude } : null
+    }];
+  }
+
+  /**
+   * Read an injected delivery update
+   * @param {Object} req - Express request with { messageId, status, error }
+   * @returns {Array<Object>} [{ providerMessageId, status, error }]
+   */
+  parseStatuses(req) {
+    const { messageId, status, error } = req.body || {};
+    if (!messageId || !['sent', 'delivered', 'read', 'failed'].includes(status)) return [];
+    return [{ providerMessageId: String(messageId), status, error: error ? String(error) : null }];
+  }
+
+  /**
+   * Make the next sends fail
+   * @param {number} count - Number of sends to fail
+   */
+  failNextSends(count) {
+    failuresLeft = Math.max(0, parseInt(count) || 0);
+  }
+
+  /**
+   * Messages recorded so far, newest last
+   * @param {string} to - Only messages to this number
+   * @returns {Array<Object>} Recorded messages
+   */
+  getOutbox(to) {
+    return to ? outbox.filter(message => message.to === to) : [...outbox];
+  }
+
+  /**
+   * Forget all recorded messages
+   */
+  clearOutbox() {
+    outbox.length = 0;
+  }
+}
+
+module.exports = SimulatorWhatsAppDriver;
@@ -0,0 +1,64 @@
+const TwilioSmsDriver = require('./TwilioSmsDriver');
+const MockSmsDriver = require('./MockSmsDriver');
+const WhatsAppService = require('./WhatsAppService');
+
+/**
+ * SMS Service
+ * Front for the configured text message provider. Twilio is used in production;
+ * the mock driver records messages so codes can be read back locally and in tests, and is only
+ * used when SMS_PROVIDER=mock is set outside production. Without a provider nothing is sent.
+ * WhatsApp messages go through the configured WhatsApp provider instead
+ */
+class SmsService {
+  constructor() {
+    this.config = {
+      provider: process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : null),
+      twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        smsFrom: process.env.TWILIO_SMS_FROM
+      }
+    };
+
+    this.channels = ['sms', 'whatsapp'];
+    this.driver = null;
+    if (this.config.provider === 'twilio') {
+      this.driver = new TwilioSmsDriver(this.config.twilio);
+    } else if (this.config.provider === 'mock' && process.env.NODE_ENV !== 'production') {
+      this.driver = new MockSmsDriver();
+    }
+    this.whatsappService = new WhatsAppService();
+  }
+
+  /**
+   * Send a text message
+   * @param {string} to - Phone number in international format
+   * @param {string} body - Message text
+   * @param {Object} options - { channel: 'sms'|'whatsapp' }
+   * @returns {Promise<Object>} { delivered, providerId } - delivered is false when no provider is configured
+   */
+  async send(to, body, options = {}) {
+    const channel = options.channel || 'sms';
+    if (!this.channels.includes(channel)) {
+      throw new Error(`Unsupported SMS channel '${channel}'`);
+    }
+    if (channel === 'whatsapp') {
+      return this.whatsappService.send(to, body);
+    }
+    if (!this.driver) {
+      console.error(`No SMS provider is configured; ${channel} message to ${to} was not sent`);
+      return { delivered: false, providerId: null };
+    }
+    return this.driver.send({ channel, to, body });
+  }
+
+  /**
+   * Whether messages are recorded by the mock driver instead of being sent
+   * @returns {boolean} True when the simulator can be used
+   */
+  isSimulated() {
+    return this.driver instanceof MockSmsDriver;
+  }
+}
+
+module.exports = SmsService;
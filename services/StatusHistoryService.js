@@ -0,0 +1,132 @@
+const { IncidentStatusHistory } = require('../models');
+const CitizenNotificationService = require('./CitizenNotificationService');
+
+/**
+ * Status History Service
+ * Records every incident state change and builds the public-safe timeline
+ * shown to citizens through their tracking ID
+ */
+class StatusHistoryService {
+  constructor() {
+    // Public timeline events and the wording citizens see
+    this.events = {
+      reported: 'Incident reported',
+      verified: 'Verified - awaiting team assignment',
+      assigned: 'Assigned to a field team',
+      in_progress: 'Work in progress',
+      completed: 'Work completed',
+      escalated: 'Escalated for management review',
+      cancelled: 'Incident closed',
+      merged: 'Merged with an existing report of the same incident'
+    };
+
+    this.statusToEvent = {
+      'Not Started': 'reported',
+      'verified': 'verified',
+      'In Progress': 'in_progress',
+      'Completed': 'completed',
+      'Cancelled': 'cancelled',
+      'escalated': 'escalated'
+    };
+  }
+
+  /**
+   * Map an incident status to its timeline event
+   * @param {string} status - Incident status
+   * @returns {string|null} Timeline event
+   */
+  eventForStatus(status) {
+    return this.statusToEvent[status] || null;
+  }
+
+  /**
+   * Record a timeline event for an incident and let the reporters know about it
+   * Failures are logged and swallowed so history never blocks the status change itself
+   * @param {Object|string} incident - Incident instance or ID
+   * @param {string} event - One of the timeline events
+   * @param {Object} options - { status, userId, publicNote, transaction }; within a transaction
+   *   reporters are told once it commits
+   * @returns {Promise<Object|null>} Created history entry
+   */
+  async record(incident, event, options = {}) {
+    try {
+      if (!this.events[event]) {
+        throw new Error(`Unknown status history event '${event}'`);
+      }
+
+      const incidentId = typeof incident === 'string' ? incident : incident.id;
+      const status = options.status || (typeof incident === 'object' ? incident.status : null);
+      const publicNote = options.publicNote && options.publicNote.trim() ? options.publicNote.trim() : null;
+
+      const entry = await IncidentStatusHistory.create({
+        incident_id: incidentId,
+        event,
+        status,
+        public_note: publicNote,
+        changed_by: options.userId || null
+      }, { transaction: options.transaction });
+
+      // Reporter notifications go out in the background, like staff notifications
+      const notify = () => new CitizenNotificationService()
+        .notifyStatusChange(incident, event, { publicNote })
+        .catch(error => console.error('Error notifying reporters:', error));
+      if (options.transaction) {
+        options.transaction.afterCommit(notify);
+      } else {
+        notify();
+      }
+
+      return entry;
+    } catch (error) {
+      console.error('Error recording status history:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record the timeline event matching a status change
+   * @param {Object|string} incident - Incident instance or ID
+   * @param {string} newStatus - Status the incident moved to
+   * @param {Object} options - { userId, publicNote }
+   * @returns {Promise<Object|null>} Created history entry
+   */
+  async recordStatusChange(incident, newStatus, options = {}) {
+    const event = this.eventForStatus(newStatus);
+    if (!event) return null;
+    return this.record(incident, event, { ...options, status: newStatus });
+  }
+
+  /**
+   * Build the public timeline for an incident
+   * Only event, wording, timestamp and public note are exposed - never staff identities or internal reasons
+   * @param {Object} incident - Incident instance
+   * @returns {Promise<Array>} Timeline entries, oldest first
+   */
+  async getPublicTimeline(incident) {
+    const history = await IncidentStatusHistory.findAll({
+      where: { incident_id: incident.id },
+      order: [['created_at', 'ASC']]
+    });
+
+    const timeline = history.map(entry => ({
+      event: entry.event,
+      label: this.events[entry.event] || entry.event,
+      timestamp: entry.created_at,
+      note: entry.public_note || null
+    }));
+
+    // Incidents reported before history was recorded still get their starting point
+    if (!timeline.some(entry => entry.event === 'reported')) {
+      timeline.unshift({
+        event: 'reported',
+        label: this.events.reported,
+        timestamp: incident.created_at,
+        note: null
+      });
+    }
+
+    return timeline;
+  }
+}
+
+module.exports = StatusHistoryService;
@@ -1,5 +1,6 @@
 const { Incident, JobCard, Team, TeamMember, User, ActivityLog } = require('../models');
 const { Op } = require('sequelize');
+const StatusHistoryService = require('./StatusHistoryService');
 
 /**
  * Status Validation Service
@@ -499,9 +500,10 @@ class StatusValidationService {
    * @param {Object} validationResult - Validation result
    * @param {string} userId - User ID
    * @param {string} reason - Reason for status change
+   * @param {Object} options - { publicNote } shown to the reporter on the public timeline
    * @returns {Promise<Object>} Update result
    */
-  async applyStatusChange(incidentId, newStatus, validationResult, userId, reason = '') {
+  async applyStatusChange(incidentId, newStatus, validationResult, userId, reason = '', options = {}) {
     try {
       const { incident, jobCard } = validationResult;
 
@@ -547,6 +549,11 @@ class StatusValidationService {
         })
       });
 
+      await new StatusHistoryService().recordStatusChange(incident, newStatus, {
+        userId,
+        publicNote: options.publicNote
+      });
+
       return {
         success: true,
         incident,
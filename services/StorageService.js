@@ -0,0 +1,124 @@
+const LocalStorageDriver = require('./LocalStorageDriver');
+const S3StorageDriver = require('./S3StorageDriver');
+
+/**
+ * Storage Service
+ * Front for the configured upload storage driver (local disk or S3-compatible).
+ * Nothing is served publicly: files are read through authorised routes or expiring signed URLs
+ */
+class StorageService {
+  constructor() {
+    this.config = {
+      driver: process.env.STORAGE_DRIVER || 'local',
+      signedUrlTtl: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 15 * 60, // 15 minutes
+      signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+      publicBaseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, ''),
+      localRoot: process.env.UPLOAD_DIR || 'uploads',
+      s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    };
+
+    this.driver = this.config.driver === 's3'
+      ? new S3StorageDriver(this.config.s3)
+      : new LocalStorageDriver({
+        root: this.config.localRoot,
+        signingSecret: this.config.signingSecret,
+        publicBaseUrl: this.config.publicBaseUrl
+      });
+  }
+
+  /**
+   * Check if a stored reference is a remote URL rather than a storage key
+   * @param {string} value - Stored path, key or URL
+   * @returns {boolean} True for http(s) URLs
+   */
+  isRemoteUrl(value) {
+    return /^https?:\/\//i.test(value || '');
+  }
+
+  /**
+   * Storage key for a stored reference
+   * Older rows hold paths such as "uploads/x.jpg" or "/uploads/x.jpg"
+   * @param {string} value - Stored path or key
+   * @returns {string} Storage key
+   */
+  keyFromPath(value) {
+    return String(value).replace(/\\/g, '/').replace(/^\/+/, '').replace(/^uploads\//, '');
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   */
+  async put(key, buffer, contentType) {
+    await this.driver.put(key, buffer, contentType);
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} value - Stored path or key
+   * @returns {Promise<Object|null>} { stream, contentType, size } or null if missing
+   */
+  async get(value) {
+    return this.driver.get(this.keyFromPath(value));
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} value - Stored path or key
+   */
+  async delete(value) {
+    await this.driver.delete(this.keyFromPath(value));
+  }
+
+  /**
+   * Expiring download URL for a stored file; remote URLs are returned as they are
+   * @param {string} value - Stored path, key or URL
+   * @param {number} ttlSeconds - Seconds until the URL expires
+   * @returns {Promise<string|null>} URL
+   */
+  async getUrl(value, ttlSeconds = this.config.signedUrlTtl) {
+    if (!value) return null;
+    if (this.isRemoteUrl(value)) return value;
+    return this.driver.getSignedUrl(this.keyFromPath(value), ttlSeconds);
+  }
+
+  /**
+   * Check a signed download request for the local driver
+   * @param {string} key - Storage key
+   * @param {string} expires - Expiry from the URL
+   * @param {string} signature - Signature from the URL
+   * @returns {boolean} True if the request may be served
+   */
+  verifySignedRequest(key, expires, signature) {
+    return typeof this.driver.verify === 'function' && this.driver.verify(key, expires, signature);
+  }
+
+  /**
+   * Send a stored file as the response
+   * @param {Object} res - Express response
+   * @param {string} value - Stored path or key
+   * @returns {Promise<boolean>} False if the file does not exist
+   */
+  async sendFile(res, value) {
+    const file = await this.get(value);
+    if (!file) return false;
+
+    res.set('Content-Type', file.contentType);
+    if (file.size) res.set('Content-Length', String(file.size));
+    res.set('Cache-Control', 'private, max-age=300');
+    res.set('X-Content-Type-Options', 'nosniff');
+    file.stream.pipe(res);
+    return true;
+  }
+}
+
+module.exports = StorageService;
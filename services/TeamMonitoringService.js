@@ -76,7 +76,7 @@ class TeamMonitoringService {
         where: {
           team_id: teamId,
           status: {
-            [Op.ne]: 'completed'
+            [Op.notIn]: ['completed', 'cancelled']
           }
         }
       });
@@ -369,7 +369,7 @@ class TeamMonitoringService {
               [Op.lt]: nextDate
             },
             status: {
-              [Op.ne]: 'completed'
+              [Op.notIn]: ['completed', 'cancelled']
             }
           }
         });
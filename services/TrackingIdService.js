@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { Incident } = require('../models');
+
+/**
+ * Tracking ID Service
+ * Short public tracking IDs such as "WG-7K3Q9M4": a region prefix, six Crockford base32
+ * characters and a Luhn mod 32 check character. Lookups forgive case, spacing and the
+ * letters people confuse with digits, and the bot suggests the citizen's own reports for near
+ * misses. Older IDs in the "INC" + timestamp format keep working
+ */
+class TrackingIdService {
+  constructor() {
+    this.config = {
+      prefix: (process.env.TRACKING_ID_PREFIX || 'WG').toUpperCase(),
+      codeLength: 6,
+      maxSuggestions: 3
+    };
+
+    // Crockford base32 leaves out I, L, O and U
+    this.alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    this.lookalikes = { O: '0', I: '1', L: '1' };
+    this.legacyPattern = /^INC\d{13}[0-9A-Z]{1,5}$/;
+  }
+
+  /**
+   * Luhn mod 32 check character for a code
+   * Catches every single-character mistake and most swapped neighbours
+   * @param {string} code - Code in the tracking ID alphabet
+   * @returns {string} Check character
+   */
+  checkCharacter(code) {
+    const n = this.alphabet.length;
+    let factor = 2;
+    let sum = 0;
+
+    for (let i = code.length - 1; i >= 0; i--) {
+      let addend = factor * this.alphabet.indexOf(code[i]);
+      factor = factor === 2 ? 1 : 2;
+      addend = Math.floor(addend / n) + (addend % n);
+      sum += addend;
+    }
+
+    return this.alphabet[(n - (sum % n)) % n];
+  }
+
+  /**
+   * Check a code followed by its check character
+   * @param {string} codeWithCheck - Code and check character
+   * @returns {boolean} True if the check character matches
+   */
+  isValidCode(codeWithCheck) {
+    if (codeWithCheck.length !== this.config.codeLength + 1) return false;
+    if ([...codeWithCheck].some(char => !this.alphabet.includes(char))) return false;
+    return this.checkCharacter(codeWithCheck.slice(0, -1)) === codeWithCheck.slice(-1);
+  }
+
+  /**
+   * Generate a new tracking ID that is not in use yet
+   * @returns {Promise<string>} Tracking ID
+   */
+  async generate() {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      let code = '';
+      for (let i = 0; i < this.config.codeLength; i++) {
+        code += this.alphabet[crypto.randomInt(this.alphabet.length)];
+      }
+
+      const trackingId = this.format(this.config.prefix, code + this.checkCharacter(code));
+      if (!(await Incident.findOne({ where: { tracking_id: trackingId } }))) {
+        return trackingId;
+      }
+    }
+    throw new Error('Could not generate a unique tracking ID');
+  }
+
+  /**
+   * Canonical form of a tracking ID
+   * @param {string} prefix - Region prefix
+   * @param {string} codeWithCheck - Code and check character
+   * @returns {string} Tracking ID
+   */
+  format(prefix, codeWithCheck) {
+    return `${prefix}-${codeWithCheck}`;
+  }
+
+  /**
+   * Parse what a citizen typed into a tracking ID
+   * Case, spaces, dashes and O/I/L for 0/1 are forgiven; a missing prefix means the local region
+   * @param {string} input - Typed tracking ID
+   * @returns {Object|null} { trackingId, prefix, code, legacy, valid } or null if it cannot be a tracking ID
+   */
+  parse(input) {
+    if (!input) return null;
+    const compact = String(input).toUpperCase().replace(/[\s\-_.#/]/g, '');
+    if (!compact) return null;
+
+    if (this.legacyPattern.test(compact)) {
+      return { trackingId: compact, prefix: 'INC', code: null, legacy: true, valid: true };
+    }
+
+    if (!/^[0-9A-Z]+$/.test(compact)) return null;
+
+    // Split off the prefix: any region's prefix when the code has the right length,
+    // otherwise the local prefix, so IDs with a character missing or extra still parse
+    const codeLength = this.config.codeLength + 1;
+    const lead = compact.slice(0, -codeLength);
+    let prefix = this.config.prefix;
+    let rest = compact;
+    if (compact.length > codeLength && /^[A-Z]{2,4}$/.test(lead)) {
+      prefix = lead;
+      rest = compact.slice(-codeLength);
+    } else if (compact.length !== codeLength && compact.startsWith(this.config.prefix)) {
+      rest = compact.slice(this.config.prefix.length);
+    }
+    if (rest.length < codeLength - 1 || rest.length > codeLength + 1) return null;
+
+    const code = [...rest].map(char => this.lookalikes[char] || char).join('');
+    const valid = this.isValidCode(code);
+
+    return {
+      trackingId: this.format(prefix, code),
+      prefix,
+      code,
+      legacy: false,
+      valid
+    };
+  }
+
+  /**
+   * Normalise a typed tracking ID for lookups
+   * @param {string} input - Typed tracking ID
+   * @returns {string} Canonical tracking ID, or the trimmed input when it cannot be parsed
+   */
+  normalize(input) {
+    const parsed = this.parse(input);
+    return parsed ? parsed.trackingId : String(input || '').trim();
+  }
+
+  /**
+   * Tracking IDs from a given list one typing mistake away from the input
+   * Tries every single substitution, swapped neighbour, missing and extra character
+   * that yields a valid check character, then keeps the ones in the list. Only IDs the
+   * citizen may already know should be passed in, or the suggestions give away other reports
+   * @param {string} input - Typed tracking ID
+   * @param {Array<string>} knownIds - Tracking IDs that may be suggested, e.g. the sender's own reports
+   * @returns {Array<string>} Suggested tracking IDs
+   */
+  suggest(input, knownIds) {
+    const parsed = this.parse(input);
+    if (!parsed || parsed.legacy) return [];
+
+    const { prefix, code } = parsed;
+    const candidates = new Set();
+    const addCandidate = (candidate) => {
+      if (this.isValidCode(candidate)) candidates.add(this.format(prefix, candidate));
+    };
+
+    for (let i = 0; i < code.length; i++) {
+      for (const char of this.alphabet) {
+        addCandidate(code.slice(0, i) + char + code.slice(i + 1));
+      }
+      if (i < code.length - 1) {
+        addCandidate(code.slice(0, i) + code[i + 1] + code[i] + code.slice(i + 2));
+      }
+      addCandidate(code.slice(0, i) + code.slice(i + 1));
+    }
+    for (let i = 0; i <= code.length; i++) {
+      for (const char of this.alphabet) {
+        addCandidate(code.slice(0, i) + char + code.slice(i));
+      }
+    }
+    candidates.delete(parsed.trackingId);
+
+    return knownIds
+      .filter(trackingId => candidates.has(trackingId))
+      .slice(0, this.config.maxSuggestions);
+  }
+}
+
+module.exports = TrackingIdService;
@@ -0,0 +1,182 @@
+// Citizen-facing text catalogues, one per supported language
+const catalogues = {
+  en: require('../locales/en.json'),
+  zu: require('../locales/zu.json'),
+  af: require('../locales/af.json'),
+  st: require('../locales/st.json')
+};
+
+/**
+ * Translation Service
+ * Looks up WhatsApp bot and public API texts in the English, isiZulu, Afrikaans and Sesotho
+ * catalogues under locales/. Anything missing from a catalogue falls back to English
+ */
+class TranslationService {
+  constructor() {
+    this.languages = Object.keys(catalogues);
+    this.defaultLanguage = this.languages.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'en';
+
+    // Locales used for dates; the runtime falls back to English where it has no data for one
+    this.locales = { en: 'en-ZA', zu: 'zu-ZA', af: 'af-ZA', st: 'st-ZA' };
+  }
+
+  /**
+   * Check if a language has a catalogue
+   * @param {string} language - Language code, e.g. 'zu'
+   * @returns {boolean} True if supported
+   */
+  isSupported(language) {
+    return this.languages.includes(language);
+  }
+
+  /**
+   * Raw catalogue entry for a dotted key
+   * @param {string} language - Language code
+   * @param {string} key - Key such as 'whatsapp.menu_header'
+   * @returns {*} Catalogue entry or undefined
+   */
+  lookup(language, key) {
+    return key.split('.').reduce(
+      (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+      catalogues[language]
+    );
+  }
+
+  /**
+   * Translate a text and fill in its {placeholders}
+   * @param {string} language - Language code; unsupported or empty means the default language
+   * @param {string} key - Catalogue key
+   * @param {Object} params - Placeholder values
+   * @param {string} fallback - Text to use when no catalogue has the key
+   * @returns {string} Translated text
+   */
+  translate(language, key, params = {}, fallback) {
+    const text = [language, this.defaultLanguage, 'en']
+      .filter(candidate => this.isSupported(candidate))
+      .map(candidate => this.lookup(candidate, key))
+      .find(entry => typeof entry === 'string');
+    return this.interpolate(text !== undefined ? text : (fallback !== undefined ? fallback : key), params);
+  }
+
+  /**
+   * Fill the {placeholders} of a text; unknown placeholders are left as they are
+   * @param {string} template - Text with placeholders
+   * @param {Object} params - Placeholder values
+   * @returns {string} Filled-in text
+   */
+  interpolate(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    );
+  }
+
+  /**
+   * Text from configuration, such as a conversation flow prompt
+   * @param {string} language - Language code
+   * @param {string|Object} text - Catalogue key, literal text, or { en, zu, af, st } translations
+   * @param {Object} params - Placeholder values
+   * @returns {string} Text in the best available language
+   */
+  resolve(language, text, params = {}) {
+    if (text && typeof text === 'object') {
+      const translated = [language, this.defaultLanguage, 'en']
+        .map(candidate => text[candidate])
+        .find(entry => typeof entry === 'string');
+      return this.interpolate(translated !== undefined ? translated : String(Object.values(text)[0] || ''), params);
+    }
+    return this.translate(language, String(text || ''), params, String(text || ''));
+  }
+
+  /**
+   * Check a reply against a keyword list such as yes, no or skip
+   * English keywords are always accepted as well
+   * @param {string|null} language - Language code, or null to accept the keywords of every language
+   * @param {string} key - Keyword list under 'words'
+   * @param {string} input - What the citizen typed
+   * @returns {boolean} True if the reply is one of the keywords
+   */
+  isWord(language, key, input) {
+    const answer = String(input || '').trim().toLowerCase();
+    const languages = language ? [language, 'en'] : this.languages;
+    return languages.some(candidate => (this.lookup(candidate, `words.${key}`) || []).includes(answer));
+  }
+
+  /**
+   * Citizen-facing name of an incident status
+   * @param {string} language - Language code
+   * @param {string} status - Incident status, e.g. 'In Progress'
+   * @returns {string} Translated status
+   */
+  statusLabel(language, status) {
+    return this.translate(language, `status.${String(status).toLowerCase().replace(/\s+/g, '_')}`, {}, status);
+  }
+
+  /**
+   * Translated name of an incident category
+   * @param {string} language - Language code
+   * @param {Object} category - { code, name } from IncidentCategoryService
+   * @returns {string} Category name
+   */
+  categoryName(language, category) {
+    return this.translate(language, `categories.${category.code}`, {}, category.name);
+  }
+
+  /**
+   * Format a date for a citizen
+   * @param {string} language - Language code
+   * @param {Date|string} date - Date to format
+   * @returns {string} Date such as "19 Oct 2026"
+   */
+  formatDate(language, date) {
+    const locale = this.locales[language] || this.locales[this.defaultLanguage];
+    return new Date(date).toLocaleDateString(locale, { day: 'numeric', month: 'short', year: 'numeric' });
+  }
+
+  /**
+   * Language choice menu, written in every language since the citizen has not picked one yet
+   * @returns {string} Menu text
+   */
+  languageMenu() {
+    const prompt = this.languages.map(language => this.lookup(language, 'language.choose')).join(' / ');
+    const options = this.languages.map((language, index) => `${index + 1}-${this.lookup(language, 'language.name')}`);
+    return [`${prompt}:`, ...options].join('\n');
+  }
+
+  /**
+   * Find the language behind a language menu option
+   * @param {string} option - Menu number typed by the citizen
+   * @returns {string|null} Language code
+   */
+  findByMenuOption(option) {
+    const index = parseInt(option, 10);
+    if (isNaN(index) || String(index) !== String(option).trim()) return null;
+    return this.languages[index - 1] || null;
+  }
+
+  /**
+   * Pick the best supported language from an Accept-Language header
+   * @param {string} header - e.g. 'zu-ZA,zu;q=0.9,en;q=0.8'
+   * @returns {string} Language code, the default language when nothing matches
+   */
+  fromAcceptLanguage(header) {
+    if (!header) return this.defaultLanguage;
+
+    const ranges = String(header).split(',')
+      .map((part, index) => {
+        const [range, ...params] = part.trim().split(';');
+        const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        return {
+          language: range.trim().toLowerCase().split('-')[0],
+          quality: quality ? parseFloat(quality.slice(2)) : 1,
+          index
+        };
+      })
+      .filter(range => range.quality > 0)
+      .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+    const match = ranges.find(range => this.isSupported(range.language));
+    return match ? match.language : this.defaultLanguage;
+  }
+}
+
+module.exports = TranslationService;
@@ -0,0 +1,41 @@
+const twilio = require('twilio');
+
+/**
+ * Twilio SMS Driver
+ * Sends text messages as SMS or WhatsApp messages from the configured Twilio numbers
+ */
+class TwilioSmsDriver {
+  constructor(config = {}) {
+    this.accountSid = config.accountSid;
+    this.authToken = config.authToken;
+    this.from = {
+      sms: config.smsFrom,
+      whatsapp: config.whatsappFrom
+    };
+    this.client = null;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { channel: 'sms'|'whatsapp', to, body }
+   * @returns {Promise<Object>} { delivered, providerId } - delivered is false when Twilio is not configured
+   */
+  async send({ channel, to, body }) {
+    const from = this.from[channel];
+    if (!this.accountSid || !this.authToken || !from) {
+      return { delivered: false, providerId: null };
+    }
+    if (!this.client) {
+      this.client = twilio(this.accountSid, this.authToken);
+    }
+
+    const result = await this.client.messages.create({
+      body,
+      from,
+      to: channel === 'whatsapp' ? `whatsapp:${to}` : to
+    });
+    return { delivered: true, providerId: result.sid };
+  }
+}
+
+module.exports = TwilioSmsDriver;
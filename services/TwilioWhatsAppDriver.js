@@ -0,0 +1,128 @@
+const twilio = require('twilio');
+
+// Twilio message statuses we record; queued, sending and the like are left out
+const STATUSES = { sent: 'sent', delivered: 'delivered', read: 'read', undelivered: 'failed', failed: 'failed', canceled: 'failed' };
+
+// Twilio gives media as API URLs under the account; the API redirects to its own storage
+const MEDIA_HOST = 'api.twilio.com';
+
+/**
+ * Twilio WhatsApp Driver
+ * Sends WhatsApp messages from the configured Twilio number and reads Twilio's form-encoded webhooks
+ */
+class TwilioWhatsAppDriver {
+  constructor(config = {}) {
+    this.accountSid = config.accountSid;
+    this.authToken = config.authToken;
+    this.from = config.whatsappFrom;
+    this.statusCallbackUrl = config.statusCallbackUrl;
+    this.webhookBaseUrl = config.webhookBaseUrl;
+    this.client = null;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, body }
+   * @returns {Promise<Object>} { delivered, providerId } - delivered is false when Twilio is not configured
+   */
+  async send({ to, body }) {
+    if (!this.accountSid || !this.authToken || !this.from) {
+      return { delivered: false, providerId: null };
+    }
+    if (!this.client) {
+      this.client = twilio(this.accountSid, this.authToken);
+    }
+
+    const result = await this.client.messages.create({
+      body,
+      from: this.from,
+      to: `whatsapp:${to}`,
+      ...(this.statusCallbackUrl ? { statusCallback: this.statusCallbackUrl } : {})
+    });
+    return { delivered: true, providerId: result.sid };
+  }
+
+  /**
+   * Check the X-Twilio-Signature header of a webhook
+   * Twilio signs the public URL it called, which behind a proxy is not the one we see, so it can be configured
+   * @param {Object} req - Express request
+   * @returns {boolean} True if Twilio signed the request
+   */
+  validateRequest(req) {
+    const signature = req.get('X-Twilio-Signature');
+    if (!this.authToken || !signature) return false;
+
+    const base = this.webhookBaseUrl ? this.webhookBaseUrl.replace(/\/$/, '') : `${req.protocol}://${req.get('host')}`;
+    return twilio.validateRequest(this.authToken, signature, `${base}${req.originalUrl}`, req.body || {});
+  }
+
+  /**
+   * Headers for downloading media Twilio received
+   * @returns {Object} Basic auth with the account credentials
+   */
+  mediaHeaders() {
+    if (!this.accountSid || !this.authToken) return {};
+    return { Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}` };
+  }
+
+  /**
+   * Check a media URL points at media of our Twilio account, before it is downloaded with our credentials
+   * @param {string} url - Media URL from a webhook
+   * @returns {boolean} True if it may be downloaded
+   */
+  isMediaUrl(url) {
+    if (!this.accountSid) return false;
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' && parsed.hostname === MEDIA_HOST &&
+        parsed.pathname.startsWith(`/2010-04-01/Accounts/${this.accountSid}/Messages/`);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read the message in a webhook
+   * @param {Object} req - Express request
+   * @returns {Promise<Array<Object>>} [{ messageId, from, text, media: [{ url, mimeType }], location }]
+   */
+  async parseInbound(req) {
+    const { MessageSid, From, Body, NumMedia, Latitude, Longitude } = req.body;
+    if (!From) return [];
+
+    const media = [];
+    const count = parseInt(NumMedia) || (req.body.MediaUrl0 ? 1 : 0);
+    for (let index = 0; index < count; index++) {
+      if (req.body[`MediaUrl${index}`]) {
+        media.push({ url: req.body[`MediaUrl${index}`], mimeType: req.body[`MediaContentType${index}`] || null });
+      }
+    }
+
+    return [{
+      messageId: MessageSid || null,
+      from: From.replace('whatsapp:', ''),
+      text: Body ? Body.trim() : '',
+      media,
+      location: Latitude && Longitude ? { lat: Latitude, lng: Longitude } : null
+    }];
+  }
+
+  /**
+   * Read a status callback
+   * @param {Object} req - Express request
+   * @returns {Array<Object>} [{ providerMessageId, status, error }]
+   */
+  parseStatuses(req) {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body || {};
+    const status = STATUSES[MessageStatus];
+    if (!MessageSid || !status) return [];
+
+    return [{
+      providerMessageId: MessageSid,
+      status,
+      error: ErrorCode ? `${ErrorCode}${ErrorMessage ? `: ${ErrorMessage}` : ''}` : null
+    }];
+  }
+}
+
+module.exports = TwilioWhatsAppDriver;
@@ -0,0 +1,1002 @@
+const { Incident, ActivityLog } = require('../models');
+const ConversationFlowService = require('./ConversationFlowService');
+const IncidentIntakeService = require('./IncidentIntakeService');
+const IncidentMergeService = require('./IncidentMergeService');
+const StatusHistoryService = require('./StatusHistoryService');
+const IncidentCategoryService = require('./IncidentCategoryService');
+const IncidentFollowUpService = require('./IncidentFollowUpService');
+const IntakeProtectionService = require('./IntakeProtectionService');
+const ModerationQueueService = require('./ModerationQueueService');
+const ReporterVerificationService = require('./ReporterVerificationService');
+const TrackingIdService = require('./TrackingIdService');
+const TranslationService = require('./TranslationService');
+const WhatsAppMediaService = require('./WhatsAppMediaService');
+const WhatsAppInboxService = require('./WhatsAppInboxService');
+const CitizenNotificationService = require('./CitizenNotificationService');
+const IntentExtractionService = require('./IntentExtractionService');
+const GeocodingService = require('./GeocodingService');
+
+// Answers that create_incident maps onto report fields; any other text answers are added to the description
+const REPORT_FIELDS = ['category', 'photo', 'description', 'location', 'coordinates', 'name', 'tracking_id'];
+
+// What the bot can do on each channel: photos need WhatsApp, and only WhatsApp conversations reach the staff inbox
+const CHANNELS = {
+  whatsapp: { label: 'WhatsApp', media: true, handoff: true },
+  sms: { label: 'SMS', media: false, handoff: false },
+  ussd: { label: 'USSD', media: false, handoff: false }
+};
+
+/**
+ * WhatsApp Flow Engine
+ * Runs the bot's menus and the conversation flows from ConversationFlowService, on WhatsApp and
+ * on SMS and USSD for phones without it. A conversation in a flow has its flow key in `flow`,
+ * the current step in `state` and the answers so far in `temp_data`; each step's input type
+ * checks the reply before the flow moves on
+ */
+class WhatsAppFlowEngine {
+  /**
+   * @param {Function} send - async (phoneNumber, body) used for every reply
+   * @param {Object} options - { channel: 'whatsapp'|'sms'|'ussd' }
+   */
+  constructor(send, options = {}) {
+    this.send = send;
+    this.channel = options.channel || 'whatsapp';
+    this.capabilities = CHANNELS[this.channel];
+    if (!this.capabilities) {
+      throw new Error(`Unsupported conversation channel '${this.channel}'`);
+    }
+
+    this.flowService = new ConversationFlowService();
+    this.intakeService = new IncidentIntakeService();
+    this.mergeService = new IncidentMergeService();
+    this.historyService = new StatusHistoryService();
+    this.categoryService = new IncidentCategoryService();
+    this.followUpService = new IncidentFollowUpService();
+    this.protectionService = new IntakeProtectionService();
+    this.moderationService = new ModerationQueueService();
+    this.verificationService = new ReporterVerificationService();
+    this.trackingIdService = new TrackingIdService();
+    this.translationService = new TranslationService();
+    this.mediaService = new WhatsAppMediaService();
+    this.inboxService = new WhatsAppInboxService();
+    this.citizenNotificationService = new CitizenNotificationService();
+    this.intentService = new IntentExtractionService();
+    this.geocodingService = new GeocodingService();
+
+    this.config = {
+      handoffOfferAfter: parseInt(process.env.WHATSAPP_HANDOFF_OFFER_AFTER) || 3
+    };
+  }
+
+  /**
+   * Catalogue or configured text in the language the citizen chose
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string|Object} text - Catalogue key, literal text or translations
+   * @param {Object} params - Placeholder values
+   * @returns {string} Text to send
+   */
+  t(conversation, text, params) {
+    return this.translationService.resolve(conversation.language, text, params);
+  }
+
+  /**
+   * Answer a citizen's message: first the keywords that work from anywhere in the conversation,
+   * then the menu or flow step the citizen is on
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} input - { text, media: [{ url, mimeType }], location: { lat, lng } }
+   */
+  async handleIncoming(conversation, input) {
+    const phoneNumber = conversation.phone_number;
+    const message = input.text;
+
+    // Status update opt-out / opt-in
+    if (message.toUpperCase() === 'STOP') {
+      await this.citizenNotificationService.optOut(phoneNumber);
+      await this.send(phoneNumber, this.t(conversation, 'whatsapp.opted_out'));
+      return;
+    }
+    if (message.toUpperCase() === 'START') {
+      await this.citizenNotificationService.optIn(phoneNumber);
+      await this.send(phoneNumber, this.t(conversation, 'whatsapp.opted_in'));
+      return;
+    }
+
+    // "Language" in any of the languages brings back the language choice
+    if (this.translationService.isWord(null, 'language', message)) {
+      await this.showLanguageMenu(conversation);
+      return;
+    }
+
+    // "Menu" and "cancel" leave whatever the citizen is doing, from any state
+    if (this.translationService.isWord(conversation.language, 'menu', message)) {
+      await this.showMainMenu(conversation);
+      return;
+    }
+    if (this.translationService.isWord(conversation.language, 'cancel', message)) {
+      await this.cancel(conversation);
+      return;
+    }
+
+    // "Agent" in any of the languages hands the conversation to staff
+    if (this.capabilities.handoff && this.translationService.isWord(null, 'agent', message)) {
+      await this.requestHandoff(conversation);
+      return;
+    }
+
+    // Handle "Hi" or reset
+    if (this.translationService.isWord(null, 'greeting', message)) {
+      await this.welcome(conversation);
+      return;
+    }
+
+    await this.handleMessage(conversation, input);
+  }
+
+  /**
+   * Answer a message according to where the conversation is
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} input - { text, media: [{ url, mimeType }], location: { lat, lng } }
+   */
+  async handleMessage(conversation, input) {
+    switch (conversation.state) {
+      case 'selecting_language':
+        await this.handleLanguageSelection(conversation, input.text);
+        return;
+      case 'main_menu':
+        await this.handleMainMenuChoice(conversation, input.text);
+        return;
+      case 'resuming':
+        await this.handleResumeChoice(conversation, input.text);
+        return;
+      case 'idle':
+        // Any message when idle starts a new conversation, straight into a flow when it says what it is about
+        if (!conversation.language) {
+          await this.showLanguageMenu(conversation, input.text);
+          return;
+        }
+        if (await this.startFromMessage(conversation, input.text)) return;
+        await this.welcome(conversation);
+        return;
+    }
+
+    const flow = conversation.flow ? await this.flowService.getFlow(conversation.flow) : null;
+    const step = flow && flow.steps[conversation.state];
+    if (!step) {
+      // The flow was disabled or changed under the citizen
+      await this.showMainMenu(conversation);
+      return;
+    }
+
+    // Photos picked together reach us as separate messages; the ones after the first join the report
+    const photoField = this.answeredPhotoField(conversation, flow);
+    if (input.media.length > 0 && photoField && !['photo', 'comment'].includes(step.input)) {
+      if (!(await this.addPhotos(conversation, photoField, input.media))) return;
+      if (!input.text && !input.location) return;
+      input = { ...input, media: [] };
+    }
+
+    await this.handleStepInput(conversation, flow, step, input);
+  }
+
+  /**
+   * Find the photo step the citizen has already answered in this flow
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} flow - Flow definition
+   * @returns {string|null} Answer field holding the photos
+   */
+  answeredPhotoField(conversation, flow) {
+    const answers = conversation.temp_data || {};
+    const step = Object.values(flow.steps).find(candidate => candidate.input === 'photo' && Array.isArray(answers[candidate.field]));
+    return step ? step.field : null;
+  }
+
+  /**
+   * Add more photos to an answered photo step, up to the per-report limit
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} field - Answer field holding the photos
+   * @param {Array<Object>} media - [{ url, mimeType }]
+   * @returns {Promise<boolean>} True if the photos were added
+   */
+  async addPhotos(conversation, field, media) {
+    const photos = conversation.temp_data[field];
+    const max = this.mediaService.config.maxPhotos;
+    if (photos.length + media.length > max) {
+      await this.send(conversation.phone_number, this.t(conversation, 'errors.TOO_MANY_PHOTOS', { maxPhotos: max }));
+      return false;
+    }
+
+    const stored = await this.storeMedia(conversation, media);
+    if (stored.error) {
+      await this.send(conversation.phone_number, stored.error);
+      return false;
+    }
+
+    const all = photos.concat(stored.files);
+    await conversation.update({ temp_data: { ...conversation.temp_data, [field]: all } });
+    await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.photo_added', { count: all.length, max }));
+    return true;
+  }
+
+  /**
+   * Download a message's photos into our storage
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Array<Object>} media - [{ url, mimeType }]
+   * @returns {Promise<Object>} { files } or { error } with the message to send back
+   */
+  async storeMedia(conversation, media) {
+    const max = this.mediaService.config.maxPhotos;
+    if (media.length > max) {
+      return { error: this.t(conversation, 'errors.TOO_MANY_PHOTOS', { maxPhotos: max }) };
+    }
+
+    const result = await this.mediaService.storeAll(media);
+    if (!result.success) {
+      return {
+        error: this.translationService.translate(conversation.language, `errors.${result.code}`, {
+          maxImageMb: Math.round(this.mediaService.config.maxBytes / 1024 / 1024)
+        }, result.error)
+      };
+    }
+    return { files: result.files };
+  }
+
+  /**
+   * Send the error for a reply the bot did not understand; after a few in a row, offer a person
+   * on channels where staff can take over
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} error - Message explaining what was expected
+   */
+  async rejectReply(conversation, error) {
+    const failedReplies = (conversation.failed_replies || 0) + 1;
+    await conversation.update({ failed_replies: failedReplies });
+    await this.send(conversation.phone_number, error);
+
+    if (this.capabilities.handoff && failedReplies % this.config.handoffOfferAfter === 0) {
+      await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.handoff_offer'));
+    }
+  }
+
+  /**
+   * Forget earlier misunderstood replies once the citizen gets one right
+   * @param {Object} conversation - WhatsAppConversation
+   */
+  async acceptReply(conversation) {
+    if (conversation.failed_replies) await conversation.update({ failed_replies: 0 });
+  }
+
+  /**
+   * Pause the bot and ask staff to take over the conversation
+   * @param {Object} conversation - WhatsAppConversation
+   */
+  async requestHandoff(conversation) {
+    await this.inboxService.requestHandoff(conversation);
+    await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.handoff_requested'));
+  }
+
+  /**
+   * Show the language choice
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} firstMessage - Message a new citizen opened with, acted on once they pick a language
+   */
+  async showLanguageMenu(conversation, firstMessage) {
+    await conversation.update({ state: 'selecting_language', flow: null, temp_data: firstMessage ? { first_message: firstMessage } : {} });
+    await this.send(conversation.phone_number, this.translationService.languageMenu());
+  }
+
+  /**
+   * Handle a language choice
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} message - Menu number typed
+   */
+  async handleLanguageSelection(conversation, message) {
+    const language = this.translationService.findByMenuOption(message);
+    if (!language) {
+      // The menu is written in every language, so it doubles as the error message
+      await this.send(conversation.phone_number, this.translationService.languageMenu());
+      return;
+    }
+
+    await conversation.update({ language });
+    await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.language_set'));
+    if (await this.startFromMessage(conversation, (conversation.temp_data || {}).first_message)) return;
+    await this.welcome(conversation);
+  }
+
+  /**
+   * Greet a citizen who starts talking: offer their unfinished draft if there is one, else the main menu
+   * @param {Object} conversation - WhatsAppConversation
+   */
+  async welcome(conversation) {
+    const draft = conversation.draft;
+    const flow = draft && conversation.language ? await this.flowService.getFlow(draft.flow) : null;
+    if (!flow || !flow.steps[draft.step]) {
+      await this.showMainMenu(conversation);
+      return;
+    }
+
+    await conversation.update({ state: 'resuming', flow: null, temp_data: {} });
+    await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.resume_prompt', {
+      flow: this.t(conversation, flow.title),
+      date: this.translationService.formatDate(conversation.language, draft.savedAt)
+    }));
+  }
+
+  /**
+   * Handle the answer to the resume question: 1 continues the draft, 2 starts that flow again
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} message - Number typed
+   */
+  async handleResumeChoice(conversation, message) {
+    const draft = conversation.draft;
+    const flow = draft ? await this.flowService.getFlow(draft.flow) : null;
+    if (!flow || !flow.steps[draft.step]) {
+      // The flow was disabled or changed since the draft was saved
+      await this.showMainMenu(conversation);
+      return;
+    }
+
+    if (message === '1') {
+      await conversation.update({ flow: flow.key, temp_data: draft.answers || {}, draft: null });
+      await this.enterStep(conversation, flow, draft.step);
+    } else if (message === '2') {
+      await conversation.update({ draft: null });
+      await this.startFlow(conversation, flow);
+    } else {
+      await this.rejectReply(conversation, this.t(conversation, 'whatsapp.invalid_choice', { count: 2 }));
+    }
+  }
+
+  /**
+   * Abandon whatever the citizen is doing, including any saved draft
+   * @param {Object} conversation - WhatsAppConversation
+   */
+  async cancel(conversation) {
+    if (conversation.flow || conversation.state === 'resuming') {
+      await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.cancelled'));
+    }
+    await this.showMainMenu(conversation);
+  }
+
+  /**
+   * Show the main menu, asking first-time users for their language
+   * Any saved draft is dropped: the citizen has moved on
+   * @param {Object} conversation - WhatsAppConversation
+   */
+  async showMainMenu(conversation) {
+    if (!conversation.language) {
+      await this.showLanguageMenu(conversation);
+      return;
+    }
+
+    const flows = await this.flowService.getMenuFlows();
+    const options = flows.map(flow => this.t(conversation, flow.title))
+      .concat(this.menuExtras().map(extra => this.t(conversation, `whatsapp.menu_${extra}`)));
+
+    await conversation.update({ state: 'main_menu', flow: null, temp_data: {}, draft: null });
+    await this.send(conversation.phone_number, [this.t(conversation, 'whatsapp.menu_header')]
+      .concat(options.map((option, index) => `${index + 1}-${option}`))
+      .join('\n'));
+  }
+
+  /**
+   * Main menu options after the flows; talking to a person is only offered where staff can answer
+   * @returns {Array<string>} Option names, in menu order
+   */
+  menuExtras() {
+    return (this.capabilities.handoff ? ['talk_to_person'] : []).concat('change_language', 'exit');
+  }
+
+  /**
+   * Handle a main menu choice: one of the flows, then talk to a person, change language and exit
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} message - Menu number typed
+   */
+  async handleMainMenuChoice(conversation, message) {
+    const flows = await this.flowService.getMenuFlows();
+    const extras = this.menuExtras();
+    const choice = parseInt(message, 10);
+    const count = flows.length + extras.length;
+
+    if (isNaN(choice) || String(choice) !== String(message).trim() || choice < 1 || choice > count) {
+      // Citizens often describe the problem instead of picking an option
+      if (await this.startFromMessage(conversation, message)) return;
+      await this.rejectReply(conversation, this.t(conversation, 'whatsapp.invalid_menu_choice', { count }));
+      return;
+    }
+    await this.acceptReply(conversation);
+
+    if (choice <= flows.length) {
+      await this.startFlow(conversation, flows[choice - 1]);
+      return;
+    }
+
+    switch (extras[choice - flows.length - 1]) {
+      case 'talk_to_person':
+        await this.requestHandoff(conversation);
+        return;
+      case 'change_language':
+        await this.showLanguageMenu(conversation);
+        return;
+      case 'exit':
+        await conversation.update({ state: 'idle', flow: null, temp_data: {} });
+        await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.session_ended'));
+    }
+  }
+
+  /**
+   * Start the flow a free-text message asks for, with the details it already gives
+   * Those details answer their steps as the flow reaches them, so only what is missing is asked
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} message - Message as typed
+   * @returns {Promise<boolean>} True if the message was understood and a flow started
+   */
+  async startFromMessage(conversation, message) {
+    const understood = await this.intentService.extract(message, conversation.language);
+    const flow = understood && await this.flowService.getFlow(understood.intent);
+    if (!flow) return false;
+
+    await this.acceptReply(conversation);
+    const answers = { extracted: understood.entities };
+    if (understood.intent === 'report') answers.description = message.trim();
+
+    await conversation.update({ flow: flow.key, temp_data: answers, draft: null });
+    await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.intent_understood'));
+    await this.enterStep(conversation, flow, flow.start);
+    return true;
+  }
+
+  /**
+   * Start a flow at its first step
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} flow - Flow definition
+   */
+  async startFlow(conversation, flow) {
+    await conversation.update({ flow: flow.key, temp_data: {} });
+    await this.enterStep(conversation, flow, flow.start);
+  }
+
+  /**
+   * Move to a step and ask its question
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} flow - Flow definition
+   * @param {string} stepId - Step to ask
+   */
+  async enterStep(conversation, flow, stepId) {
+    const step = flow.steps[stepId];
+    await conversation.update({ state: stepId });
+
+    // Photos can only be sent on WhatsApp; on other channels photo steps are passed over unanswered
+    if (step.input === 'photo' && !this.capabilities.media) {
+      const skipped = await this.validatePhoto(conversation, step, { text: '', media: [] });
+      await conversation.update({ temp_data: { ...conversation.temp_data, [step.field]: skipped.value, ...skipped.extra } });
+      await this.advance(conversation, flow, step);
+      return;
+    }
+
+    // Details picked out of a free-text message answer their step without asking
+    const given = await this.extractedInput(conversation, step);
+    if (given) {
+      const result = await this.validateInput(conversation, step, given);
+      if (result.error) {
+        await this.send(conversation.phone_number, result.error);
+        return;
+      }
+      await conversation.update({ temp_data: { ...conversation.temp_data, [step.field]: result.value, ...result.extra } });
+      await this.advance(conversation, flow, step);
+      return;
+    }
+
+    let prompt = this.t(conversation, step.prompt, this.promptParams(conversation, flow));
+    if (step.input === 'choice') {
+      prompt = [prompt].concat(this.choiceLabels(conversation, step).map((label, index) => `${index + 1}-${label}`)).join('\n');
+    }
+
+    if (step.input === 'my_report') {
+      const reports = await this.verificationService.getReportedIncidents(conversation.phone_number);
+      if (reports.length === 0) {
+        await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.no_reports'));
+        await this.finishFlow(conversation);
+        return;
+      }
+
+      // Remember what was listed, so the number picked still means the same report if one changes meanwhile
+      await conversation.update({ temp_data: { ...conversation.temp_data, [`${step.field}_options`]: reports.map(report => report.trackingId) } });
+      prompt = [prompt].concat(reports.map((report, index) => `${index + 1}-${this.reportLabel(conversation, report)}`)).join('\n');
+    }
+    await this.send(conversation.phone_number, prompt);
+  }
+
+  /**
+   * Take the detail from a free-text message that answers a step, if there is one
+   * Each detail is used once, so a step asked again after an error waits for the citizen
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} step - Step being entered
+   * @returns {Promise<Object|null>} Input as if the citizen had typed the answer
+   */
+  async extractedInput(conversation, step) {
+    const extracted = (conversation.temp_data || {}).extracted || {};
+    let entity = null;
+    let text = null;
+
+    if (step.input === 'choice' && step.options === 'categories' && extracted.category) {
+      entity = 'category';
+      text = String(this.choiceValues(step).indexOf(extracted.category) + 1);
+    } else if (step.input === 'location' && extracted.address) {
+      entity = 'address';
+      text = extracted.address;
+    } else if (step.input === 'tracking_id' && extracted.trackingId) {
+      entity = 'trackingId';
+      text = extracted.trackingId;
+    }
+    if (!entity) return null;
+
+    const { [entity]: used, ...rest } = extracted;
+    await conversation.update({ temp_data: { ...conversation.temp_data, extracted: rest } });
+    return { text, media: [] };
+  }
+
+  /**
+   * One line of the citizen's report list
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} report - { trackingId, incident } from ReporterVerificationService.getReportedIncidents
+   * @returns {string} Tracking ID, category, status and date of the last update
+   */
+  reportLabel(conversation, report) {
+    const language = conversation.language;
+    const category = this.categoryService.findByCode(report.incident.category);
+    return this.t(conversation, 'whatsapp.my_reports_item', {
+      trackingId: report.trackingId,
+      category: category ? this.translationService.categoryName(language, category) : report.incident.title,
+      status: this.translationService.statusLabel(language, report.incident.status),
+      date: this.translationService.formatDate(language, report.incident.updated_at)
+    });
+  }
+
+  /**
+   * Earlier answers as prompt placeholders, shown the way the citizen gave them
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} flow - Flow definition
+   * @returns {Object} Placeholder values
+   */
+  promptParams(conversation, flow) {
+    const answers = conversation.temp_data || {};
+    const params = {};
+
+    for (const step of Object.values(flow.steps)) {
+      for (const field of [step.field, step.captionField].filter(Boolean)) {
+        const value = answers[field];
+        if (value && typeof value === 'object') continue;
+
+        if (value === null || value === undefined) {
+          params[field] = this.t(conversation, 'whatsapp.not_provided');
+        } else if (step.input === 'choice' && field === step.field) {
+          params[field] = this.choiceLabels(conversation, step)[this.choiceValues(step).indexOf(value)] || value;
+        } else {
+          params[field] = value;
+        }
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Values stored for the options of a choice step
+   * @param {Object} step - Choice step
+   * @returns {Array<string>} Option values, in menu order
+   */
+  choiceValues(step) {
+    return step.options === 'categories'
+      ? this.categoryService.getCategories().map(category => category.code)
+      : step.options.map(option => option.value);
+  }
+
+  /**
+   * Translated labels of the options of a choice step
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} step - Choice step
+   * @returns {Array<string>} Option labels, in menu order
+   */
+  choiceLabels(conversation, step) {
+    return step.options === 'categories'
+      ? this.categoryService.getCategories().map(category => this.translationService.categoryName(conversation.language, category))
+      : step.options.map(option => this.t(conversation, option.label));
+  }
+
+  /**
+   * Check a reply against the current step and move the flow on
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} flow - Flow definition
+   * @param {Object} step - Current step
+   * @param {Object} input - { text, media, location }
+   */
+  async handleStepInput(conversation, flow, step, input) {
+    const phoneNumber = conversation.phone_number;
+    const result = await this.validateInput(conversation, step, input);
+    if (result.error) {
+      await this.rejectReply(conversation, result.error);
+      return;
+    }
+    await this.acceptReply(conversation);
+
+    if (step.input === 'confirm' && !result.value) {
+      if (step.cancelMessage) await this.send(phoneNumber, this.t(conversation, step.cancelMessage));
+      await this.finishFlow(conversation);
+      return;
+    }
+
+    if (step.input !== 'confirm') {
+      await conversation.update({ temp_data: { ...conversation.temp_data, [step.field]: result.value, ...result.extra } });
+    }
+    if (step.input === 'my_report') {
+      await this.sendProgress(conversation, result.value);
+    }
+
+    await this.advance(conversation, flow, step);
+  }
+
+  /**
+   * Check a reply with the current step's input type
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} step - Current step
+   * @param {Object} input - { text, media, location }
+   * @returns {Promise<Object>} { value, extra } to store or { error } to send back
+   */
+  async validateInput(conversation, step, input) {
+    const validate = {
+      choice: () => this.validateChoice(conversation, step, input),
+      text: () => this.validateText(conversation, step, input),
+      photo: () => this.validatePhoto(conversation, step, input),
+      location: () => this.validateLocation(conversation, step, input),
+      confirm: () => this.validateConfirm(conversation, step, input),
+      tracking_id: () => this.validateTrackingId(conversation, step, input),
+      comment: () => this.validateComment(conversation, step, input),
+      my_report: () => this.validateMyReport(conversation, step, input)
+    }[step.input];
+
+    return validate();
+  }
+
+  /**
+   * Move on from an answered step: run its action, or ask the next step
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} flow - Flow definition
+   * @param {Object} step - Answered step
+   */
+  async advance(conversation, flow, step) {
+    if (step.action) {
+      const outcome = await this.runAction(conversation, flow, step.action);
+      if (outcome && outcome.retry) return;
+      await this.finishFlow(conversation);
+      return;
+    }
+
+    await this.enterStep(conversation, flow, step.next);
+  }
+
+  /**
+   * Leave the flow and show the main menu again
+   * @param {Object} conversation - WhatsAppConversation
+   */
+  async finishFlow(conversation) {
+    await conversation.update({ state: 'idle', flow: null, temp_data: {} });
+    await this.showMainMenu(conversation);
+  }
+
+  // Input types: each checks a reply and returns { value, extra } to store or { error } to send back
+
+  // Skipped optional answers are stored as null
+  isSkip(conversation, step, input) {
+    return !!step.optional && this.translationService.isWord(conversation.language, 'skip', input.text);
+  }
+
+  async validateChoice(conversation, step, input) {
+    const values = this.choiceValues(step);
+    const index = parseInt(input.text, 10);
+    if (isNaN(index) || String(index) !== input.text || index < 1 || index > values.length) {
+      return { error: step.error ? this.t(conversation, step.error) : this.t(conversation, 'whatsapp.invalid_choice', { count: values.length }) };
+    }
+    return { value: values[index - 1] };
+  }
+
+  async validateText(conversation, step, input) {
+    if (this.isSkip(conversation, step, input)) return { value: null };
+    if (!input.text) {
+      if (step.optional) return { value: null };
+      return { error: this.t(conversation, step.error || 'whatsapp.answer_required') };
+    }
+    return { value: input.text };
+  }
+
+  async validatePhoto(conversation, step, input) {
+    // Without a caption, a description the citizen already gave in their first message stays
+    const caption = input.text || (step.captionField && (conversation.temp_data || {})[step.captionField]) || null;
+    const extra = step.captionField ? { [step.captionField]: caption } : {};
+    if (!this.capabilities.media) return { value: null, extra };
+    if (input.media.length === 0) {
+      if (this.isSkip(conversation, step, input)) return { value: null, extra: step.captionField ? { [step.captionField]: null } : {} };
+      return { error: this.t(conversation, step.error || 'whatsapp.photo_required') };
+    }
+
+    const stored = await this.storeMedia(conversation, input.media);
+    if (stored.error) return stored;
+    return { value: stored.files, extra };
+  }
+
+  async validateLocation(conversation, step, input) {
+    const coordinates = input.location
+      ? this.geocodingService.geoService.parseCoordinates(`${input.location.lat},${input.location.lng}`)
+      : null;
+    if (coordinates) {
+      // WhatsApp location shared: keep the pin and describe it by the nearest street
+      const place = await this.geocodingService.reverse(coordinates);
+      return {
+        value: place.address || `${coordinates.latitude},${coordinates.longitude}`,
+        extra: { coordinates }
+      };
+    }
+    if (input.text && !this.translationService.isWord(conversation.language, 'skip', input.text)) {
+      // Text description; intake looks up its coordinates
+      return { value: input.text, extra: { coordinates: null } };
+    }
+    return { error: this.t(conversation, step.error || 'whatsapp.location_required') };
+  }
+
+  async validateConfirm(conversation, step, input) {
+    if (this.translationService.isWord(conversation.language, 'yes', input.text)) return { value: true };
+    if (this.translationService.isWord(conversation.language, 'no', input.text)) return { value: false };
+    return { error: this.t(conversation, step.error || 'whatsapp.confirm_invalid') };
+  }
+
+  async validateTrackingId(conversation, step, input) {
+    const typedId = input.text.toUpperCase();
+    const resolved = await this.mergeService.resolveTrackingId(typedId);
+
+    if (!resolved) {
+      // Suggest the closest of the sender's own reports for a mistyped ID, never other citizens'
+      const ownIds = (await this.verificationService.getReportedIncidents(conversation.phone_number))
+        .map(report => report.trackingId);
+      const suggestions = this.trackingIdService.suggest(typedId, ownIds);
+      return {
+        error: suggestions.length > 0
+          ? this.t(conversation, 'whatsapp.invalid_id_suggestion', {
+            trackingId: typedId,
+            suggestions: suggestions.join(this.t(conversation, 'whatsapp.suggestion_separator'))
+          })
+          : this.t(conversation, 'whatsapp.invalid_id')
+      };
+    }
+
+    // The sender's number proves who they are; it must be on the report
+    if (step.reporterOnly && !(await this.verificationService.isReporterPhone(resolved.incident, conversation.phone_number))) {
+      return { error: this.t(conversation, step.reporterError || 'whatsapp.invalid_id') };
+    }
+
+    return { value: resolved.requestedTrackingId };
+  }
+
+  async validateComment(conversation, step, input) {
+    if (!input.text && input.media.length === 0) {
+      return { error: this.t(conversation, step.error || 'whatsapp.answer_required') };
+    }
+
+    let photos = [];
+    if (input.media.length > 0) {
+      const stored = await this.storeMedia(conversation, input.media);
+      if (stored.error) return stored;
+      photos = stored.files;
+    }
+    return { value: input.text || null, extra: { photo: photos } };
+  }
+
+  async validateMyReport(conversation, step, input) {
+    const listed = conversation.temp_data[`${step.field}_options`] || [];
+    const index = parseInt(input.text, 10);
+    if (isNaN(index) || String(index) !== input.text || index < 1 || index > listed.length) {
+      return { error: step.error ? this.t(conversation, step.error) : this.t(conversation, 'whatsapp.invalid_choice', { count: listed.length }) };
+    }
+    return { value: listed[index - 1] };
+  }
+
+  /**
+   * Run the action that ends a flow
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} flow - Flow definition
+   * @param {string} action - Action name
+   * @returns {Promise<Object|undefined>} { retry: true } to stay on the current step
+   */
+  async runAction(conversation, flow, action) {
+    switch (action) {
+      case 'create_incident':
+        return this.createIncident(conversation, flow);
+      case 'check_progress':
+        return this.sendProgress(conversation, conversation.temp_data.tracking_id);
+      case 'escalate_incident':
+        return this.escalateIncident(conversation);
+      case 'submit_follow_up':
+        return this.submitFollowUp(conversation);
+    }
+  }
+
+  /**
+   * Report an incident from the flow's answers and its report defaults
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {Object} flow - Flow definition
+   */
+  async createIncident(conversation, flow) {
+    const phoneNumber = conversation.phone_number;
+    const data = conversation.temp_data;
+    const defaults = flow.report || {};
+
+    try {
+      const categoryCode = data.category || defaults.category;
+      const category = this.categoryService.findByCode(categoryCode);
+
+      // Answers to questions a custom flow added go to staff along with the description
+      const details = Object.entries(data)
+        .filter(([field, value]) => !REPORT_FIELDS.includes(field) && typeof value === 'string')
+        .map(([field, value]) => `${field.replace(/_/g, ' ')}: ${value}`);
+
+      const report = {
+        title: defaults.title || (category ? category.name : this.translationService.resolve('en', flow.title)),
+        description: [data.description || 'No description provided', ...details].join('\n'),
+        category: categoryCode,
+        location: data.location,
+        latitude: data.coordinates ? data.coordinates.latitude : null,
+        longitude: data.coordinates ? data.coordinates.longitude : null,
+        contactName: data.name || null,
+        contactPhone: phoneNumber,
+        attachments: Object.values(flow.steps)
+          .filter(step => step.input === 'photo')
+          .flatMap(step => [].concat(data[step.field] || []))
+      };
+
+      const limit = this.protectionService.consume('report', { phone: phoneNumber });
+      if (!limit.allowed) {
+        await this.send(phoneNumber, this.t(conversation, 'whatsapp.too_many_reports'));
+        return;
+      }
+
+      // Suspicious reports wait for a manager; the reporter gets their reference number on release
+      const reasons = this.protectionService.assessReport(report, { phone: phoneNumber });
+      if (reasons.length > 0) {
+        await this.moderationService.hold(report, { channel: this.channel, reasons });
+        await this.send(phoneNumber, this.t(conversation, 'whatsapp.report_held'));
+        return;
+      }
+
+      const result = await this.intakeService.submitReport(report, { channel: this.channel });
+      const key = result.joinedExisting ? 'whatsapp.report_joined' : 'whatsapp.report_created';
+      await this.send(phoneNumber, this.t(conversation, key, { trackingId: result.trackingId }));
+    } catch (error) {
+      console.error('Error creating incident:', error);
+      await this.send(phoneNumber, this.t(conversation, 'whatsapp.report_error'));
+    }
+  }
+
+  /**
+   * Send the status and latest update of an incident
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} trackingId - Tracking ID the citizen gave or picked
+   */
+  async sendProgress(conversation, trackingId) {
+    const language = conversation.language;
+    const resolved = trackingId ? await this.mergeService.resolveTrackingId(trackingId) : null;
+    if (!resolved) {
+      await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.invalid_id'));
+      return;
+    }
+    const incident = resolved.incident;
+
+    let status = this.t(conversation, 'whatsapp.progress_status', {
+      trackingId: resolved.requestedTrackingId,
+      mergedNote: resolved.mergedFrom.length > 0 ? this.t(conversation, 'whatsapp.merged_note', { trackingId: incident.tracking_id }) : '',
+      reportedOn: this.translationService.formatDate(language, incident.created_at),
+      status: this.translationService.statusLabel(language, incident.status),
+      updatedOn: this.translationService.formatDate(language, incident.updated_at)
+    });
+
+    const timeline = await this.historyService.getPublicTimeline(incident);
+    const latest = timeline[timeline.length - 1];
+    if (latest) {
+      const label = this.translationService.translate(language, `timeline.${latest.event}`, {}, latest.label);
+      status += '\n' + this.t(conversation, 'whatsapp.progress_latest', { label, date: this.translationService.formatDate(language, latest.timestamp) });
+      if (latest.note) status += ` - ${latest.note}`;
+    }
+    await this.send(conversation.phone_number, status);
+  }
+
+  /**
+   * Find the incident the flow's tracking ID names and check the sender reported it
+   * Actions that change an incident check this themselves, whatever the flow's steps ask
+   * @param {Object} conversation - WhatsAppConversation
+   * @param {string} reporterError - Message key for a sender who is not the reporter
+   * @returns {Promise<Object|null>} Resolved tracking ID, or null after telling the citizen why not
+   */
+  async resolveReportedIncident(conversation, reporterError) {
+    const trackingId = conversation.temp_data.tracking_id;
+    const resolved = trackingId ? await this.mergeService.resolveTrackingId(trackingId) : null;
+    if (!resolved) {
+      await this.send(conversation.phone_number, this.t(conversation, 'whatsapp.invalid_id'));
+      return null;
+    }
+    if (!(await this.verificationService.isReporterPhone(resolved.incident, conversation.phone_number))) {
+      await this.send(conversation.phone_number, this.t(conversation, reporterError));
+      return null;
+    }
+    return resolved;
+  }
+
+  /**
+   * Escalate an incident to the managers
+   * @param {Object} conversation - WhatsAppConversation
+   */
+  async escalateIncident(conversation) {
+    const phoneNumber = conversation.phone_number;
+    const reason = conversation.temp_data.reason || 'No reason provided';
+
+    try {
+      // Escalate the primary incident when the ID belongs to a merged duplicate
+      const resolved = await this.resolveReportedIncident(conversation, 'whatsapp.escalation_not_reporter');
+      if (!resolved) return;
+      const incident = await Incident.findByPk(resolved.incident.id);
+
+      await incident.update({ status: 'escalated' });
+      await this.historyService.record(incident, 'escalated', { status: 'escalated' });
+      await ActivityLog.create({
+        action: `Incident escalated via ${this.capabilities.label}: ${reason}`,
+        table_name: 'incidents',
+        reference_id: incident.id,
+      });
+
+      // Notify managers
+      global.sendRoleNotification('manager', 'incident-escalated', {
+        type: 'alert',
+        title: `Incident Escalated via ${this.capabilities.label}`,
+        message: `Incident ${incident.tracking_id} escalated: ${reason}`,
+        related_type: 'incident',
+        related_id: incident.id
+      });
+
+      await this.send(phoneNumber, this.t(conversation, 'whatsapp.escalation_confirmed'));
+    } catch (error) {
+      console.error('Error escalating incident:', error);
+      await this.send(phoneNumber, this.t(conversation, 'whatsapp.escalation_error'));
+    }
+  }
+
+  /**
+   * Add the citizen's comment and/or photo to their report
+   * @param {Object} conversation - WhatsAppConversation
+   * @returns {Promise<Object|undefined>} { retry: true } when the update was rejected and can be resent
+   */
+  async submitFollowUp(conversation) {
+    const phoneNumber = conversation.phone_number;
+    const data = conversation.temp_data;
+
+    try {
+      const resolved = await this.resolveReportedIncident(conversation, 'whatsapp.follow_up_not_reporter');
+      if (!resolved) return;
+
+      const result = await this.followUpService.submitFollowUp(resolved.requestedTrackingId, {
+        comment: data.comment,
+        contactPhone: phoneNumber,
+        attachments: [].concat(data.photo || [])
+      }, { channel: this.channel });
+
+      if (!result.success) {
+        const error = this.translationService.translate(conversation.language, `errors.${result.code}`, {
+          maxCommentLength: this.followUpService.config.maxCommentLength
+        }, result.error);
+        await this.send(phoneNumber, this.t(conversation, 'whatsapp.follow_up_failed', { error }));
+        return { retry: true };
+      }
+
+      await this.send(phoneNumber, this.t(conversation, 'whatsapp.follow_up_added', { trackingId: result.incident.tracking_id }));
+    } catch (error) {
+      console.error('Error adding follow-up:', error);
+      await this.send(phoneNumber, this.t(conversation, 'whatsapp.follow_up_error'));
+    }
+  }
+}
+
+module.exports = WhatsAppFlowEngine;
@@ -0,0 +1,496 @@
+const { Op } = require('sequelize');
+const { WhatsAppConversation, WhatsAppMessage, User } = require('../models');
+const WhatsAppService = require('./WhatsAppService');
+const WhatsAppMediaService = require('./WhatsAppMediaService');
+const StorageService = require('./StorageService');
+const TranslationService = require('./TranslationService');
+const ConversationSessionService = require('./ConversationSessionService');
+
+/**
+ * WhatsApp Inbox Service
+ * Keeps the transcript of every WhatsApp conversation and lets staff take a conversation over
+ * from the bot. A handed-off conversation is in the 'handoff' state: the bot stays quiet and
+ * the citizen's messages go to the staff member handling it (agent_id), or to all managers
+ * while nobody has picked it up yet. Outbound messages are tracked until the provider reports
+ * them delivered, read or failed, and sends that fail are queued and tried again
+ */
+class WhatsAppInboxService {
+  constructor() {
+    this.whatsappService = new WhatsAppService();
+    this.mediaService = new WhatsAppMediaService();
+    this.storageService = new StorageService();
+    this.translationService = new TranslationService();
+    this.sessionService = new ConversationSessionService();
+
+    this.config = {
+      // WhatsApp only allows free-text replies this long after the citizen's last message
+      sessionWindowHours: parseInt(process.env.WHATSAPP_SESSION_WINDOW_HOURS) || 24,
+      maxReplyLength: parseInt(process.env.WHATSAPP_MAX_REPLY_LENGTH) || 4096,
+      transcriptPageSize: parseInt(process.env.WHATSAPP_TRANSCRIPT_PAGE_SIZE) || 50,
+      maxSendAttempts: parseInt(process.env.WHATSAPP_OUTBOX_MAX_ATTEMPTS) || 5,
+      retryDelaySeconds: parseInt(process.env.WHATSAPP_OUTBOX_RETRY_SECONDS) || 30,
+      retryIntervalSeconds: parseInt(process.env.WHATSAPP_OUTBOX_INTERVAL_SECONDS) || 60,
+      retryBatchSize: parseInt(process.env.WHATSAPP_OUTBOX_BATCH_SIZE) || 50
+    };
+
+    this.statuses = ['waiting', 'active', 'all'];
+
+    // Provider updates can arrive out of order; a message never goes back to an earlier status
+    this.deliveryOrder = ['queued', 'sent', 'delivered', 'read'];
+
+    this.retryInterval = null;
+  }
+
+  /**
+   * Add a message to a conversation's transcript
+   * @param {Object|string} conversation - WhatsAppConversation, or the citizen's phone number
+   * @param {Object} message - { direction, sender, body, media, userId, providerMessageId }
+   * @returns {Promise<Object|null>} Created WhatsAppMessage, or null for a number that never wrote to the bot
+   */
+  async record(conversation, message) {
+    if (typeof conversation === 'string') {
+      conversation = await WhatsAppConversation.findOne({ where: { phone_number: conversation, channel: 'whatsapp' } });
+      if (!conversation) return null;
+    }
+
+    // Provider media URLs need credentials and expire, so only stored photos keep their path
+    const media = (message.media || []).map(item => item.path
+      ? { path: item.path, mimeType: item.mimeType, size: item.size }
+      : { mimeType: item.mimeType || null });
+
+    return WhatsAppMessage.create({
+      conversation_id: conversation.id,
+      direction: message.direction,
+      sender: message.sender,
+      body: message.body || null,
+      media,
+      user_id: message.userId || null,
+      provider_message_id: message.providerMessageId || null
+    });
+  }
+
+  /**
+   * Check whether an inbound message was already taken in, so a webhook the provider repeats is ignored
+   * @param {string} providerMessageId - Provider message ID, e.g. Twilio's MessageSid
+   * @returns {Promise<boolean>} True if the message is in a transcript
+   */
+  async hasReceived(providerMessageId) {
+    if (!providerMessageId) return false;
+    return !!(await WhatsAppMessage.findOne({ where: { direction: 'inbound', provider_message_id: providerMessageId } }));
+  }
+
+  /**
+   * Send a WhatsApp message and add it to the transcript
+   * A send that fails stays queued in the transcript and is tried again by the outbox retries
+   * @param {string} to - Citizen's phone number
+   * @param {string} body - Message text
+   * @param {Object} options - { sender: 'bot'|'agent'|'notification', userId }
+   * @returns {Promise<Object>} { delivered, providerId, error, queued, message: the transcript entry }
+   */
+  async send(to, body, options = {}) {
+    const [conversation] = await WhatsAppConversation.findOrCreate({ where: { phone_number: to, channel: 'whatsapp' } });
+    const message = await WhatsAppMessage.create({
+      conversation_id: conversation.id,
+      direction: 'outbound',
+      sender: options.sender || 'bot',
+      body,
+      media: [],
+      user_id: options.userId || null,
+      status: 'queued'
+    });
+
+    const result = await this.deliver(message, to);
+    return { ...result, message };
+  }
+
+  /**
+   * Try to send a queued message, and note the outcome on it
+   * @param {Object} message - Outbound WhatsAppMessage
+   * @param {string} to - Citizen's phone number
+   * @returns {Promise<Object>} { delivered, providerId } or { delivered: false, error, queued } when the send failed
+   */
+  async deliver(message, to) {
+    const attempts = message.attempts + 1;
+    try {
+      const result = await this.whatsappService.send(to, message.body);
+      if (!result.delivered) {
+        // Nothing to retry until the provider is configured
+        await message.update({ status: 'failed', attempts, error: 'WhatsApp provider is not configured', next_attempt_at: null, status_updated_at: new Date() });
+        return { delivered: false, providerId: null };
+      }
+
+      await message.update({ status: 'sent', attempts, provider_message_id: result.providerId, error: null, next_attempt_at: null, status_updated_at: new Date() });
+      return result;
+    } catch (error) {
+      const retry = attempts < this.config.maxSendAttempts;
+      console.error(`Error sending WhatsApp message to ${to} (attempt ${attempts} of ${this.config.maxSendAttempts}):`, error.message);
+
+      await message.update({
+        status: retry ? 'queued' : 'failed',
+        attempts,
+        error: String(error.message).slice(0, 500),
+        next_attempt_at: retry ? new Date(Date.now() + this.config.retryDelaySeconds * 1000 * 2 ** (attempts - 1)) : null,
+        status_updated_at: new Date()
+      });
+      return { delivered: false, providerId: null, error: message.error, queued: retry };
+    }
+  }
+
+  /**
+   * Send again the queued messages whose retry time has come
+   * @returns {Promise<Object>} { attempted, sent, failed }
+   */
+  async retryQueued() {
+    const result = { attempted: 0, sent: 0, failed: 0 };
+    const queued = await WhatsAppMessage.findAll({
+      where: { direction: 'outbound', status: 'queued', next_attempt_at: { [Op.lte]: new Date() } },
+      include: [{ model: WhatsAppConversation, as: 'conversation' }],
+      order: [['created_at', 'ASC']],
+      limit: this.config.retryBatchSize
+    });
+
+    for (const message of queued) {
+      const outcome = await this.deliver(message, message.conversation.phone_number);
+      result.attempted++;
+      if (outcome.delivered) result.sent++;
+      else if (message.status === 'failed') result.failed++;
+    }
+    return result;
+  }
+
+  /**
+   * Record delivery updates from the provider on the messages they are about
+   * @param {Array<Object>} updates - [{ providerMessageId, status, error }] from WhatsAppService.parseStatuses
+   * @returns {Promise<number>} Number of messages updated
+   */
+  async recordStatuses(updates) {
+    let updated = 0;
+    for (const update of updates) {
+      const message = await WhatsAppMessage.findOne({ where: { direction: 'outbound', provider_message_id: update.providerMessageId } });
+      if (!message) continue;
+
+      const current = this.deliveryOrder.indexOf(message.status);
+      const next = this.deliveryOrder.indexOf(update.status);
+      // A failure after delivery, or an update older than what we know, changes nothing
+      const later = update.status === 'failed' ? current < this.deliveryOrder.indexOf('delivered') : next > current;
+      if (!later) continue;
+
+      await message.update({ status: update.status, error: update.error || message.error, status_updated_at: new Date() });
+      updated++;
+    }
+    return updated;
+  }
+
+  /**
+   * Start retrying queued messages in the background
+   * @param {number} intervalMs - Time between runs
+   */
+  startOutboxRetries(intervalMs = this.config.retryIntervalSeconds * 1000) {
+    if (this.retryInterval) {
+      console.log('WhatsApp outbox retries are already running');
+      return;
+    }
+
+    this.retryInterval = setInterval(async () => {
+      try {
+        await this.retryQueued();
+      } catch (error) {
+        console.error('Error retrying WhatsApp outbox:', error);
+      }
+    }, intervalMs);
+
+    console.log('WhatsApp outbox retries started with interval:', intervalMs, 'ms');
+  }
+
+  /**
+   * Stop the background retries
+   */
+  stopOutboxRetries() {
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+      console.log('WhatsApp outbox retries stopped');
+    }
+  }
+
+  /**
+   * Take in a citizen's message while the conversation is handed off: keep it, with any photos
+   * downloaded into our storage, and alert the staff member handling it
+   * @param {Object} conversation - WhatsAppConversation in the handoff state
+   * @param {Object} inbound - { messageId, text, media } from WhatsAppService.parseInbound
+   * @returns {Promise<Object>} Created WhatsAppMessage
+   */
+  async receive(conversation, inbound) {
+    let media = inbound.media || [];
+    if (media.length > 0) {
+      const stored = await this.mediaService.storeAll(media);
+      // Staff can still ask for a photo that failed to download again
+      media = stored.success ? stored.files : media;
+    }
+
+    const message = await this.record(conversation, {
+      direction: 'inbound',
+      sender: 'citizen',
+      body: inbound.text,
+      media,
+      providerMessageId: inbound.messageId
+    });
+
+    const event = {
+      conversationId: conversation.id,
+      phoneNumber: conversation.phone_number,
+      messageId: message.id,
+      body: message.body,
+      photos: message.media.length
+    };
+    if (conversation.agent_id) {
+      global.sendNotification(conversation.agent_id, 'whatsapp-message', event);
+    } else {
+      global.sendRoleNotification('manager', 'whatsapp-message', event);
+    }
+    return message;
+  }
+
+  /**
+   * Hand a conversation to staff at the citizen's request, and alert the managers
+   * An unfinished flow is kept as a draft, so the citizen can resume it once staff hand back
+   * @param {Object} conversation - WhatsAppConversation
+   */
+  async requestHandoff(conversation) {
+    await conversation.update({
+      state: 'handoff',
+      flow: null,
+      temp_data: {},
+      draft: this.sessionService.draftFor(conversation),
+      agent_id: null,
+      handoff_requested_at: new Date(),
+      failed_replies: 0
+    });
+
+    global.sendRoleNotification('manager', 'whatsapp-handoff', {
+      type: 'alert',
+      title: 'WhatsApp Citizen Asked for a Person',
+      message: `${conversation.phone_number} asked to talk to a person on WhatsApp`,
+      related_type: 'whatsapp_conversation',
+      related_id: conversation.id
+    });
+  }
+
+  /**
+   * Find a conversation for the inbox
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} { success, conversation } or { success: false, code, error }
+   */
+  async findConversation(conversationId) {
+    const conversation = await WhatsAppConversation.findByPk(conversationId, {
+      include: [{ model: User, as: 'agent', attributes: ['id', 'name'] }]
+    });
+    if (!conversation) {
+      return { success: false, code: 'CONVERSATION_NOT_FOUND', error: 'Conversation not found' };
+    }
+    return { success: true, conversation };
+  }
+
+  /**
+   * Inbox view of a conversation
+   * @param {Object} conversation - WhatsAppConversation with its agent
+   * @returns {Object} Thread summary
+   */
+  serializeThread(conversation) {
+    let handoff = null;
+    if (conversation.state === 'handoff') {
+      handoff = conversation.agent_id ? 'active' : 'waiting';
+    }
+
+    return {
+      id: conversation.id,
+      phoneNumber: conversation.phone_number,
+      language: conversation.language,
+      state: conversation.state,
+      handoff,
+      agent: conversation.agent ? { id: conversation.agent.id, name: conversation.agent.name } : null,
+      handoffRequestedAt: conversation.handoff_requested_at,
+      lastActivity: conversation.last_activity
+    };
+  }
+
+  /**
+   * Transcript entry with download links for stored photos
+   * @param {Object} message - WhatsAppMessage with its agent
+   * @returns {Promise<Object>} Message for the inbox
+   */
+  async serializeMessage(message) {
+    return {
+      id: message.id,
+      direction: message.direction,
+      sender: message.sender,
+      body: message.body,
+      media: await Promise.all((message.media || []).map(async item => ({
+        mimeType: item.mimeType,
+        size: item.size || null,
+        url: item.path ? await this.storageService.getUrl(item.path) : null
+      }))),
+      agent: message.agent ? { id: message.agent.id, name: message.agent.name } : null,
+      status: message.status,
+      error: message.error,
+      createdAt: message.created_at
+    };
+  }
+
+  /**
+   * List WhatsApp threads for the staff inbox
+   * @param {Object} filters - { status: 'waiting'|'active'|'all', limit, offset }
+   * @returns {Promise<Array>} Threads with their latest message; waiting ones oldest request first
+   */
+  async listThreads(filters = {}) {
+    const status = filters.status || 'waiting';
+    const where = {
+      waiting: { state: 'handoff', agent_id: null },
+      active: { state: 'handoff', agent_id: { [Op.ne]: null } },
+      all: {}
+    }[status];
+    where.channel = 'whatsapp';
+
+    const conversations = await WhatsAppConversation.findAll({
+      where,
+      include: [{ model: User, as: 'agent', attributes: ['id', 'name'] }],
+      order: status === 'waiting' ? [['handoff_requested_at', 'ASC']] : [['last_activity', 'DESC']],
+      limit: filters.limit || this.config.transcriptPageSize,
+      offset: filters.offset || 0
+    });
+
+    return Promise.all(conversations.map(async conversation => {
+      const latest = await WhatsAppMessage.findOne({
+        where: { conversation_id: conversation.id },
+        include: [{ model: User, as: 'agent', attributes: ['id', 'name'] }],
+        order: [['created_at', 'DESC']]
+      });
+      return {
+        ...this.serializeThread(conversation),
+        lastMessage: latest ? await this.serializeMessage(latest) : null
+      };
+    }));
+  }
+
+  /**
+   * Read a conversation's transcript, newest page first
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - { before: only messages before this date, limit }
+   * @returns {Promise<Object>} { success, thread, messages (oldest first), hasMore } or { success: false, code, error }
+   */
+  async getTranscript(conversationId, options = {}) {
+    const found = await this.findConversation(conversationId);
+    if (!found.success) return found;
+
+    const limit = options.limit || this.config.transcriptPageSize;
+    const where = { conversation_id: conversationId };
+    if (options.before) where.created_at = { [Op.lt]: new Date(options.before) };
+
+    const messages = await WhatsAppMessage.findAll({
+      where,
+      include: [{ model: User, as: 'agent', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']],
+      limit: limit + 1
+    });
+
+    return {
+      success: true,
+      thread: this.serializeThread(found.conversation),
+      messages: await Promise.all(messages.slice(0, limit).reverse().map(message => this.serializeMessage(message))),
+      hasMore: messages.length > limit
+    };
+  }
+
+  /**
+   * Take a conversation over from the bot, or pick up one waiting for a person
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} user - Staff member { id, name }
+   * @returns {Promise<Object>} { success, conversation } or { success: false, code, error }
+   */
+  async claim(conversationId, user) {
+    const found = await this.findConversation(conversationId);
+    if (!found.success) return found;
+    const { conversation } = found;
+
+    const alreadyClaimed = () => {
+      if (conversation.agent_id === user.id) return { success: true, conversation };
+      return { success: false, code: 'ALREADY_CLAIMED', error: `${conversation.agent ? conversation.agent.name : 'Another staff member'} is already handling this conversation` };
+    };
+    if (conversation.state === 'handoff' && conversation.agent_id) return alreadyClaimed();
+
+    // Only one staff member can win a conversation nobody has claimed; a citizen halfway
+    // through a flow keeps their answers as a draft, as when the conversation times out
+    const [claimed] = await WhatsAppConversation.update({
+      state: 'handoff',
+      flow: null,
+      temp_data: {},
+      draft: this.sessionService.draftFor(conversation),
+      agent_id: user.id,
+      handoff_requested_at: conversation.state === 'handoff' ? conversation.handoff_requested_at : new Date(),
+      failed_replies: 0
+    }, { where: { id: conversation.id, agent_id: null } });
+    await conversation.reload({ include: [{ model: User, as: 'agent', attributes: ['id', 'name'] }] });
+    if (claimed === 0) return alreadyClaimed();
+
+    await this.send(conversation.phone_number, this.translationService.translate(conversation.language, 'whatsapp.handoff_joined'), { sender: 'agent', userId: user.id });
+    return { success: true, conversation };
+  }
+
+  /**
+   * Reply to a citizen as free text, taking the conversation over if nobody has yet
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} user - Staff member { id, name }
+   * @param {string} body - Reply text
+   * @returns {Promise<Object>} { success, message, delivered } or { success: false, code, error }
+   */
+  async reply(conversationId, user, body) {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text || text.length > this.config.maxReplyLength) {
+      return { success: false, code: 'INVALID_MESSAGE', error: `Message must be between 1 and ${this.config.maxReplyLength} characters` };
+    }
+
+    const found = await this.findConversation(conversationId);
+    if (!found.success) return found;
+
+    const lastInbound = await WhatsAppMessage.findOne({
+      where: { conversation_id: conversationId, direction: 'inbound' },
+      order: [['created_at', 'DESC']]
+    });
+    if (!lastInbound || Date.now() - new Date(lastInbound.created_at).getTime() > this.config.sessionWindowHours * 60 * 60 * 1000) {
+      return {
+        success: false,
+        code: 'OUTSIDE_SESSION_WINDOW',
+        error: `WhatsApp only allows replies within ${this.config.sessionWindowHours} hours of the citizen's last message`
+      };
+    }
+
+    const claimed = await this.claim(conversationId, user);
+    if (!claimed.success) return claimed;
+
+    const result = await this.send(found.conversation.phone_number, text, { sender: 'agent', userId: user.id });
+    await result.message.reload({ include: [{ model: User, as: 'agent', attributes: ['id', 'name'] }] });
+    return { success: true, message: await this.serializeMessage(result.message), delivered: result.delivered };
+  }
+
+  /**
+   * Give a conversation back to the bot
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} user - Staff member { id, name }
+   * @returns {Promise<Object>} { success, conversation } or { success: false, code, error }
+   */
+  async release(conversationId, user) {
+    const found = await this.findConversation(conversationId);
+    if (!found.success) return found;
+    const { conversation } = found;
+
+    if (conversation.state !== 'handoff') {
+      return { success: false, code: 'NOT_HANDED_OFF', error: 'The bot is already handling this conversation' };
+    }
+    await conversation.update({ state: 'idle', agent_id: null, failed_replies: 0 });
+    await conversation.reload({ include: [{ model: User, as: 'agent', attributes: ['id', 'name'] }] });
+    await this.send(conversation.phone_number, this.translationService.translate(conversation.language, 'whatsapp.handoff_ended'), { sender: 'agent', userId: user.id });
+    return { success: true, conversation };
+  }
+}
+
+module.exports = WhatsAppInboxService;
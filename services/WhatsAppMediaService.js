@@ -0,0 +1,126 @@
+const ImageProcessingService = require('./ImageProcessingService');
+const WhatsAppService = require('./WhatsAppService');
+
+/**
+ * WhatsApp Media Service
+ * Downloads photos citizens send over WhatsApp into our own upload storage as the message
+ * arrives. Provider media URLs need credentials and expire, so they are never stored themselves
+ */
+class WhatsAppMediaService {
+  constructor() {
+    this.imageService = new ImageProcessingService();
+    this.whatsappService = new WhatsAppService();
+
+    this.config = {
+      maxBytes: this.imageService.config.maxBytes,
+      maxPhotos: parseInt(process.env.WHATSAPP_MAX_PHOTOS) || 5,
+      attempts: parseInt(process.env.WHATSAPP_MEDIA_ATTEMPTS) || 3,
+      retryDelayMs: parseInt(process.env.WHATSAPP_MEDIA_RETRY_DELAY_MS) || 1000,
+      timeoutMs: parseInt(process.env.WHATSAPP_MEDIA_TIMEOUT_MS) || 15000
+    };
+  }
+
+  /**
+   * Download one media item, giving up early on files that are too large or not images
+   * @param {Object} media - { url, mimeType }
+   * @returns {Promise<Object>} { success, buffer } or { success: false, code, error, retryable }
+   */
+  async download(media) {
+    if (!this.whatsappService.isMediaUrl(media.url)) {
+      return { success: false, code: 'MEDIA_DOWNLOAD_FAILED', error: `Refusing to download media from outside the WhatsApp provider: ${media.url}`, retryable: false };
+    }
+
+    let response;
+    try {
+      response = await fetch(media.url, {
+        headers: this.whatsappService.mediaHeaders(),
+        signal: AbortSignal.timeout(this.config.timeoutMs)
+      });
+    } catch (error) {
+      return { success: false, code: 'MEDIA_DOWNLOAD_FAILED', error: error.message, retryable: true };
+    }
+
+    if (!response.ok) {
+      // The provider may be briefly unavailable; anything else will not get better by asking again
+      const retryable = response.status >= 500 || response.status === 429;
+      return { success: false, code: 'MEDIA_DOWNLOAD_FAILED', error: `Media download failed with status ${response.status}`, retryable };
+    }
+
+    const contentType = (response.headers.get('content-type') || media.mimeType || '').split(';')[0].trim();
+    if (contentType && !contentType.startsWith('image/') && contentType !== 'application/octet-stream') {
+      return { success: false, code: 'UNSUPPORTED_TYPE', error: 'Only JPEG, PNG, GIF and WebP images are accepted' };
+    }
+
+    const tooLarge = { success: false, code: 'FILE_TOO_LARGE', error: `Images must be smaller than ${Math.round(this.config.maxBytes / 1024 / 1024)}MB` };
+    if (parseInt(response.headers.get('content-length')) > this.config.maxBytes) {
+      return tooLarge;
+    }
+
+    // Read in chunks so a missing or wrong Content-Length cannot make us buffer a huge file
+    const chunks = [];
+    let size = 0;
+    try {
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > this.config.maxBytes) return tooLarge;
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      return { success: false, code: 'MEDIA_DOWNLOAD_FAILED', error: error.message, retryable: true };
+    }
+
+    return { success: true, buffer: Buffer.concat(chunks) };
+  }
+
+  /**
+   * Download a media item, retrying network and provider errors with a growing delay
+   * @param {Object} media - { url, mimeType }
+   * @returns {Promise<Object>} { success, buffer } or { success: false, code, error }
+   */
+  async downloadWithRetry(media) {
+    let result;
+    for (let attempt = 1; attempt <= this.config.attempts; attempt++) {
+      result = await this.download(media);
+      if (result.success || !result.retryable) return result;
+
+      console.warn(`WhatsApp media download attempt ${attempt} of ${this.config.attempts} failed: ${result.error}`);
+      if (attempt < this.config.attempts) {
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelayMs * 2 ** (attempt - 1)));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Download and store the photos of one message
+   * Nothing is kept when one of them fails, so the citizen can simply send them again
+   * @param {Array<Object>} media - [{ url, mimeType }]
+   * @returns {Promise<Object>} { success, files: [{ path, mimeType, size, checksum }] } or { success: false, code, error }
+   */
+  async storeAll(media) {
+    const buffers = [];
+    for (const item of media) {
+      const result = await this.downloadWithRetry(item);
+      if (!result.success) {
+        console.error(`Error downloading WhatsApp media: ${result.error}`);
+        return { success: false, code: result.code, error: result.error };
+      }
+      buffers.push(result.buffer);
+    }
+
+    const processed = await this.imageService.processImages(buffers);
+    if (!processed.success) return processed;
+
+    return {
+      success: true,
+      files: processed.images.map(image => ({
+        path: image.path,
+        mimeType: image.mimeType,
+        size: image.size,
+        checksum: image.checksum
+      }))
+    };
+  }
+}
+
+module.exports = WhatsAppMediaService;
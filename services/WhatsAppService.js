@@ -0,0 +1,115 @@
+const TwilioWhatsAppDriver = require('./TwilioWhatsAppDriver');
+const MetaWhatsAppDriver = require('./MetaWhatsAppDriver');
+const SimulatorWhatsAppDriver = require('./SimulatorWhatsAppDriver');
+
+/**
+ * WhatsApp Service
+ * Front for the configured WhatsApp provider: Twilio, Meta's WhatsApp Cloud API, or the local
+ * simulator, which records messages so the bot can be run end to end without credentials.
+ * The simulator is only used when WHATSAPP_PROVIDER=simulator is set outside production; without
+ * a usable provider nothing is sent and every webhook is refused
+ */
+class WhatsAppService {
+  constructor() {
+    this.config = {
+      provider: process.env.WHATSAPP_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : null),
+      twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        whatsappFrom: process.env.TWILIO_WHATSAPP_FROM,
+        statusCallbackUrl: process.env.TWILIO_STATUS_CALLBACK_URL,
+        webhookBaseUrl: process.env.TWILIO_WEBHOOK_BASE_URL
+      },
+      meta: {
+        accessToken: process.env.META_WHATSAPP_TOKEN,
+        phoneNumberId: process.env.META_WHATSAPP_PHONE_NUMBER_ID,
+        appSecret: process.env.META_WHATSAPP_APP_SECRET,
+        verifyToken: process.env.META_WHATSAPP_VERIFY_TOKEN,
+        apiVersion: process.env.META_WHATSAPP_API_VERSION
+      }
+    };
+
+    this.providers = ['twilio', 'meta', 'simulator'];
+    if (this.config.provider && !this.providers.includes(this.config.provider)) {
+      throw new Error(`Unsupported WhatsApp provider '${this.config.provider}'`);
+    }
+
+    this.provider = this.config.provider;
+    if (this.provider === 'simulator' && process.env.NODE_ENV === 'production') {
+      this.provider = null;
+    }
+    this.driver = this.provider ? {
+      twilio: () => new TwilioWhatsAppDriver(this.config.twilio),
+      meta: () => new MetaWhatsAppDriver(this.config.meta),
+      simulator: () => new SimulatorWhatsAppDriver()
+    }[this.provider]() : null;
+  }
+
+  /**
+   * Whether messages are recorded by the simulator instead of being sent
+   * @returns {boolean} True when the simulator endpoints can be used
+   */
+  isSimulated() {
+    return this.driver instanceof SimulatorWhatsAppDriver;
+  }
+
+  /**
+   * Send a WhatsApp message
+   * @param {string} to - Phone number in international format
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} { delivered, providerId } - delivered is false when no provider is configured
+   */
+  async send(to, body) {
+    if (!this.driver) {
+      console.error(`No WhatsApp provider is configured; message to ${to} was not sent`);
+      return { delivered: false, providerId: null };
+    }
+    return this.driver.send({ to, body });
+  }
+
+  /**
+   * Check that a webhook really comes from the provider
+   * @param {Object} req - Express request
+   * @returns {boolean} True if the signature is valid; always false without a provider
+   */
+  validateRequest(req) {
+    return this.driver ? this.driver.validateRequest(req) : false;
+  }
+
+  /**
+   * Read the messages in a webhook in one shape for every provider
+   * @param {Object} req - Express request
+   * @returns {Promise<Array<Object>>} [{ messageId, from, text, media: [{ url, mimeType }], location: { lat, lng } }]
+   */
+  async parseInbound(req) {
+    return this.driver ? this.driver.parseInbound(req) : [];
+  }
+
+  /**
+   * Read the delivery updates in a webhook or status callback
+   * @param {Object} req - Express request
+   * @returns {Array<Object>} [{ providerMessageId, status: 'sent'|'delivered'|'read'|'failed', error }]
+   */
+  parseStatuses(req) {
+    return this.driver ? this.driver.parseStatuses(req) : [];
+  }
+
+  /**
+   * Headers needed to download media the provider received
+   * @returns {Object} Request headers
+   */
+  mediaHeaders() {
+    return this.driver ? this.driver.mediaHeaders() : {};
+  }
+
+  /**
+   * Check a media URL belongs to the provider, so webhooks cannot make us fetch other addresses
+   * @param {string} url - Media URL
+   * @returns {boolean} True if it may be downloaded
+   */
+  isMediaUrl(url) {
+    return this.driver ? this.driver.isMediaUrl(url) : false;
+  }
+}
+
+module.exports = WhatsAppService;